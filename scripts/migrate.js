@@ -0,0 +1,110 @@
+// scripts/migrate.js
+import mongoose from "mongoose";
+import {
+  loadMigrations,
+  migrationStatus,
+  migrateUp,
+  migrateDown,
+} from "../src/migrations/index.js";
+
+const MONGODB_URI =
+  process.env.MONGODB_URI || "mongodb://localhost:27017/route-nest";
+
+const USAGE = `Usage:
+  node scripts/migrate.js status                 - List migrations and their state
+  node scripts/migrate.js up [--to N]            - Apply pending migrations (up to N)
+  node scripts/migrate.js down [--to N]          - Roll back the latest migration (or all after N)
+
+Options:
+  --dry-run         Print the document changes without writing anything
+  --batch-size N    Documents per batch (default 500)
+  --owner ID        User who owns legacy trips that have no owner
+                    (default MIGRATION_OWNER_ID)`;
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = { owner: process.env.MIGRATION_OWNER_ID };
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg === "--dry-run") options.dryRun = true;
+    else if (arg === "--owner") {
+      options.owner = rest[++i];
+      if (!options.owner) throw new Error("--owner needs a user id");
+    } else if (arg === "--to" || arg === "--batch-size") {
+      const value = Number(rest[++i]);
+      if (!Number.isInteger(value) || value < (arg === "--to" ? 0 : 1)) {
+        throw new Error(`${arg} needs a whole number`);
+      }
+      options[arg === "--to" ? "to" : "batchSize"] = value;
+    } else throw new Error(`Unknown option ${arg}`);
+  }
+  return { command, options };
+}
+
+async function printStatus(migrations) {
+  const rows = await migrationStatus(migrations);
+  if (rows.length === 0) console.log("No migrations");
+  rows.forEach(({ version, name, state }) => {
+    const when = state?.appliedAt || state?.rolledBackAt || state?.startedAt;
+    console.log(
+      `${String(version).padStart(3, "0")}-${name}  ${
+        state?.status || "pending"
+      }${when ? `  ${when.toISOString()}` : ""}${
+        state?.error ? `  (${state.error})` : ""
+      }`
+    );
+  });
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    args = {};
+  }
+  const { command, options } = args;
+  if (!["status", "up", "down"].includes(command)) {
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const migrations = await loadMigrations();
+    await mongoose.connect(MONGODB_URI);
+    console.log("✅ Connected to MongoDB");
+    if (options.dryRun) console.log("🔍 Dry run - nothing will be written");
+
+    if (command === "status") {
+      await printStatus(migrations);
+    } else if (command === "up") {
+      const applied = await migrateUp(migrations, options);
+      console.log(
+        applied.length
+          ? `🎉 ${options.dryRun ? "Would apply" : "Applied"} ${
+              applied.length
+            } migration(s)`
+          : "✅ Already up to date"
+      );
+    } else {
+      const rolledBack = await migrateDown(migrations, options);
+      console.log(
+        rolledBack.length
+          ? `↩️  ${options.dryRun ? "Would roll back" : "Rolled back"} ${
+              rolledBack.length
+            } migration(s)`
+          : "✅ Nothing to roll back"
+      );
+    }
+  } catch (error) {
+    console.error("💥 Migration failed:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log("🔌 Database connection closed");
+  }
+}
+
+main();
@@ -0,0 +1,46 @@
+// scripts/rebuild-stats.js
+import mongoose from "mongoose";
+import { rebuildTripStats } from "../src/services/stats.js";
+
+const MONGODB_URI =
+  process.env.MONGODB_URI || "mongodb://localhost:27017/route-nest";
+
+const USAGE = `Usage:
+  node scripts/rebuild-stats.js [--dry-run]   - Recompute every trip's stats
+
+Options:
+  --dry-run         Count the trips with wrong stats without fixing them`;
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.some((arg) => arg !== "--dry-run")) {
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+  const dryRun = args.includes("--dry-run");
+
+  try {
+    await mongoose.connect(MONGODB_URI);
+    console.log("✅ Connected to MongoDB");
+    if (dryRun) console.log("🔍 Dry run - nothing will be written");
+
+    const { checked, updated } = await rebuildTripStats({
+      dryRun,
+      log: console.log,
+    });
+    console.log(
+      `🎉 ${checked} trips checked, ${updated} ${
+        dryRun ? "have wrong stats" : "fixed"
+      }`
+    );
+  } catch (error) {
+    console.error("💥 Rebuilding stats failed:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log("🔌 Database connection closed");
+  }
+}
+
+main();
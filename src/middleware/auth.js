@@ -0,0 +1,90 @@
+import { User } from "../models/User.js";
+import { verifyAccessToken, verifyCalendarToken } from "../utils/tokens.js";
+import { sendError, unauthorized } from "../utils/errors.js";
+
+function extractBearerToken(req) {
+  const header = req.headers.authorization;
+  if (!header) return null;
+  const [scheme, token] = header.split(" ");
+  if (scheme !== "Bearer" || !token) return null;
+  return token;
+}
+
+// Reject the request unless it carries a valid access token.
+// Sets req.user = { id, email } for downstream handlers.
+export function requireAuth(req, res, next) {
+  const token = extractBearerToken(req);
+  if (!token) {
+    return sendError(res, unauthorized("Authentication required"));
+  }
+
+  try {
+    const payload = verifyAccessToken(token);
+    req.user = { id: payload.sub, email: payload.email };
+    next();
+  } catch (error) {
+    const message =
+      error.name === "TokenExpiredError"
+        ? "Access token expired"
+        : "Invalid access token";
+    return sendError(res, unauthorized(message));
+  }
+}
+
+// Attach req.user when a valid token is present, but allow anonymous access
+export function optionalAuth(req, res, next) {
+  const token = extractBearerToken(req);
+  if (!token) return next();
+
+  try {
+    const payload = verifyAccessToken(token);
+    req.user = { id: payload.sub, email: payload.email };
+  } catch (error) {
+    // Ignore bad tokens on public endpoints - treat as anonymous
+  }
+  next();
+}
+
+// Browsers' EventSource can't set headers, so streams also accept the access
+// token as ?access_token=. Use before requireAuth/optionalAuth.
+export function acceptQueryToken(req, res, next) {
+  const token = req.query.access_token;
+  if (!req.headers.authorization && typeof token === "string") {
+    req.headers.authorization = `Bearer ${token}`;
+  }
+  next();
+}
+
+// Calendar apps subscribe with ?token=<calendar token> instead of a header.
+// A token for another trip, or one revoked since, is refused. Use before
+// optionalAuth.
+export async function acceptCalendarToken(req, res, next) {
+  const token = req.query.token;
+  if (typeof token !== "string") return next();
+
+  try {
+    let payload;
+    try {
+      payload = verifyCalendarToken(token);
+    } catch (error) {
+      return sendError(res, unauthorized("Invalid calendar token"));
+    }
+
+    const user = await User.findById(payload.sub).select(
+      "email calendarTokenRevision"
+    );
+    if (
+      !user ||
+      payload.trip !== req.params.id ||
+      payload.rev !== user.calendarTokenRevision
+    ) {
+      return sendError(res, unauthorized("Calendar token has been revoked"));
+    }
+
+    req.user = { id: payload.sub, email: user.email };
+    next();
+  } catch (error) {
+    console.error("Error checking calendar token:", error);
+    sendError(res, error);
+  }
+}
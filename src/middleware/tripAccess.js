@@ -0,0 +1,127 @@
+import mongoose from "mongoose";
+import { TripData } from "../models/TripData.js";
+import { matchesIfMatch } from "./tripVersion.js";
+import {
+  sendError,
+  forbidden,
+  notFound,
+  preconditionFailed,
+} from "../utils/errors.js";
+
+// Roles, from least to most privileged
+const ROLE_RANK = {
+  public: 0,
+  viewer: 1,
+  editor: 2,
+  "co-owner": 3,
+  owner: 4,
+};
+
+// Minimum role required for each access level
+//   read   - anyone who can see the trip (public trips, viewers and up)
+//   member - people the trip is shared with, and its owner (viewers and up)
+//   write  - edit trip details, stops and routes (editors and up)
+//   manage - manage collaborators and visibility (co-owners and up)
+//   owner  - delete the trip, grant co-ownership (owner only)
+const ACCESS_ROLE = {
+  read: "public",
+  member: "viewer",
+  write: "editor",
+  manage: "co-owner",
+  owner: "owner",
+};
+
+// Access levels that only look at the trip
+const READ_ACCESS = new Set(["read", "member"]);
+
+// Resolve the caller's role on a trip, or null if they cannot see it
+export function getTripRole(trip, userId) {
+  if (userId && trip.userId === userId) return "owner";
+
+  if (userId) {
+    const collaborator = trip.collaborators.find((c) => c.userId === userId);
+    if (collaborator) return collaborator.role;
+    // Shared before roles existed - keep the editing access they had
+    if (trip.sharedWith.includes(userId)) return "editor";
+  }
+
+  if (trip.visibility === "public" || trip.isPublic) return "public";
+  return null;
+}
+
+export function hasTripAccess(role, access) {
+  if (!role) return false;
+  return ROLE_RANK[role] >= ROLE_RANK[ACCESS_ROLE[access]];
+}
+
+// Find the trip matching `filter` and the caller's role on it. `denied` is
+// the error to answer with if they may not have `access`.
+async function findTrip(req, filter, access) {
+  // A malformed id can't name any trip
+  const trip = mongoose.isValidObjectId(req.params.id)
+    ? await TripData.findOne(filter)
+    : null;
+  if (!trip) return { denied: notFound("Trip not found") };
+
+  const role = getTripRole(trip, req.user?.id);
+  if (!hasTripAccess(role, access)) {
+    // Don't reveal private trips to people who can't read them
+    return {
+      denied: !role
+        ? notFound("Trip not found")
+        : access === "member"
+        ? forbidden("Only the trip's members can see this")
+        : forbidden("Not allowed to modify this trip"),
+    };
+  }
+  return { trip, role };
+}
+
+// Load the trip named by :id and check the caller may access it. Writes are
+// refused with a 412 if If-Match names an older version of the trip, and
+// otherwise recorded in the trip's history. Pass { deleted: true } to load
+// a trip from the trash instead.
+// Sets req.trip and req.tripRole for downstream handlers, and
+// req.reloadTrip() for commitTripChange.
+export function loadTrip(access = "read", { deleted = false } = {}) {
+  return async (req, res, next) => {
+    const filter = {
+      _id: req.params.id,
+      deletedAt: deleted ? { $ne: null } : null,
+    };
+    const prepare = async (trip) => {
+      await trip.loadItinerary();
+      if (!READ_ACCESS.has(access)) {
+        trip.trackChanges(req.user?.id);
+      }
+      return trip;
+    };
+
+    try {
+      const { trip, role, denied } = await findTrip(req, filter, access);
+      if (denied) {
+        return sendError(res, denied);
+      }
+
+      if (!READ_ACCESS.has(access) && !matchesIfMatch(req, trip)) {
+        return sendError(res, preconditionFailed());
+      }
+
+      req.trip = await prepare(trip);
+      req.tripRole = role;
+      // A write that has to be retried reloads the trip the same way - from
+      // the trash if that's where it was - and only goes ahead if the caller
+      // still has access
+      req.reloadTrip = async () => {
+        const reloaded = await findTrip(req, filter, access);
+        if (reloaded.denied) throw reloaded.denied;
+        req.tripRole = reloaded.role;
+        return prepare(reloaded.trip);
+      };
+      next();
+    } catch (error) {
+      console.error("Error loading trip:", error);
+      sendError(res, error);
+    }
+  };
+}
@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+import { preconditionFailed } from "../utils/errors.js";
+
+// How often a change is re-applied after losing a race with another writer
+const MAX_ATTEMPTS = 3;
+
+// Trips are versioned by __v, which every save bumps
+export function tripETag(trip) {
+  return `"${trip.__v}"`;
+}
+
+// Does the request's If-Match header allow writing this version?
+export function matchesIfMatch(req, trip) {
+  const header = req.get("If-Match");
+  if (!header || header.trim() === "*") return true;
+  const current = tripETag(trip);
+  return header
+    .split(",")
+    .map((tag) => tag.trim().replace(/^W\//, ""))
+    .includes(current);
+}
+
+// Send a trip along with its ETag so clients can make conditional writes
+export function sendTrip(res, trip, status = 200) {
+  res.set("ETag", tripETag(trip));
+  return res.status(status).json(trip);
+}
+
+// Apply `mutate(trip)` to req.trip and save it, resolving to { trip, result }.
+// If another write got in first, clients that sent If-Match get a 412; for
+// the rest the trip is reloaded and `mutate` re-applied, so it may run more
+// than once and must only depend on the trip it's given.
+export async function commitTripChange(req, mutate) {
+  let trip = req.trip;
+  // loadTrip only checks If-Match for write access
+  if (!matchesIfMatch(req, trip)) throw preconditionFailed();
+
+  for (let attempt = 1; ; attempt++) {
+    const result = await mutate(trip);
+    if (!trip.isNew && !trip.isModified()) {
+      req.trip = trip;
+      return { trip, result };
+    }
+    try {
+      await trip.save();
+      req.trip = trip;
+      return { trip, result };
+    } catch (error) {
+      const lostRace = error instanceof mongoose.Error.VersionError;
+      if (!lostRace || req.get("If-Match") || attempt >= MAX_ATTEMPTS) {
+        throw lostRace ? preconditionFailed() : error;
+      }
+      // As loadTrip loaded it, checking the caller's role again
+      trip = await req.reloadTrip();
+    }
+  }
+}
@@ -0,0 +1,79 @@
+import { formatPath, sendError, validationError } from "../utils/errors.js";
+
+// Fields clients sometimes echo back from a GET but that only the server sets
+const SERVER_FIELDS = new Set([
+  "_id",
+  "__v",
+  "userId",
+  "tripId",
+  "stats",
+  "createdAt",
+  "updatedAt",
+  "rating",
+  "reviewCount",
+  "ratingScore",
+  "sharedWith",
+  "clonedFrom",
+  "location",
+  "geometry",
+  "ascent",
+  "descent",
+  "maxGrade",
+  "bbox",
+  "progress",
+  "nextStop",
+  "lastStopId",
+  "deletedAt",
+  "deletedBy",
+  "tracking",
+]);
+
+// Turn zod issues into { path, message } details, one per offending field
+function issueDetails(issues, part) {
+  return issues.flatMap((issue) => {
+    if (issue.code === "unrecognized_keys") {
+      return issue.keys.map((key) => ({
+        path: formatPath([part, ...issue.path, key]),
+        message: SERVER_FIELDS.has(key)
+          ? "Set by the server and can't be changed"
+          : "Unknown field",
+      }));
+    }
+    return [
+      { path: formatPath([part, ...issue.path]), message: issue.message },
+    ];
+  });
+}
+
+// Parse request params, query and body with zod schemas, so handlers see
+// coerced values with defaults applied. All problems are reported together
+// as a 400 VALIDATION_ERROR.
+export function validate(schemas) {
+  return (req, res, next) => {
+    const details = [];
+
+    for (const part of ["params", "query", "body"]) {
+      if (!schemas[part]) continue;
+
+      const result = schemas[part].safeParse(req[part] ?? {});
+      if (!result.success) {
+        details.push(...issueDetails(result.error.issues, part));
+      } else if (part === "query") {
+        // req.query is a getter in Express 5; shadow it with the parsed value
+        Object.defineProperty(req, "query", {
+          value: result.data,
+          writable: true,
+          configurable: true,
+          enumerable: true,
+        });
+      } else {
+        req[part] = result.data;
+      }
+    }
+
+    if (details.length > 0) {
+      return sendError(res, validationError(details));
+    }
+    next();
+  };
+}
@@ -0,0 +1,165 @@
+import mongoose from "mongoose";
+import { lineDistance } from "../utils/geo.js";
+import { MODE_SPEEDS } from "../services/routing/fallback.js";
+
+export const description =
+  "Convert trips from the original schema ({ name, length, stops with " +
+  "plannedTime, routes as bare coordinate arrays }) to the current one";
+
+// Trips still in (or partly in) the original shape: no owner, stops with
+// the old plannedTime, or routes that are bare [[lng, lat], ...] arrays.
+// Having some new fields (a category set by hand, say) doesn't mean the
+// rest was migrated.
+const LEGACY_FILTER = {
+  $or: [
+    { userId: { $exists: false } },
+    { "stops.plannedTime": { $exists: true } },
+    { routes: { $elemMatch: { $type: "array" } } },
+  ],
+};
+
+const DEFAULT_STOP_MINUTES = 60;
+
+function migrateStops(trip) {
+  const stops = trip.stops || [];
+  let lastStopId = Math.max(0, ...stops.map((stop) => stop.id || 0));
+
+  return stops.map((stop, index) => {
+    const isLegacy = !stop.plannedArrival || "plannedTime" in stop;
+    if (!isLegacy) return stop;
+
+    const { plannedTime, ...rest } = stop;
+    return {
+      stopType: "custom",
+      priority: "medium",
+      estimatedDuration: DEFAULT_STOP_MINUTES,
+      isCompleted: false,
+      isSkipped: false,
+      createdAt: trip.createdAt,
+      ...rest,
+      id: stop.id || ++lastStopId,
+      tripId: trip._id.toString(),
+      name: stop.name || `Stop ${index + 1}`,
+      plannedArrival:
+        stop.plannedArrival || plannedTime || trip.createdAt || new Date(),
+      order: stop.order || index + 1,
+      ...(Number.isFinite(stop.lat) &&
+        Number.isFinite(stop.lng) && {
+          location: { type: "Point", coordinates: [stop.lng, stop.lat] },
+        }),
+      updatedAt: new Date(),
+    };
+  });
+}
+
+// Old routes are bare [lng, lat] lines between consecutive stops
+function migrateRoutes(trip, stops) {
+  const walkingSpeed = (MODE_SPEEDS.walking * 1000) / 3600; // m/s
+
+  return (trip.routes || []).map((route, index) => {
+    if (!Array.isArray(route)) return route;
+
+    const distance = Math.round(lineDistance(route));
+    const distinct = new Set(route.map(([lng, lat]) => `${lng},${lat}`));
+    return {
+      id: `route_${trip._id}_${index}`,
+      fromStopId: stops[index]?.id ?? index,
+      toStopId: stops[index + 1]?.id ?? index + 1,
+      coordinates: route,
+      ...(distinct.size >= 2 && {
+        geometry: { type: "LineString", coordinates: route },
+      }),
+      distance,
+      estimatedDuration: Math.round(distance / walkingSpeed),
+      transportMode: "walking",
+      createdAt: trip.createdAt,
+    };
+  });
+}
+
+function migrateTrip(trip, owner) {
+  const stops = migrateStops(trip);
+  const routes = migrateRoutes(trip, stops);
+  const duration = trip.estimatedDuration || trip.length || 1;
+  const visiting = stops.filter((stop) => !stop.isSkipped);
+  const stopMinutes = visiting.reduce(
+    (total, stop) => total + (stop.estimatedDuration || 0),
+    0
+  );
+
+  // Fields the trip already has are kept; only missing ones get defaults
+  return {
+    description: `Migrated trip: ${trip.name}`,
+    userId: owner,
+    category: "custom",
+    isPublic: false,
+    isTemplate: false,
+    visibility: "private",
+    collaborators: [],
+    sharedWith: [],
+    ...trip,
+    createdAt: trip.createdAt || trip._id.getTimestamp(),
+    updatedAt: new Date(),
+    estimatedDuration: duration,
+    length: trip.length || duration,
+    tags: [...new Set([...(trip.tags || []), "migrated"])],
+    stops,
+    routes,
+    lastStopId: Math.max(
+      trip.lastStopId || 0,
+      ...stops.map((stop) => stop.id || 0)
+    ),
+    stats: {
+      difficultyLevel: "easy",
+      ...trip.stats,
+      totalDistance: routes.reduce(
+        (total, route) => total + (route.distance || 0),
+        0
+      ),
+      estimatedDuration: stopMinutes,
+      stopCount: visiting.length,
+      averageStopDuration: visiting.length ? stopMinutes / visiting.length : 0,
+      transportModes: routes.length
+        ? [...new Set(routes.map((route) => route.transportMode || "walking"))]
+        : ["walking"],
+    },
+  };
+}
+
+// Trips from before accounts have no owner; they're given to the user the
+// run names, who must exist
+async function checkOwner(db, owner) {
+  const ownerless = await db
+    .collection("tripdatas")
+    .countDocuments({ userId: { $exists: false } });
+  if (ownerless === 0) return;
+
+  if (!owner) {
+    throw new Error(
+      `${ownerless} legacy trips have no owner; name the user to own them ` +
+        "with --owner or MIGRATION_OWNER_ID"
+    );
+  }
+  const user =
+    mongoose.isValidObjectId(owner) &&
+    (await db
+      .collection("users")
+      .findOne({ _id: new mongoose.Types.ObjectId(owner) }));
+  if (!user) throw new Error(`No user ${owner} to own the legacy trips`);
+}
+
+export async function up({ db, owner, transform, log }) {
+  await checkOwner(db, owner);
+  const { matched, changed } = await transform({
+    collection: "tripdatas",
+    filter: LEGACY_FILTER,
+    transform: (trip) => migrateTrip(trip, owner),
+  });
+  log(`  ${changed} of ${matched} legacy trips migrated`);
+}
+
+// Put migrated trips back exactly as they were
+export async function down({ restore, log }) {
+  const restored = await restore("tripdatas");
+  log(`  ${restored} trips restored`);
+}
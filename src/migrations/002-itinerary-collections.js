@@ -0,0 +1,177 @@
+import mongoose from "mongoose";
+import { boundingBox } from "../utils/geo.js";
+
+export const description =
+  "Move stops and route segments out of trip documents into the stops and " +
+  "routesegments collections, leaving a summary (bbox, stop text) on the trip";
+
+const TRIPS = "tripdatas";
+const STOPS = "stops";
+const ROUTES = "routesegments";
+
+// Indexes over the embedded arrays, replaced by the ones on the new
+// collections and a text index over the trip's stop summary
+const EMBEDDED_INDEXES = {
+  "stops.location_2dsphere": { "stops.location": "2dsphere" },
+  "routes.geometry_2dsphere": { "routes.geometry": "2dsphere" },
+};
+
+const textIndex = (stopFields, stopWeights) => [
+  {
+    name: "text",
+    description: "text",
+    tags: "text",
+    ...Object.fromEntries(stopFields.map((field) => [field, "text"])),
+  },
+  {
+    name: "trip_text_search",
+    weights: { name: 10, tags: 5, description: 3, ...stopWeights },
+    default_language: "none",
+  },
+];
+
+const EMBEDDED_TEXT_INDEX = textIndex(
+  ["stops.name", "stops.address", "stops.notes"],
+  { "stops.name": 3, "stops.address": 1, "stops.notes": 1 }
+);
+const SUMMARY_TEXT_INDEX = textIndex(["stopNames", "stopDetails"], {
+  stopNames: 3,
+  stopDetails: 1,
+});
+
+async function dropIndex(collection, name) {
+  if (await collection.indexExists(name)) await collection.dropIndex(name);
+}
+
+function lineString(coordinates = []) {
+  const distinct = new Set(coordinates.map(([lng, lat]) => `${lng},${lat}`));
+  return distinct.size >= 2 ? { type: "LineString", coordinates } : undefined;
+}
+
+// The stop and segment documents of a trip, with the GeoJSON copies the
+// 2dsphere indexes need (trips from before geo search may lack them)
+function itineraryDocuments(trip) {
+  const tripId = trip._id.toString();
+  const stops = (trip.stops || []).map((stop) => ({
+    ...stop,
+    _id: stop._id || new mongoose.Types.ObjectId(),
+    tripId,
+    location: { type: "Point", coordinates: [stop.lng, stop.lat] },
+  }));
+  const routes = (trip.routes || []).map((route, position) => {
+    const { geometry, ...rest } = route;
+    const line = lineString(route.coordinates);
+    return {
+      ...rest,
+      _id: route._id || new mongoose.Types.ObjectId(),
+      tripId,
+      position,
+      ...(line && { geometry: line }),
+    };
+  });
+  return { stops, routes };
+}
+
+export async function up({ db, dryRun, transform, log }) {
+  const trips = db.collection(TRIPS);
+  let stopCount = 0;
+  let routeCount = 0;
+
+  const { changed } = await transform({
+    collection: TRIPS,
+    filter: {
+      $or: [{ stops: { $exists: true } }, { routes: { $exists: true } }],
+    },
+    transform: async (trip) => {
+      const { stops, routes } = itineraryDocuments(trip);
+      stopCount += stops.length;
+      routeCount += routes.length;
+
+      // Replaced as a whole, so a run that stopped half way can't leave
+      // duplicates behind
+      if (!dryRun) {
+        const tripId = trip._id.toString();
+        await db.collection(STOPS).deleteMany({ tripId });
+        await db.collection(ROUTES).deleteMany({ tripId });
+        if (stops.length > 0) await db.collection(STOPS).insertMany(stops);
+        if (routes.length > 0) await db.collection(ROUTES).insertMany(routes);
+      }
+
+      const { stops: _stops, routes: _routes, ...rest } = trip;
+      const bbox = boundingBox([
+        ...stops.map((stop) => [stop.lng, stop.lat]),
+        ...routes.flatMap((route) => route.coordinates || []),
+      ]);
+      return {
+        ...rest,
+        ...(bbox && { bbox }),
+        stopNames: stops.map((stop) => stop.name),
+        stopDetails: stops.flatMap((stop) =>
+          [stop.address, stop.notes].filter(Boolean)
+        ),
+      };
+    },
+  });
+  log(`  ${changed} trips: ${stopCount} stops, ${routeCount} route segments`);
+
+  if (dryRun) return;
+  for (const name of Object.keys(EMBEDDED_INDEXES)) {
+    await dropIndex(trips, name);
+  }
+  await dropIndex(trips, "trip_text_search");
+  await trips.createIndex(...SUMMARY_TEXT_INDEX);
+}
+
+// Stops or segments with the writes of a save that didn't finish copying
+// them to their collection
+function withWrites(items, { put = [], removed = [] } = {}) {
+  const gone = new Set([...removed, ...put.map((item) => String(item._id))]);
+  return [...items.filter((item) => !gone.has(String(item._id))), ...put];
+}
+
+// Embed the stops and segments again - as they are now, so trips created
+// or edited since the migration keep their itinerary
+export async function down({ db, dryRun, transform, log }) {
+  const trips = db.collection(TRIPS);
+
+  const { changed } = await transform({
+    collection: TRIPS,
+    filter: { stops: { $exists: false } },
+    backup: false,
+    transform: async (trip) => {
+      const tripId = trip._id.toString();
+      const [stored, storedRoutes] = await Promise.all([
+        db
+          .collection(STOPS)
+          .find({ tripId })
+          .sort({ order: 1 })
+          .project({ tripVersion: 0 })
+          .toArray(),
+        db
+          .collection(ROUTES)
+          .find({ tripId })
+          .sort({ position: 1 })
+          .project({ tripVersion: 0 })
+          .toArray(),
+      ]);
+      const { bbox, stopNames, stopDetails, itineraryWrites, ...rest } = trip;
+      const stops = withWrites(stored, itineraryWrites?.stops).sort(
+        (a, b) => a.order - b.order
+      );
+      const routes = withWrites(storedRoutes, itineraryWrites?.routes)
+        .sort((a, b) => a.position - b.position)
+        .map(({ tripId, position, ...route }) => route);
+      return { ...rest, stops, routes };
+    },
+  });
+  log(`  ${changed} trips embed their stops and routes again`);
+
+  if (dryRun) return;
+  await db.collection(STOPS).deleteMany({});
+  await db.collection(ROUTES).deleteMany({});
+  await dropIndex(trips, "trip_text_search");
+  await trips.createIndex(...EMBEDDED_TEXT_INDEX);
+  for (const [name, keys] of Object.entries(EMBEDDED_INDEXES)) {
+    await trips.createIndex(keys, { name });
+  }
+}
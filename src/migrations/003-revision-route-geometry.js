@@ -0,0 +1,78 @@
+import { attachRouteGeometry, detachRouteGeometry } from "../utils/tripDiff.js";
+
+export const description =
+  "Store the route geometry of history snapshots once per trip in " +
+  "revisiongeometries, leaving a geometryRef in each snapshot";
+
+const REVISIONS = "triprevisions";
+const GEOMETRIES = "revisiongeometries";
+
+export async function up({ db, dryRun, transform, log }) {
+  let stored = 0;
+
+  const { changed } = await transform({
+    collection: REVISIONS,
+    filter: { "snapshot.routes.coordinates": { $exists: true } },
+    transform: async (revision) => {
+      const geometries = new Map();
+      revision.snapshot.routes.forEach((route) => {
+        if (!route.geometryRef) detachRouteGeometry(route, geometries);
+      });
+
+      if (!dryRun && geometries.size > 0) {
+        const { upsertedCount } = await db.collection(GEOMETRIES).bulkWrite(
+          [...geometries].map(([hash, geometry]) => ({
+            updateOne: {
+              filter: { tripId: revision.tripId, hash },
+              update: { $setOnInsert: { geometry, createdAt: new Date() } },
+              upsert: true,
+            },
+          }))
+        );
+        stored += upsertedCount;
+      }
+      return revision;
+    },
+  });
+  log(`  ${changed} revisions, ${stored} distinct route geometries`);
+
+  if (dryRun) return;
+  await db
+    .collection(GEOMETRIES)
+    .createIndex({ tripId: 1, hash: 1 }, { unique: true });
+}
+
+// Copy the geometry back into every snapshot that refers to it - revisions
+// recorded since the migration too
+export async function down({ db, dryRun, transform, log }) {
+  const { changed } = await transform({
+    collection: REVISIONS,
+    filter: { "snapshot.routes.geometryRef": { $exists: true } },
+    backup: false,
+    transform: async (revision) => {
+      const refs = revision.snapshot.routes
+        .map((route) => route.geometryRef)
+        .filter(Boolean);
+      const stored = await db
+        .collection(GEOMETRIES)
+        .find({ tripId: revision.tripId, hash: { $in: refs } })
+        .toArray();
+      const geometries = new Map(stored.map((doc) => [doc.hash, doc.geometry]));
+      const missing = refs.find((ref) => !geometries.has(ref));
+      if (missing) {
+        throw new Error(
+          `Route geometry ${missing} of revision ${revision._id} is missing`
+        );
+      }
+
+      return {
+        ...revision,
+        snapshot: attachRouteGeometry(revision.snapshot, geometries),
+      };
+    },
+  });
+  log(`  ${changed} revisions hold their route geometry again`);
+
+  if (dryRun) return;
+  await db.collection(GEOMETRIES).deleteMany({});
+}
@@ -0,0 +1,405 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import mongoose from "mongoose";
+import { Migration } from "../models/Migration.js";
+
+const MIGRATIONS_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+// Originals of every document a migration changed, kept until it's rolled
+// back: { migration, collection, documentId, document, createdAt }
+export const BACKUP_COLLECTION = "migrationbackups";
+
+const DEFAULT_BATCH_SIZE = 500;
+
+// Longest value printed in a dry-run diff
+const MAX_VALUE_LENGTH = 120;
+
+const { EJSON } = mongoose.mongo.BSON;
+
+// The "<version>-<name>.js" migrations in this directory, oldest first. Each
+// exports up(context), down(context) and optionally a description.
+export async function loadMigrations(directory = MIGRATIONS_DIR) {
+  const files = (await fs.readdir(directory))
+    .map((file) => ({ file, match: /^(\d+)-([\w-]+)\.js$/.exec(file) }))
+    .filter(({ match }) => match);
+
+  const migrations = [];
+  for (const { file, match } of files) {
+    const module = await import(pathToFileURL(path.join(directory, file)));
+    if (typeof module.up !== "function" || typeof module.down !== "function") {
+      throw new Error(`Migration ${file} must export up() and down()`);
+    }
+    migrations.push({
+      version: Number(match[1]),
+      name: match[2],
+      description: module.description,
+      up: module.up,
+      down: module.down,
+    });
+  }
+
+  migrations.sort((a, b) => a.version - b.version);
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migration.version === migrations[index - 1].version) {
+      throw new Error(`Two migrations are numbered ${migration.version}`);
+    }
+  });
+  return migrations;
+}
+
+function printable(value) {
+  const text = JSON.stringify(EJSON.serialize(value, { relaxed: true }));
+  return text.length > MAX_VALUE_LENGTH
+    ? `${text.slice(0, MAX_VALUE_LENGTH - 3)}...`
+    : text;
+}
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+// How `after` differs from `before`, one line per changed path: "+ path",
+// "- path" or "~ path: before -> after"
+export function documentDiff(before, after, prefix = "") {
+  const bothArrays = Array.isArray(before) && Array.isArray(after);
+  if (!bothArrays && !(isPlainObject(before) && isPlainObject(after))) {
+    if (before === undefined) return [`+ ${prefix}: ${printable(after)}`];
+    if (after === undefined) return [`- ${prefix}: ${printable(before)}`];
+    return EJSON.stringify(before) === EJSON.stringify(after)
+      ? []
+      : [`~ ${prefix}: ${printable(before)} -> ${printable(after)}`];
+  }
+
+  const keys = bothArrays
+    ? [...Array(Math.max(before.length, after.length)).keys()]
+    : [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  return keys.flatMap((key) =>
+    documentDiff(
+      before[key],
+      after[key],
+      bothArrays ? `${prefix}[${key}]` : prefix ? `${prefix}.${key}` : key
+    )
+  );
+}
+
+// Deep copy that keeps ObjectIds, Dates and other BSON types, with numbers
+// as plain numbers like the driver returns them
+const cloneDocument = (document) =>
+  EJSON.parse(EJSON.stringify(document, { relaxed: false }), {
+    relaxed: true,
+  });
+
+// What a migration's up() and down() get to work with
+function createContext(migration, state, { dryRun, batchSize, owner, log }) {
+  const db = mongoose.connection.db;
+  const backups = db.collection(BACKUP_COLLECTION);
+
+  function logDiff(collection, id, before, after) {
+    const lines = documentDiff(before, after);
+    if (lines.length === 0) return;
+    log(`  ${collection} ${id}`);
+    lines.forEach((line) => log(`    ${line}`));
+  }
+
+  return {
+    db,
+    dryRun,
+    batchSize,
+    // User id to give records that have no owner, when the run names one
+    owner,
+    log,
+
+    // Rewrite the `collection` documents matching `filter` in _id-ordered
+    // batches, resolving to { matched, changed }. `transform` returns the
+    // new document or null to skip it. Originals are backed up unless
+    // `backup` is false, and progress is saved per batch so an interrupted
+    // run resumes.
+    async transform({ collection, filter = {}, transform, backup = true }) {
+      const target = db.collection(collection);
+      let lastId = dryRun ? undefined : state.progress?.[collection];
+      let matched = 0;
+      let changed = 0;
+
+      for (;;) {
+        const query =
+          lastId === undefined
+            ? filter
+            : { $and: [filter, { _id: { $gt: lastId } }] };
+        const batch = await target
+          .find(query)
+          .sort({ _id: 1 })
+          .limit(batchSize)
+          .toArray();
+        if (batch.length === 0) break;
+        matched += batch.length;
+
+        const updates = [];
+        for (const original of batch) {
+          const updated = await transform(cloneDocument(original));
+          if (!updated) continue;
+          const replacement = { ...updated, _id: original._id };
+          if (documentDiff(original, replacement).length === 0) continue;
+          updates.push({ original, replacement });
+        }
+        changed += updates.length;
+        lastId = batch[batch.length - 1]._id;
+
+        if (dryRun) {
+          updates.forEach(({ original, replacement }) =>
+            logDiff(collection, original._id, original, replacement)
+          );
+          continue;
+        }
+
+        if (updates.length > 0 && backup) {
+          // A document already backed up by an earlier, interrupted run
+          // keeps its first backup
+          await backups.bulkWrite(
+            updates.map(({ original }) => ({
+              updateOne: {
+                filter: {
+                  migration: migration.version,
+                  collection,
+                  documentId: original._id,
+                },
+                update: {
+                  $setOnInsert: { document: original, createdAt: new Date() },
+                },
+                upsert: true,
+              },
+            }))
+          );
+        }
+        if (updates.length > 0) {
+          await target.bulkWrite(
+            updates.map(({ original, replacement }) => ({
+              replaceOne: { filter: { _id: original._id }, replacement },
+            }))
+          );
+        }
+        await Migration.updateOne(
+          { version: migration.version },
+          {
+            $set: { [`progress.${collection}`]: lastId },
+            $inc: { changed: updates.length },
+          }
+        );
+        log(`  ${collection}: ${matched} checked, ${changed} changed`);
+      }
+
+      return { matched, changed };
+    },
+
+    // Put back the originals of the `collection` documents this migration
+    // changed, dropping the backups. Resolves to the number restored.
+    async restore(collection) {
+      const query = { migration: migration.version, collection };
+      let lastId;
+      let restored = 0;
+
+      for (;;) {
+        const batch = await backups
+          .find(
+            lastId === undefined ? query : { ...query, _id: { $gt: lastId } }
+          )
+          .sort({ _id: 1 })
+          .limit(batchSize)
+          .toArray();
+        if (batch.length === 0) break;
+        lastId = batch[batch.length - 1]._id;
+        restored += batch.length;
+
+        if (dryRun) {
+          const current = await db
+            .collection(collection)
+            .find({ _id: { $in: batch.map((backup) => backup.documentId) } })
+            .toArray();
+          const byId = new Map(current.map((doc) => [String(doc._id), doc]));
+          batch.forEach((backup) =>
+            logDiff(
+              collection,
+              backup.documentId,
+              byId.get(String(backup.documentId)) || {},
+              backup.document
+            )
+          );
+          continue;
+        }
+
+        await db.collection(collection).bulkWrite(
+          batch.map((backup) => ({
+            replaceOne: {
+              filter: { _id: backup.documentId },
+              replacement: backup.document,
+              upsert: true,
+            },
+          }))
+        );
+        await backups.deleteMany({
+          _id: { $in: batch.map((backup) => backup._id) },
+        });
+        log(`  ${collection}: ${restored} restored`);
+      }
+
+      return restored;
+    },
+  };
+}
+
+// Migrations with their recorded state, oldest first
+export async function migrationStatus(migrations) {
+  const states = await Migration.find().lean();
+  const byVersion = new Map(states.map((state) => [state.version, state]));
+  return migrations.map((migration) => ({
+    ...migration,
+    state: byVersion.get(migration.version),
+  }));
+}
+
+// Apply pending migrations up to version `to` (all by default), in order,
+// resuming one that failed or was interrupted. A dry run prints the changes
+// against the data as it is now. `owner` gets records that have none.
+export async function migrateUp(
+  migrations,
+  {
+    to = Infinity,
+    dryRun = false,
+    batchSize = DEFAULT_BATCH_SIZE,
+    owner,
+    log = console.log,
+  } = {}
+) {
+  const pending = (await migrationStatus(migrations)).filter(
+    ({ version, state }) => version <= to && state?.status !== "applied"
+  );
+  if (!dryRun) {
+    await mongoose.connection.db
+      .collection(BACKUP_COLLECTION)
+      .createIndex(
+        { migration: 1, collection: 1, documentId: 1 },
+        { unique: true }
+      );
+  }
+
+  for (const migration of pending) {
+    log(
+      `${dryRun ? "Would apply" : "Applying"} ${migration.version}-${
+        migration.name
+      }`
+    );
+    let state = migration.state;
+    if (!dryRun) {
+      // Only a run that was interrupted mid-way resumes from its progress;
+      // after a rollback that failed, what's saved is the rollback's
+      const resume = ["running", "failed"].includes(state?.status);
+      state = await Migration.findOneAndUpdate(
+        { version: migration.version },
+        {
+          $set: {
+            name: migration.name,
+            status: "running",
+            startedAt: new Date(),
+            ...(!resume && { progress: {}, changed: 0 }),
+          },
+          $unset: { error: 1 },
+        },
+        { upsert: true, new: true, lean: true }
+      );
+    }
+
+    try {
+      await migration.up(
+        createContext(migration, state || {}, {
+          dryRun,
+          batchSize,
+          owner,
+          log,
+        })
+      );
+    } catch (error) {
+      if (!dryRun) {
+        await Migration.updateOne(
+          { version: migration.version },
+          { status: "failed", error: error.message }
+        );
+      }
+      throw error;
+    }
+
+    if (!dryRun) {
+      await Migration.updateOne(
+        { version: migration.version },
+        { status: "applied", appliedAt: new Date() }
+      );
+    }
+  }
+  return pending.map(({ version, name }) => ({ version, name }));
+}
+
+// Roll back migrations newer than version `to`, newest first, or only the
+// latest without `to`. A failed or interrupted rollback resumes.
+export async function migrateDown(
+  migrations,
+  { to, dryRun = false, batchSize = DEFAULT_BATCH_SIZE, log = console.log } = {}
+) {
+  const rollBack = (await migrationStatus(migrations))
+    .filter(({ state }) => state && state.status !== "rolled_back")
+    .reverse();
+  const targets =
+    to === undefined
+      ? rollBack.slice(0, 1)
+      : rollBack.filter(({ version }) => version > to);
+
+  for (const migration of targets) {
+    log(
+      `${dryRun ? "Would roll back" : "Rolling back"} ${migration.version}-${
+        migration.name
+      }`
+    );
+    let state = migration.state;
+    if (!dryRun) {
+      // Progress saved by up() means nothing to down()
+      const resume = ["rolling_back", "rollback_failed"].includes(state.status);
+      state = await Migration.findOneAndUpdate(
+        { version: migration.version },
+        {
+          $set: { status: "rolling_back", ...(!resume && { progress: {} }) },
+          $unset: { error: 1 },
+        },
+        { new: true, lean: true }
+      );
+    }
+
+    try {
+      await migration.down(
+        createContext(migration, state, { dryRun, batchSize, log })
+      );
+    } catch (error) {
+      if (!dryRun) {
+        await Migration.updateOne(
+          { version: migration.version },
+          { status: "rollback_failed", error: error.message }
+        );
+      }
+      throw error;
+    }
+
+    if (!dryRun) {
+      await mongoose.connection.db
+        .collection(BACKUP_COLLECTION)
+        .deleteMany({ migration: migration.version });
+      await Migration.updateOne(
+        { version: migration.version },
+        {
+          status: "rolled_back",
+          rolledBackAt: new Date(),
+          progress: {},
+          changed: 0,
+        }
+      );
+    }
+  }
+  return targets.map(({ version, name }) => ({ version, name }));
+}
@@ -0,0 +1,122 @@
+import mongoose from "mongoose";
+import { STOP_TYPES } from "./TripData.js";
+import { isValidCurrency } from "../utils/currency.js";
+
+// Stop types, so a stop's expenses file under the same heading, plus costs
+// of getting between stops
+export const EXPENSE_CATEGORIES = [...STOP_TYPES, "fuel", "tickets"];
+
+// Share of an expense owed by one person, relative to the other shares
+const splitSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+    },
+    shares: {
+      type: Number,
+      min: 0,
+      default: 1,
+    },
+  },
+  { _id: false }
+);
+
+// Expense Schema - a planned or actual cost on a trip. Kept out of the trip
+// document: expenses are private to the trip's members, even on public
+// trips, and aren't part of its history.
+const expenseSchema = new mongoose.Schema({
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "TripData",
+    required: true,
+    immutable: true,
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200,
+  },
+  category: {
+    type: String,
+    required: true,
+    enum: EXPENSE_CATEGORIES,
+    default: "custom",
+  },
+  // What the expense is for: a stop, or travel between two stops. Segments
+  // are named by their stops since route ids change when routes are rebuilt.
+  stopId: {
+    type: Number,
+  },
+  segment: {
+    type: new mongoose.Schema(
+      {
+        fromStopId: { type: Number, required: true },
+        toStopId: { type: Number, required: true },
+      },
+      { _id: false }
+    ),
+  },
+  // Budgeted amount, and what was actually paid, in `currency`
+  plannedAmount: {
+    type: Number,
+    min: 0,
+  },
+  amount: {
+    type: Number,
+    min: 0,
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    validate: {
+      validator: isValidCurrency,
+      message: (props) => `${props.value} is not a valid currency code`,
+    },
+  },
+  // Units of the trip's currency per unit of `currency`, when known from
+  // the payment itself; otherwise the configured rates table is used
+  exchangeRate: {
+    type: Number,
+    min: 0,
+  },
+  // Who paid, and who the cost is shared between
+  paidBy: {
+    type: String,
+  },
+  splits: {
+    type: [splitSchema],
+    default: [],
+  },
+  date: {
+    type: Date,
+  },
+  notes: {
+    type: String,
+    maxlength: 1000,
+  },
+  createdBy: {
+    type: String,
+    immutable: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+expenseSchema.pre("save", function (next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+expenseSchema.index({ tripId: 1, date: 1 });
+
+export const Expense = mongoose.model("Expense", expenseSchema);
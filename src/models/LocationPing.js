@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+// LocationPing Schema - GPS fixes sent while a trip is being tracked. Stored
+// in a time-series collection bucketed by trip rather than on the trip
+// document, so a long day of pings doesn't bloat or contend with the trip.
+const locationPingSchema = new mongoose.Schema(
+  {
+    tripId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TripData",
+      required: true,
+    },
+    recordedAt: {
+      type: Date,
+      required: true,
+    },
+    // Who sent the ping
+    userId: {
+      type: String,
+    },
+    lat: {
+      type: Number,
+      required: true,
+      min: -90,
+      max: 90,
+    },
+    lng: {
+      type: Number,
+      required: true,
+      min: -180,
+      max: 180,
+    },
+    accuracy: {
+      type: Number, // In meters
+      min: 0,
+    },
+    speed: {
+      type: Number, // In meters per second
+      min: 0,
+    },
+    heading: {
+      type: Number, // Degrees clockwise from north
+      min: 0,
+      max: 360,
+    },
+  },
+  {
+    timeseries: {
+      timeField: "recordedAt",
+      metaField: "tripId",
+      granularity: "seconds",
+    },
+    versionKey: false,
+  }
+);
+
+locationPingSchema.index({ tripId: 1, recordedAt: 1 });
+
+export const LocationPing = mongoose.model("LocationPing", locationPingSchema);
@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+export const MIGRATION_STATUSES = [
+  "running",
+  "applied",
+  "failed",
+  "rolling_back",
+  "rollback_failed",
+  "rolled_back",
+];
+
+// Migration Schema - the state of one numbered migration in
+// src/migrations. Written by the runner only.
+const migrationSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: MIGRATION_STATUSES,
+  },
+  // Last _id transformed per collection, so an interrupted run picks up
+  // where it stopped
+  progress: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  // Documents changed by the last run
+  changed: {
+    type: Number,
+    default: 0,
+  },
+  error: {
+    type: String,
+  },
+  startedAt: {
+    type: Date,
+  },
+  appliedAt: {
+    type: Date,
+  },
+  rolledBackAt: {
+    type: Date,
+  },
+});
+
+export const Migration = mongoose.model("Migration", migrationSchema);
@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+
+// Photo Schema - an uploaded image and its thumbnail. The image's URL is
+// also listed in its stop's `photos`, so clients that only read stops see
+// it too.
+const photoSchema = new mongoose.Schema({
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "TripData",
+    required: true,
+    immutable: true,
+  },
+  // Stop the photo is attached to; unset while it isn't attached to any
+  stopId: {
+    type: Number,
+  },
+  // Storage keys and the URLs they're served at
+  key: {
+    type: String,
+    required: true,
+  },
+  url: {
+    type: String,
+    required: true,
+  },
+  thumbnailKey: {
+    type: String,
+    required: true,
+  },
+  thumbnailUrl: {
+    type: String,
+    required: true,
+  },
+  contentType: {
+    type: String,
+    required: true,
+  },
+  size: {
+    type: Number, // In bytes, as stored
+    min: 0,
+  },
+  width: {
+    type: Number,
+  },
+  height: {
+    type: Number,
+  },
+  originalName: {
+    type: String,
+    maxlength: 255,
+  },
+  caption: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+  },
+  // From the photo's EXIF data, when present
+  takenAt: {
+    type: Date,
+  },
+  lat: {
+    type: Number,
+    min: -90,
+    max: 90,
+  },
+  lng: {
+    type: Number,
+    min: -180,
+    max: 180,
+  },
+  // Stop the EXIF location/time points to, offered to the uploader
+  suggestedStopId: {
+    type: Number,
+  },
+  uploadedBy: {
+    type: String,
+    immutable: true,
+  },
+  // Set when the photo's stop is removed from the trip. Cleared if the stop
+  // comes back (e.g. undo); purged after the trash retention period.
+  orphanedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true,
+  },
+});
+
+photoSchema.index({ tripId: 1, stopId: 1, createdAt: 1 });
+photoSchema.index({ orphanedAt: 1 }, { sparse: true });
+
+export const Photo = mongoose.model("Photo", photoSchema);
@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+// Review Schema - one review per user per trip
+const reviewSchema = new mongoose.Schema({
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "TripData",
+    required: true,
+    immutable: true,
+  },
+  userId: {
+    type: String,
+    required: true,
+    immutable: true,
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5,
+    validate: {
+      validator: Number.isInteger,
+      message: "Rating must be a whole number from 1 to 5",
+    },
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 120,
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: 5000,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+reviewSchema.pre("save", function (next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+reviewSchema.index({ tripId: 1, userId: 1 }, { unique: true });
+reviewSchema.index({ tripId: 1, createdAt: -1 });
+reviewSchema.index({ userId: 1, createdAt: -1 });
+
+export const Review = mongoose.model("Review", reviewSchema);
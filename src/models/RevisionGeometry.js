@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+// RevisionGeometry Schema - the coordinates, turn instructions and elevation
+// profile of a route segment as history snapshots refer to them (by
+// `hash`, see tripDiff.js). A route that keeps its shape across many
+// revisions is stored once rather than in every snapshot.
+const revisionGeometrySchema = new mongoose.Schema(
+  {
+    tripId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TripData",
+      required: true,
+      immutable: true,
+    },
+    hash: {
+      type: String,
+      required: true,
+      immutable: true,
+    },
+    geometry: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      immutable: true,
+    },
+  },
+  { versionKey: false }
+);
+
+revisionGeometrySchema.index({ tripId: 1, hash: 1 }, { unique: true });
+
+export const RevisionGeometry = mongoose.model(
+  "RevisionGeometry",
+  revisionGeometrySchema
+);
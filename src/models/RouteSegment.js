@@ -0,0 +1,137 @@
+import mongoose from "mongoose";
+
+export const TRANSPORT_MODES = [
+  "walking",
+  "cycling",
+  "motorcycle",
+  "car",
+  "public_transport",
+  "boat",
+  "flight",
+];
+
+// GeoJSON copy of a segment's coordinates, so routes can be 2dsphere
+// indexed
+const lineStringSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["LineString"],
+      required: true,
+    },
+    coordinates: {
+      type: [[Number]], // [[lng, lat], ...]
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// Route Segment Schema
+export const routeSegmentSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+  },
+  fromStopId: {
+    type: Number,
+    required: true,
+  },
+  toStopId: {
+    type: Number,
+    required: true,
+  },
+  // Route geometry
+  coordinates: {
+    type: [[Number]], // Array of [lng, lat] points
+    default: [],
+  },
+  // GeoJSON copy of coordinates, kept in sync on save
+  geometry: {
+    type: lineStringSchema,
+  },
+  distance: {
+    type: Number,
+    required: true,
+    min: 0, // In meters
+  },
+  estimatedDuration: {
+    type: Number,
+    required: true,
+    min: 0, // In seconds
+  },
+  // Transportation
+  transportMode: {
+    type: String,
+    required: true,
+    enum: TRANSPORT_MODES,
+    default: "walking",
+  },
+  // Engine that produced the geometry ("osrm", "valhalla", "fallback", ...)
+  provider: {
+    type: String,
+  },
+  // Route details
+  instructions: [
+    {
+      instruction: String,
+      distance: Number,
+      duration: Number,
+      coordinates: [Number], // [lng, lat]
+    },
+  ],
+  elevationProfile: [
+    {
+      lat: Number,
+      lng: Number,
+      distance: Number, // Meters from the start of the segment
+      elevation: Number, // Meters above sea level
+    },
+  ],
+  // Climbing along the elevation profile, kept in sync on save
+  ascent: {
+    type: Number,
+    min: 0, // In meters
+  },
+  descent: {
+    type: Number,
+    min: 0, // In meters
+  },
+  maxGrade: {
+    type: Number,
+    min: 0, // Steepest grade in percent, uphill or down
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Each segment is also stored as its own document, with the same _id it has
+// in trip.routes. TripData loads and writes them; nothing else should.
+const storedRouteSegmentSchema = routeSegmentSchema.clone();
+storedRouteSegmentSchema.set("versionKey", false);
+storedRouteSegmentSchema.add({
+  tripId: {
+    type: String,
+    required: true,
+  },
+  // Index in trip.routes
+  position: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // Version of the trip save that wrote it
+  tripVersion: {
+    type: Number,
+    min: 0,
+  },
+});
+storedRouteSegmentSchema.index({ tripId: 1, position: 1 });
+storedRouteSegmentSchema.index({ geometry: "2dsphere" });
+
+export const RouteSegment = mongoose.model(
+  "RouteSegment",
+  storedRouteSegmentSchema
+);
@@ -0,0 +1,97 @@
+import mongoose from "mongoose";
+import bcrypt from "bcryptjs";
+
+const BCRYPT_ROUNDS = 12;
+
+// Share Link Schema - a revocable link to a read-only view of a trip, for
+// people without an account. Only a hash of the link's token is stored; the
+// token itself is shown once, when the link is created.
+const shareLinkSchema = new mongoose.Schema({
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "TripData",
+    required: true,
+    immutable: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    immutable: true,
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+  },
+  // Set when the link needs a password as well as its token
+  passwordHash: {
+    type: String,
+  },
+  expiresAt: {
+    type: Date,
+  },
+  createdBy: {
+    type: String,
+    required: true,
+    immutable: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true,
+  },
+  revokedAt: {
+    type: Date,
+  },
+  revokedBy: {
+    type: String,
+  },
+  viewCount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  lastViewedAt: {
+    type: Date,
+  },
+});
+
+shareLinkSchema.virtual("hasPassword").get(function () {
+  return Boolean(this.passwordHash);
+});
+
+shareLinkSchema.virtual("isActive").get(function () {
+  return (
+    !this.revokedAt &&
+    (!this.expiresAt || this.expiresAt.getTime() > Date.now())
+  );
+});
+
+shareLinkSchema.methods.setPassword = async function (password) {
+  this.passwordHash = password
+    ? await bcrypt.hash(password, BCRYPT_ROUNDS)
+    : undefined;
+};
+
+shareLinkSchema.methods.verifyPassword = function (password) {
+  if (!this.passwordHash) return Promise.resolve(true);
+  if (!password) return Promise.resolve(false);
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+// Never leak the token hash or password hash
+shareLinkSchema.set("toJSON", {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    delete ret.passwordHash;
+    delete ret.__v;
+    delete ret.id;
+    return ret;
+  },
+});
+
+shareLinkSchema.index({ tokenHash: 1 }, { unique: true });
+shareLinkSchema.index({ tripId: 1, createdAt: -1 });
+
+export const ShareLink = mongoose.model("ShareLink", shareLinkSchema);
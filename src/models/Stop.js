@@ -0,0 +1,190 @@
+import mongoose from "mongoose";
+
+export const STOP_TYPES = [
+  "attraction",
+  "food",
+  "accommodation",
+  "transport",
+  "shopping",
+  "nature",
+  "culture",
+  "activity",
+  "rest",
+  "custom",
+];
+
+export const PRIORITIES = ["low", "medium", "high"];
+
+// GeoJSON copy of a stop's lat/lng, so stops can be 2dsphere indexed
+const pointSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["Point"],
+      required: true,
+    },
+    coordinates: {
+      type: [Number], // [lng, lat]
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// Stop Schema - matches the new Stop interface
+export const stopSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    required: true,
+  },
+  tripId: {
+    type: String,
+    required: true,
+  },
+  // Location data
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    minlength: 1,
+    maxlength: 200,
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+  },
+  lat: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90,
+  },
+  lng: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180,
+  },
+  address: {
+    type: String,
+    trim: true,
+  },
+  placeId: {
+    type: String,
+    trim: true,
+  },
+  // GeoJSON copy of lat/lng, kept in sync on save
+  location: {
+    type: pointSchema,
+  },
+  // Timing
+  plannedArrival: {
+    type: Date,
+    required: true,
+  },
+  plannedDeparture: {
+    type: Date,
+  },
+  estimatedDuration: {
+    type: Number,
+    required: true,
+    min: 1, // At least 1 minute
+    default: 60,
+  },
+  // Keep plannedArrival as-is when scheduling (e.g. booked tours)
+  fixedTime: {
+    type: Boolean,
+    default: false,
+  },
+  // Daily opening hours in the trip's time zone
+  openingHours: {
+    opens: {
+      type: String,
+      match: /^([01]\d|2[0-3]):[0-5]\d$/,
+    },
+    closes: {
+      type: String,
+      match: /^([01]\d|2[0-3]):[0-5]\d$/,
+    },
+    closedDays: {
+      type: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday ... 6 = Saturday
+      default: undefined,
+    },
+  },
+  actualArrival: {
+    type: Date,
+  },
+  actualDeparture: {
+    type: Date,
+  },
+  // Stop details
+  stopType: {
+    type: String,
+    required: true,
+    enum: STOP_TYPES,
+    default: "custom",
+  },
+  priority: {
+    type: String,
+    required: true,
+    enum: PRIORITIES,
+    default: "medium",
+  },
+  cost: {
+    type: Number,
+    min: 0,
+  },
+  notes: {
+    type: String,
+    maxlength: 1000,
+  },
+  photos: {
+    type: [String],
+    default: [],
+  },
+  // Ordering
+  order: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  // Trip day the stop belongs to (1-based); unset means day 1
+  day: {
+    type: Number,
+    min: 1,
+  },
+  // Status
+  isCompleted: {
+    type: Boolean,
+    default: false,
+  },
+  isSkipped: {
+    type: Boolean,
+    default: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Each stop is also stored as its own document, with the same _id it has in
+// trip.stops. TripData loads and writes them; nothing else should.
+const storedStopSchema = stopSchema.clone();
+storedStopSchema.set("versionKey", false);
+storedStopSchema.add({
+  // Version of the trip save that wrote it
+  tripVersion: {
+    type: Number,
+    min: 0,
+  },
+});
+storedStopSchema.index({ tripId: 1, order: 1 });
+storedStopSchema.index({ location: "2dsphere" });
+
+export const Stop = mongoose.model("Stop", storedStopSchema);
@@ -1,196 +1,68 @@
 import mongoose from "mongoose";
+import { TripRevision } from "./TripRevision.js";
+import { RevisionGeometry } from "./RevisionGeometry.js";
+import { Stop, stopSchema, STOP_TYPES, PRIORITIES } from "./Stop.js";
+import {
+  RouteSegment,
+  routeSegmentSchema,
+  TRANSPORT_MODES,
+} from "./RouteSegment.js";
+import { isValidTimeZone } from "../utils/time.js";
+import { isValidCurrency } from "../utils/currency.js";
+import { profileStats } from "../utils/elevation.js";
+import { computeTripStats, summarizeItinerary } from "../utils/tripStats.js";
+import { tripEvents } from "../utils/tripEvents.js";
+import {
+  snapshotTrip,
+  diffSnapshots,
+  summarizeChanges,
+  attachRouteGeometry,
+} from "../utils/tripDiff.js";
 
-// Stop Schema - matches the new Stop interface
-const stopSchema = new mongoose.Schema({
-  id: {
-    type: Number,
-    required: true,
-  },
-  tripId: {
-    type: String,
-    required: true,
-  },
-  // Location data
-  name: {
-    type: String,
-    required: true,
-    trim: true,
-    minlength: 1,
-    maxlength: 200,
-  },
-  description: {
-    type: String,
-    trim: true,
-    maxlength: 500,
-  },
-  lat: {
-    type: Number,
-    required: true,
-    min: -90,
-    max: 90,
-  },
-  lng: {
-    type: Number,
-    required: true,
-    min: -180,
-    max: 180,
-  },
-  address: {
-    type: String,
-    trim: true,
-  },
-  placeId: {
-    type: String,
-    trim: true,
-  },
-  // Timing
-  plannedArrival: {
-    type: Date,
-    required: true,
-  },
-  plannedDeparture: {
-    type: Date,
-  },
-  estimatedDuration: {
-    type: Number,
-    required: true,
-    min: 1, // At least 1 minute
-    default: 60,
-  },
-  actualArrival: {
-    type: Date,
-  },
-  actualDeparture: {
-    type: Date,
-  },
-  // Stop details
-  stopType: {
-    type: String,
-    required: true,
-    enum: [
-      "attraction",
-      "food",
-      "accommodation",
-      "transport",
-      "shopping",
-      "nature",
-      "culture",
-      "activity",
-      "rest",
-      "custom",
-    ],
-    default: "custom",
-  },
-  priority: {
-    type: String,
-    required: true,
-    enum: ["low", "medium", "high"],
-    default: "medium",
-  },
-  cost: {
-    type: Number,
-    min: 0,
-  },
-  notes: {
-    type: String,
-    maxlength: 1000,
-  },
-  photos: {
-    type: [String],
-    default: [],
-  },
-  // Ordering
-  order: {
-    type: Number,
-    required: true,
-    min: 1,
-  },
-  // Status
-  isCompleted: {
-    type: Boolean,
-    default: false,
-  },
-  isSkipped: {
-    type: Boolean,
-    default: false,
-  },
-  createdAt: {
-    type: Date,
-    default: Date.now,
-  },
-  updatedAt: {
-    type: Date,
-    default: Date.now,
-  },
-});
+export { STOP_TYPES, PRIORITIES, TRANSPORT_MODES };
 
-// Route Segment Schema
-const routeSegmentSchema = new mongoose.Schema({
-  id: {
-    type: String,
-    required: true,
-  },
-  fromStopId: {
-    type: Number,
-    required: true,
-  },
-  toStopId: {
-    type: Number,
-    required: true,
-  },
-  // Route geometry
-  coordinates: {
-    type: [[Number]], // Array of [lng, lat] points
-    default: [],
-  },
-  distance: {
-    type: Number,
-    required: true,
-    min: 0, // In meters
-  },
-  estimatedDuration: {
-    type: Number,
-    required: true,
-    min: 0, // In seconds
-  },
-  // Transportation
-  transportMode: {
-    type: String,
-    required: true,
-    enum: [
-      "walking",
-      "cycling",
-      "motorcycle",
-      "car",
-      "public_transport",
-      "boat",
-      "flight",
-    ],
-    default: "walking",
-  },
-  // Route details
-  instructions: [
-    {
-      instruction: String,
-      distance: Number,
-      duration: Number,
-      coordinates: [Number], // [lng, lat]
+export const DIFFICULTY_LEVELS = ["easy", "moderate", "challenging"];
+
+export const TRIP_CATEGORIES = [
+  "cultural",
+  "adventure",
+  "food_tour",
+  "nature",
+  "city_exploration",
+  "road_trip",
+  "motorcycle_tour",
+  "walking_tour",
+  "business",
+  "custom",
+];
+
+export const VISIBILITIES = ["private", "public", "shared"];
+
+export const COLLABORATOR_ROLES = ["viewer", "editor", "co-owner"];
+
+const modeStatsSchema = new mongoose.Schema(
+  {
+    mode: {
+      type: String,
+      required: true,
+      enum: TRANSPORT_MODES,
     },
-  ],
-  elevationProfile: [
-    {
-      lat: Number,
-      lng: Number,
-      elevation: Number,
+    distance: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    duration: {
+      type: Number,
+      min: 0,
+      default: 0,
     },
-  ],
-  createdAt: {
-    type: Date,
-    default: Date.now,
   },
-});
+  { _id: false }
+);
 
-// Trip Stats Schema
+// Trip Stats Schema - computed by computeTripStats whenever stops or routes
+// change; never written any other way
 const tripStatsSchema = new mongoose.Schema({
   totalDistance: {
     type: Number,
@@ -198,12 +70,23 @@ const tripStatsSchema = new mongoose.Schema({
     min: 0,
     default: 0,
   },
+  // Minutes: travel along the routes plus time spent at stops
   estimatedDuration: {
     type: Number,
     required: true,
     min: 0,
     default: 0,
   },
+  travelDuration: {
+    type: Number,
+    min: 0, // In seconds
+    default: 0,
+  },
+  stopDuration: {
+    type: Number,
+    min: 0, // In minutes
+    default: 0,
+  },
   stopCount: {
     type: Number,
     required: true,
@@ -217,28 +100,126 @@ const tripStatsSchema = new mongoose.Schema({
   },
   transportModes: {
     type: [String],
-    enum: [
-      "walking",
-      "cycling",
-      "motorcycle",
-      "car",
-      "public_transport",
-      "boat",
-      "flight",
-    ],
+    enum: TRANSPORT_MODES,
     default: ["walking"],
   },
+  // Distance (meters) and travel time (seconds) per transport mode
+  modeBreakdown: {
+    type: [modeStatsSchema],
+    default: [],
+  },
   estimatedCost: {
     type: Number,
     min: 0,
   },
+  totalAscent: {
+    type: Number,
+    min: 0, // In meters
+    default: 0,
+  },
+  totalDescent: {
+    type: Number,
+    min: 0, // In meters
+    default: 0,
+  },
+  maxGrade: {
+    type: Number,
+    min: 0, // In percent
+    default: 0,
+  },
+  // Derived from each day's walking and cycling distance, climb and grades
   difficultyLevel: {
     type: String,
-    enum: ["easy", "moderate", "challenging"],
+    enum: DIFFICULTY_LEVELS,
     default: "easy",
   },
+  // Share (0-1) of the stops still planned that are completed
+  completion: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 0,
+  },
 });
 
+// Day Plan Schema - per-day details for multi-day trips
+const dayPlanSchema = new mongoose.Schema(
+  {
+    day: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    title: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    notes: {
+      type: String,
+      maxlength: 1000,
+    },
+    // Where the night is spent; defaults to the day's last accommodation stop
+    accommodationStopId: {
+      type: Number,
+    },
+  },
+  { _id: false }
+);
+
+// Tracking Schema - live "trip in progress" mode. Positions themselves are
+// stored as LocationPings; stops are only updated when a ping crosses a
+// geofence.
+const trackingSchema = new mongoose.Schema(
+  {
+    active: {
+      type: Boolean,
+      default: false,
+    },
+    startedAt: {
+      type: Date,
+    },
+    startedBy: {
+      type: String,
+    },
+    stoppedAt: {
+      type: Date,
+    },
+    // Distance from a stop (meters) within which the traveller is "there"
+    geofenceRadius: {
+      type: Number,
+      min: 20,
+      max: 1000,
+      default: 100,
+    },
+  },
+  { _id: false }
+);
+
+// Collaborator Schema - a user the trip is shared with, and what they may do
+const collaboratorSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+    },
+    role: {
+      type: String,
+      required: true,
+      enum: COLLABORATOR_ROLES,
+      default: "viewer",
+    },
+    invitedBy: {
+      type: String,
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
 // Main Trip Schema - matches the new Trip interface
 const tripSchema = new mongoose.Schema({
   name: {
@@ -256,7 +237,6 @@ const tripSchema = new mongoose.Schema({
   userId: {
     type: String,
     required: true,
-    default: "default-user", // Temporary until auth is implemented
   },
   // Trip metadata
   createdAt: {
@@ -274,6 +254,15 @@ const tripSchema = new mongoose.Schema({
   endDate: {
     type: Date,
   },
+  // IANA time zone used to interpret opening hours and day boundaries
+  timezone: {
+    type: String,
+    default: "UTC",
+    validate: {
+      validator: isValidTimeZone,
+      message: (props) => `${props.value} is not a valid time zone`,
+    },
+  },
   estimatedDuration: {
     type: Number,
     required: true,
@@ -289,7 +278,14 @@ const tripSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
-  // Route data
+  // Trip this one was cloned from, if any
+  clonedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "TripData",
+  },
+  // Route data. Stops and routes are stored in their own collections (see
+  // Stop and RouteSegment), never in the trip document: they're read in
+  // with loadItinerary() and written back after each save.
   stops: {
     type: [stopSchema],
     default: [],
@@ -298,11 +294,37 @@ const tripSchema = new mongoose.Schema({
     type: [routeSegmentSchema],
     default: [],
   },
+  dayPlans: {
+    type: [dayPlanSchema],
+    default: [],
+  },
   // Trip statistics
   stats: {
     type: tripStatsSchema,
     default: () => ({}),
   },
+  // Kept in sync with the stops and routes on save, so lists and search
+  // never have to load them: [minLng, minLat, maxLng, maxLat] around the
+  // stops and route geometry, and stop text for the text index
+  bbox: {
+    type: [Number],
+    default: undefined,
+  },
+  stopNames: {
+    type: [String],
+    default: [],
+  },
+  stopDetails: {
+    type: [String], // Addresses and notes
+    default: [],
+  },
+  // The stop and route changes of the last save that made any, until
+  // they're all written to their collections: { version, stops: { put,
+  // removed }, routes: { put, removed } }
+  itineraryWrites: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined,
+  },
   // Categorization
   tags: {
     type: [String],
@@ -311,31 +333,39 @@ const tripSchema = new mongoose.Schema({
   category: {
     type: String,
     required: true,
-    enum: [
-      "cultural",
-      "adventure",
-      "food_tour",
-      "nature",
-      "city_exploration",
-      "road_trip",
-      "motorcycle_tour",
-      "walking_tour",
-      "business",
-      "custom",
-    ],
+    enum: TRIP_CATEGORIES,
     default: "custom",
   },
+  // Money: stop costs and the budget are in this currency
+  currency: {
+    type: String,
+    uppercase: true,
+    default: "USD",
+    validate: {
+      validator: isValidCurrency,
+      message: (props) => `${props.value} is not a valid currency code`,
+    },
+  },
+  budget: {
+    type: Number,
+    min: 0,
+  },
   // Sharing and collaboration
+  collaborators: {
+    type: [collaboratorSchema],
+    default: [],
+  },
+  // Denormalized list of collaborator user IDs, kept in sync on save
   sharedWith: {
     type: [String],
     default: [],
   },
   visibility: {
     type: String,
-    enum: ["private", "public", "shared"],
+    enum: VISIBILITIES,
     default: "private",
   },
-  // Rating system
+  // Rating system - maintained from reviews, never written by clients
   rating: {
     type: Number,
     min: 0,
@@ -346,28 +376,163 @@ const tripSchema = new mongoose.Schema({
     min: 0,
     default: 0,
   },
+  // Bayesian average used for ranking, so a handful of reviews can't
+  // outrank a trip with many
+  ratingScore: {
+    type: Number,
+    min: 0,
+    max: 5,
+  },
   // Legacy fields for backward compatibility
   length: {
     type: Number,
     // This will be computed from estimatedDuration for backward compatibility
   },
+  // Highest stop id handed out, so ids are never reused after a delete
+  lastStopId: {
+    type: Number,
+    default: 0,
+  },
+  // Set while the trip is in the trash; purged after the retention period
+  deletedAt: {
+    type: Date,
+  },
+  deletedBy: {
+    type: String,
+  },
+  tracking: {
+    type: trackingSchema,
+  },
 });
 
+const ITINERARY_PATHS = ["stops", "routes"];
+
+// Fields that decide who may see the trip
+const ACCESS_PATHS = [
+  "userId",
+  "collaborators",
+  "sharedWith",
+  "visibility",
+  "isPublic",
+  "deletedAt",
+];
+const ITINERARY_MODELS = { stops: Stop, routes: RouteSegment };
+
+// What each stop or route of the trip looks like, by _id, to tell which ones
+// changed. Routes are stored with their position, so one that moved changed
+// too.
+function itineraryState(trip, path) {
+  return new Map(
+    trip[path].map((item, position) => [
+      String(item._id),
+      itemState(path, item, position),
+    ])
+  );
+}
+
+function itemState(path, item, position) {
+  return JSON.stringify(
+    path === "routes" ? [position, item.toObject()] : item.toObject()
+  );
+}
+
+// Every save checks and bumps __v, so a write based on a stale copy of the
+// trip fails instead of overwriting someone else's changes
+tripSchema.set("optimisticConcurrency", true);
+
+// Trashed trips are hidden from every query that doesn't ask about
+// deletedAt itself
+tripSchema.pre(
+  ["find", "findOne", "findOneAndUpdate", "countDocuments", "updateOne"],
+  function () {
+    if (!("deletedAt" in this.getFilter())) {
+      this.where({ deletedAt: null });
+    }
+  }
+);
+
+// Stats and the itinerary summary are derived from stops and routes in the
+// pre-save hook. Update queries can't see the stops and routes, so they may
+// not write any of them (rebuildTripStats is the one exception, through
+// bulkWrite).
+const DERIVED_PATHS = [
+  "stats",
+  "stops",
+  "routes",
+  "bbox",
+  "stopNames",
+  "stopDetails",
+];
+
+tripSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+  ],
+  function () {
+    const update = this.getUpdate() || {};
+    const paths = Object.entries(update).flatMap(([key, value]) =>
+      key.startsWith("$") ? Object.keys(value || {}) : [key]
+    );
+    const derived = paths.find((path) =>
+      DERIVED_PATHS.includes(path.split(".")[0])
+    );
+    if (derived) {
+      throw new Error(
+        `${derived} is derived from the trip's stops and routes; save the trip to change it`
+      );
+    }
+  }
+);
+
 // Pre-save middleware to handle computations and updates
 tripSchema.pre("save", function (next) {
   // Update the updatedAt field
   this.updatedAt = new Date();
 
+  // New trips start their history with a "Created trip" entry
+  if (this.isNew) {
+    this.$locals.history = {
+      snapshot: {},
+      geometries: new Map(),
+      userId: this.userId,
+      created: true,
+    };
+  }
+
+  // Keep the denormalized sharedWith list in sync with collaborators
+  if (this.isModified("collaborators")) {
+    this.sharedWith = this.collaborators.map((c) => c.userId);
+  }
+
+  // Live viewers' access is checked again once the save is written
+  this.$locals.accessChanged =
+    !this.isNew && ACCESS_PATHS.some((path) => this.isModified(path));
+
   // Ensure backward compatibility with legacy 'length' field
   if (this.estimatedDuration && !this.length) {
     this.length = this.estimatedDuration;
   }
 
-  // Auto-generate stop IDs and update trip stats
+  // Climbing per segment, from its elevation profile
+  if (this.isModified("routes")) {
+    this.routes.forEach((route) => {
+      const climb = profileStats(route.elevationProfile);
+      route.ascent = climb?.ascent;
+      route.descent = climb?.descent;
+      route.maxGrade = climb?.maxGrade;
+    });
+  }
+
+  // Auto-generate stop IDs
   if (this.isModified("stops")) {
+    const storedStops = this.$locals.itinerary?.stops;
     this.stops.forEach((stop, index) => {
       if (!stop.id) {
-        stop.id = Date.now() + index;
+        stop.id = this.nextStopId();
       }
       if (!stop.order) {
         stop.order = index + 1;
@@ -375,49 +540,406 @@ tripSchema.pre("save", function (next) {
       if (!stop.tripId) {
         stop.tripId = this._id.toString();
       }
-      stop.updatedAt = new Date();
+      // Only stops that changed since they were loaded are updated
+      if (
+        storedStops?.get(String(stop._id)) !== itemState("stops", stop, index)
+      ) {
+        stop.updatedAt = new Date();
+      }
     });
 
-    // Update trip statistics
-    this.stats.stopCount = this.stops.length;
-    this.stats.totalDistance = this.routes.reduce(
-      (total, route) => total + route.distance,
-      0
-    );
-    this.stats.estimatedDuration = this.stops.reduce(
-      (total, stop) => total + stop.estimatedDuration,
-      0
-    );
-    this.stats.averageStopDuration =
-      this.stops.length > 0
-        ? this.stats.estimatedDuration / this.stops.length
-        : 0;
-    this.stats.estimatedCost = this.stops.reduce(
-      (total, stop) => total + (stop.cost || 0),
-      0
+    // Remember ids that arrived with the stops (full updates, imports) too
+    this.lastStopId = Math.max(
+      this.lastStopId || 0,
+      ...this.stops.map((stop) => stop.id || 0)
     );
 
-    // Extract unique transport modes from routes
-    const transportModes = [
-      ...new Set(this.routes.map((route) => route.transportMode)),
-    ];
-    if (transportModes.length > 0) {
-      this.stats.transportModes = transportModes;
+    // Keep stops grouped by day so `order` reads as a day-by-day itinerary
+    if (this.stops.some((stop) => stop.day)) {
+      this.stops = [...this.stops].sort(
+        (a, b) => (a.day || 1) - (b.day || 1) || a.order - b.order
+      );
+      this.stops.forEach((stop, index) => {
+        stop.order = index + 1;
+      });
     }
+
+    // Mirror lat/lng as GeoJSON for the 2dsphere index
+    this.stops.forEach((stop) => {
+      stop.location = { type: "Point", coordinates: [stop.lng, stop.lat] };
+    });
+  }
+
+  // Stats and the summary only depend on stops and routes, which only
+  // change through save()
+  if (this.isNew || this.isModified("stops") || this.isModified("routes")) {
+    this.stats.set(computeTripStats(this.stops, this.routes));
+  }
+
+  // Mirror route coordinates as GeoJSON. A LineString needs two distinct
+  // points, otherwise the 2dsphere index rejects the whole document.
+  if (this.isModified("routes")) {
+    this.routes.forEach((route) => {
+      const distinct = new Set(route.coordinates.map((c) => `${c[0]},${c[1]}`));
+      route.geometry =
+        distinct.size >= 2
+          ? {
+              type: "LineString",
+              coordinates: route.coordinates.map(([lng, lat]) => [lng, lat]),
+            }
+          : undefined;
+    });
+  }
+
+  if (this.isNew || this.isModified("stops") || this.isModified("routes")) {
+    this.set(summarizeItinerary(this.stops, this.routes));
+  }
+
+  // Keep stops and routes out of the trip document. The ones that changed
+  // are saved with the trip, in itineraryWrites, so they're written under
+  // its version check, and copied to their collections by the post-save
+  // hook.
+  const itinerary = ITINERARY_PATHS.filter(
+    (path) => this.isNew || this.isModified(path)
+  );
+  if (itinerary.length > 0) {
+    if (!this.isNew && !this.$locals.itinerary) {
+      return next(
+        new Error(
+          "Call loadItinerary() before changing a trip's stops or routes"
+        )
+      );
+    }
+    // Ones this trip hasn't stored yet get a fresh _id, so a stop copied
+    // from another trip can't overwrite the original
+    itinerary.forEach((path) => {
+      const stored = this.$locals.itinerary?.[path];
+      this[path].forEach((item) => {
+        if (!stored?.has(String(item._id))) {
+          item._id = new mongoose.Types.ObjectId();
+        }
+      });
+    });
+
+    // The version this save gives the trip
+    const writes = { version: this.isNew ? 0 : (this.__v || 0) + 1 };
+    const states = {};
+    itinerary.forEach((path) => {
+      const previous = this.$locals.itinerary?.[path] || new Map();
+      const current = itineraryState(this, path);
+      const put = [];
+      this[path].forEach((item, position) => {
+        const id = String(item._id);
+        if (previous.get(id) === current.get(id)) return;
+        put.push({
+          ...item.toObject(),
+          tripId: this._id.toString(),
+          ...(path === "routes" && { position }),
+        });
+      });
+      const removed = [...previous.keys()].filter((id) => !current.has(id));
+      if (put.length > 0 || removed.length > 0) {
+        writes[path] = { put, removed };
+      }
+      states[path] = current;
+    });
+    if (itinerary.some((path) => writes[path])) {
+      this.itineraryWrites = writes;
+    }
+
+    this.$locals.itineraryStates = states;
+    this.$locals.unsaved = Object.fromEntries(
+      itinerary.map((path) => [path, this[path]])
+    );
+    itinerary.forEach((path) => this.set(path, undefined));
   }
 
   next();
 });
 
-// Virtual for computed progress (not stored in DB)
+// Set stops or routes as they're stored. Changes to a subdocument that's
+// new aren't tracked on its own, only by marking the whole list modified,
+// so the items mustn't look new.
+function setStored(trip, path, items) {
+  trip.set(path, items);
+  trip.unmarkModified(path);
+  trip[path].forEach((item) => {
+    item.isNew = false;
+  });
+}
+
+// Put back the stops and routes the pre-save hook held out of the document.
+// After a failed save they stay modified, to be written by the next one.
+function restoreItinerary(trip, { saved }) {
+  const unsaved = trip.$locals.unsaved || {};
+  trip.$locals.unsaved = undefined;
+  Object.entries(unsaved).forEach(([path, items]) => {
+    if (saved) setStored(trip, path, items);
+    else trip.set(path, items);
+  });
+}
+
+// Copy a save's itineraryWrites to the stops and routes collections, then
+// clear them from the trip. Each item records the trip version that wrote
+// it, so writes that are repeated, or land late, never replace a newer copy.
+async function applyItineraryWrites(tripId, writes) {
+  const trip = tripId.toString();
+  const notNewer = { tripVersion: { $not: { $gt: writes.version } } };
+
+  for (const path of ITINERARY_PATHS) {
+    if (!writes[path]) continue;
+    const { put, removed } = writes[path];
+    const operations = put.map((item) => ({
+      replaceOne: {
+        filter: { _id: item._id, tripId: trip, ...notNewer },
+        replacement: { ...item, tripVersion: writes.version },
+        upsert: true,
+      },
+    }));
+    if (removed.length > 0) {
+      operations.push({
+        deleteMany: {
+          filter: { _id: { $in: removed }, tripId: trip, ...notNewer },
+        },
+      });
+    }
+
+    try {
+      await ITINERARY_MODELS[path].bulkWrite(operations, { ordered: false });
+    } catch (error) {
+      // The items it couldn't upsert already have a newer copy
+      const writeErrors = error.writeErrors || [];
+      if (
+        writeErrors.length === 0 ||
+        !writeErrors.every((e) => e.code === 11000)
+      ) {
+        throw error;
+      }
+    }
+  }
+
+  // Unless a later save has already left writes of its own
+  await TripData.bulkWrite([
+    {
+      updateOne: {
+        filter: { _id: tripId, "itineraryWrites.version": writes.version },
+        update: { $unset: { itineraryWrites: 1 } },
+      },
+    },
+  ]);
+}
+
+// Forget itineraryWrites once they've been applied
+function clearItineraryWrites(trip) {
+  trip.set("itineraryWrites", undefined);
+  trip.unmarkModified("itineraryWrites");
+}
+
+// Write the stops and routes that changed since they were loaded (or last
+// saved) to their collections. Runs before the history hook below, which
+// needs them back on the trip.
+tripSchema.post("save", async function () {
+  restoreItinerary(this, { saved: true });
+  const states = this.$locals.itineraryStates;
+  this.$locals.itineraryStates = undefined;
+  if (!states) return;
+
+  if (this.itineraryWrites) {
+    await applyItineraryWrites(this._id, this.itineraryWrites);
+    clearItineraryWrites(this);
+  }
+  this.$locals.itinerary = { ...this.$locals.itinerary, ...states };
+});
+
+// A failed save (a lost version check, say) must not leave the trip without
+// its stops and routes
+tripSchema.post("save", function (error, doc, next) {
+  restoreItinerary(this, { saved: false });
+  this.$locals.itineraryStates = undefined;
+  next(error);
+});
+
+// Store the route geometry snapshots refer to; geometry already stored for
+// the trip is left as it is
+async function storeGeometries(tripId, geometries) {
+  if (geometries.size === 0) return;
+  await RevisionGeometry.bulkWrite(
+    [...geometries].map(([hash, geometry]) => ({
+      updateOne: {
+        filter: { tripId, hash },
+        update: { $setOnInsert: { geometry, createdAt: new Date() } },
+        upsert: true,
+      },
+    }))
+  );
+}
+
+// Record a history entry for each save of a tracked trip that changed its
+// content (see trackChanges). A failure here is logged rather than failing a
+// save that has already been written.
+tripSchema.post("save", async function () {
+  const history = this.$locals.history;
+  if (!history) return;
+
+  try {
+    const geometries = new Map();
+    const snapshot = snapshotTrip(this, geometries);
+    const changes = history.created
+      ? []
+      : diffSnapshots(history.snapshot, snapshot);
+    const note = this.$locals.changeNote;
+    this.$locals.changeNote = undefined;
+    if (changes.length === 0 && !note && !history.created) return;
+
+    // Trips from before history was kept get their prior state as a baseline
+    // so the first recorded change can be undone too
+    if (
+      !history.created &&
+      !(await TripRevision.exists({ tripId: this._id }))
+    ) {
+      await storeGeometries(this._id, history.geometries);
+      await TripRevision.create({
+        tripId: this._id,
+        revision: history.version ?? 0,
+        summary: "History starts",
+        snapshot: history.snapshot,
+      });
+    }
+
+    const summary =
+      note ||
+      (history.created ? "Created trip" : summarizeChanges(changes, snapshot));
+    await storeGeometries(this._id, geometries);
+    await TripRevision.create({
+      tripId: this._id,
+      revision: this.__v,
+      userId: history.userId,
+      summary,
+      changes,
+      snapshot,
+    });
+
+    const tracking = Boolean(this.tracking?.active);
+    tripEvents.emit("change", {
+      tripId: this._id.toString(),
+      revision: this.__v,
+      userId: history.userId,
+      summary,
+      changes,
+      snapshot: attachRouteGeometry(snapshot, geometries),
+      tracking: { before: Boolean(history.tracking), after: tracking },
+      deleted: Boolean(this.deletedAt),
+    });
+
+    this.$locals.history = {
+      snapshot,
+      geometries,
+      version: this.__v,
+      userId: history.userId,
+      tracking,
+    };
+  } catch (error) {
+    console.error("Error recording trip history:", error);
+  }
+});
+
+// Tell live viewers to have their access checked again
+tripSchema.post("save", function () {
+  if (!this.$locals.accessChanged) return;
+  this.$locals.accessChanged = false;
+  tripEvents.emit("access", { tripId: this._id.toString() });
+});
+
+// Read the trip's stops and routes from their collections. Needed before
+// they can be shown or changed; lists and search make do with the summary.
+tripSchema.methods.loadItinerary = async function () {
+  const tripId = this._id.toString();
+  const stored = {};
+
+  // A save whose stops and routes haven't all been written yet - still
+  // under way, or cut short - is finished first, so none are read stale
+  if (this.itineraryWrites) {
+    await applyItineraryWrites(this._id, this.itineraryWrites);
+    clearItineraryWrites(this);
+  }
+
+  await Promise.all(
+    ITINERARY_PATHS.map(async (path) => {
+      if (this[path].length > 0) {
+        throw new Error(
+          `Trip ${tripId} still has embedded ${path}; run the migrations`
+        );
+      }
+      const items = await ITINERARY_MODELS[path]
+        .find({ tripId })
+        .sort(path === "stops" ? { order: 1 } : { position: 1 })
+        .lean();
+      setStored(this, path, items);
+      stored[path] = itineraryState(this, path);
+    })
+  );
+  this.$locals.itinerary = stored;
+  return this;
+};
+
+// Start recording changes made by `userId` to this trip's history
+tripSchema.methods.trackChanges = function (userId) {
+  const geometries = new Map();
+  this.$locals.history = {
+    snapshot: snapshotTrip(this, geometries),
+    geometries,
+    version: this.__v,
+    userId,
+    tracking: Boolean(this.tracking?.active),
+  };
+  return this;
+};
+
+// Describe the next saved change in history, instead of summarizing its diff
+tripSchema.methods.noteChange = function (note) {
+  this.$locals.changeNote = note;
+  return this;
+};
+
+// Reserve the next stop id. Saves are version checked, so two concurrent
+// writers can never both commit the same id.
+tripSchema.methods.nextStopId = function () {
+  this.lastStopId = Math.max(
+    this.lastStopId || 0,
+    ...this.stops.map((stop) => stop.id || 0)
+  );
+  this.lastStopId += 1;
+  return this.lastStopId;
+};
+
+// Promote IDs that only exist in the legacy sharedWith list to editor
+// collaborators (matching their old access) before collaborators are edited
+tripSchema.methods.adoptLegacySharing = function () {
+  const known = new Set(this.collaborators.map((c) => c.userId));
+  this.sharedWith
+    .filter((userId) => !known.has(userId) && userId !== this.userId)
+    .forEach((userId) => {
+      this.collaborators.push({ userId, role: "editor" });
+      known.add(userId);
+    });
+};
+
+// Virtual for computed progress (not stored in DB). Skipped stops are
+// counted separately and left out of percentComplete.
 tripSchema.virtual("progress").get(function () {
-  const completedStops = this.stops.filter((stop) => stop.isCompleted).length;
+  const completedStops = this.stops.filter(
+    (stop) => stop.isCompleted && !stop.isSkipped
+  ).length;
+  const skippedStops = this.stops.filter((stop) => stop.isSkipped).length;
   const totalStops = this.stops.length;
+  const plannedStops = totalStops - skippedStops;
   return {
     completedStops,
+    skippedStops,
+    remainingStops: plannedStops - completedStops,
     totalStops,
     percentComplete:
-      totalStops > 0 ? Math.round((completedStops / totalStops) * 100) : 0,
+      plannedStops > 0 ? Math.round((completedStops / plannedStops) * 100) : 0,
   };
 });
 
@@ -426,15 +948,51 @@ tripSchema.virtual("nextStop").get(function () {
   return this.stops.find((stop) => !stop.isCompleted && !stop.isSkipped);
 });
 
-// Ensure virtuals are included in JSON output
-tripSchema.set("toJSON", { virtuals: true });
+// Ensure virtuals are included in JSON output. The GeoJSON mirrors and stop
+// text only exist for indexing, so keep them out of API responses.
+tripSchema.set("toJSON", {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.stopNames;
+    delete ret.stopDetails;
+    delete ret.itineraryWrites;
+    ret.stops?.forEach((stop) => delete stop.location);
+    ret.routes?.forEach((route) => delete route.geometry);
+    return ret;
+  },
+});
 tripSchema.set("toObject", { virtuals: true });
 
 // Create indexes for better performance
 tripSchema.index({ userId: 1, createdAt: -1 });
 tripSchema.index({ category: 1, isPublic: 1 });
 tripSchema.index({ tags: 1 });
+tripSchema.index({ sharedWith: 1, updatedAt: -1 });
+tripSchema.index({ isTemplate: 1, isPublic: 1, category: 1 });
 tripSchema.index({ "stats.totalDistance": 1 });
 tripSchema.index({ rating: -1 });
+tripSchema.index({ ratingScore: -1, reviewCount: -1 });
+tripSchema.index(
+  {
+    name: "text",
+    description: "text",
+    tags: "text",
+    stopNames: "text",
+    stopDetails: "text",
+  },
+  {
+    name: "trip_text_search",
+    weights: {
+      name: 10,
+      tags: 5,
+      description: 3,
+      stopNames: 3,
+      stopDetails: 1,
+    },
+    // Place names come in many languages - don't apply English stemming
+    default_language: "none",
+  }
+);
+tripSchema.index({ deletedAt: 1 }, { sparse: true });
 
 export const TripData = mongoose.model("TripData", tripSchema);
@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+// One field-level change: a trip field, or a field of one stop/route/day plan
+const changeSchema = new mongoose.Schema(
+  {
+    path: {
+      type: String,
+      required: true,
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false }
+);
+
+// TripRevision Schema - one entry per saved change to a trip's content.
+// `revision` is the trip's version (its ETag) after the change, and
+// `snapshot` the trip content at that revision, so any revision can be
+// restored on its own. Snapshot routes refer to their geometry by
+// geometryRef (see RevisionGeometry).
+const tripRevisionSchema = new mongoose.Schema({
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "TripData",
+    required: true,
+    immutable: true,
+  },
+  revision: {
+    type: Number,
+    required: true,
+    immutable: true,
+  },
+  // Who made the change
+  userId: {
+    type: String,
+    immutable: true,
+  },
+  summary: {
+    type: String,
+    required: true,
+  },
+  changes: {
+    type: [changeSchema],
+    default: [],
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true,
+  },
+});
+
+tripRevisionSchema.index({ tripId: 1, revision: -1 }, { unique: true });
+
+export const TripRevision = mongoose.model("TripRevision", tripRevisionSchema);
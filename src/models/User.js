@@ -0,0 +1,99 @@
+import mongoose from "mongoose";
+import bcrypt from "bcryptjs";
+
+const BCRYPT_ROUNDS = 12;
+
+// Refresh token record - only the token id is stored, never the token itself
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    tokenId: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// User Schema - local accounts, no third-party identity provider
+const userSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: 254,
+    match: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  },
+  passwordHash: {
+    type: String,
+    required: true,
+  },
+  displayName: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+  },
+  refreshTokens: {
+    type: [refreshTokenSchema],
+    default: [],
+  },
+  // Bumped to revoke every calendar subscription URL issued so far
+  calendarTokenRevision: {
+    type: Number,
+    default: 0,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastLoginAt: {
+    type: Date,
+  },
+});
+
+userSchema.pre("save", function (next) {
+  this.updatedAt = new Date();
+
+  // Drop expired refresh tokens so the array doesn't grow forever
+  const now = Date.now();
+  this.refreshTokens = this.refreshTokens.filter(
+    (token) => token.expiresAt.getTime() > now
+  );
+
+  next();
+});
+
+userSchema.methods.setPassword = async function (password) {
+  this.passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+};
+
+userSchema.methods.verifyPassword = function (password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+// Never leak credentials in API responses
+userSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.refreshTokens;
+    delete ret.calendarTokenRevision;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+export const User = mongoose.model("User", userSchema);
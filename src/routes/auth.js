@@ -0,0 +1,178 @@
+import express from "express";
+import { User } from "../models/User.js";
+import { requireAuth } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+import {
+  signAccessToken,
+  signRefreshToken,
+  verifyRefreshToken,
+} from "../utils/tokens.js";
+import {
+  sendError,
+  conflict,
+  notFound,
+  unauthorized,
+} from "../utils/errors.js";
+import {
+  signupBody,
+  loginBody,
+  refreshBody,
+  logoutBody,
+} from "../validation/auth.js";
+
+const router = express.Router();
+
+// Issue a fresh access/refresh pair and record the refresh token id
+async function issueTokens(user) {
+  const accessToken = signAccessToken(user);
+  const refresh = signRefreshToken(user);
+  user.refreshTokens.push({
+    tokenId: refresh.tokenId,
+    expiresAt: refresh.expiresAt,
+  });
+  await user.save();
+  return { accessToken, refreshToken: refresh.token };
+}
+
+// Sign up with email + password
+router.post("/signup", validate({ body: signupBody }), async (req, res) => {
+  try {
+    const { email, password, displayName } = req.body;
+
+    const existing = await User.findOne({ email });
+    if (existing) {
+      return sendError(res, conflict("Email already registered"));
+    }
+
+    const user = new User({ email, displayName });
+    await user.setPassword(password);
+    const tokens = await issueTokens(user);
+
+    res.status(201).json({ user, ...tokens });
+  } catch (error) {
+    console.error("Error signing up:", error);
+    sendError(res, error);
+  }
+});
+
+// Log in with email + password
+router.post("/login", validate({ body: loginBody }), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const user = await User.findOne({ email });
+    // Same response for unknown email and wrong password
+    if (!user || !(await user.verifyPassword(password))) {
+      return sendError(res, unauthorized("Invalid email or password"));
+    }
+
+    user.lastLoginAt = new Date();
+    const tokens = await issueTokens(user);
+
+    res.json({ user, ...tokens });
+  } catch (error) {
+    console.error("Error logging in:", error);
+    sendError(res, error);
+  }
+});
+
+// Exchange a refresh token for a new token pair (rotates the refresh token)
+router.post("/refresh", validate({ body: refreshBody }), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    let payload;
+    try {
+      payload = verifyRefreshToken(refreshToken);
+    } catch (error) {
+      return sendError(res, unauthorized("Invalid refresh token"));
+    }
+
+    const user = await User.findById(payload.sub);
+    const tokenIndex = user
+      ? user.refreshTokens.findIndex((t) => t.tokenId === payload.jti)
+      : -1;
+
+    if (tokenIndex === -1) {
+      return sendError(res, unauthorized("Refresh token has been revoked"));
+    }
+
+    user.refreshTokens.splice(tokenIndex, 1);
+    const tokens = await issueTokens(user);
+
+    res.json(tokens);
+  } catch (error) {
+    console.error("Error refreshing token:", error);
+    sendError(res, error);
+  }
+});
+
+// Revoke a refresh token
+router.post(
+  "/logout",
+  requireAuth,
+  validate({ body: logoutBody }),
+  async (req, res) => {
+    try {
+      const { refreshToken } = req.body;
+      const user = await User.findById(req.user.id);
+      if (!user) {
+        return sendError(res, notFound("User not found"));
+      }
+
+      if (refreshToken) {
+        try {
+          const payload = verifyRefreshToken(refreshToken);
+          user.refreshTokens = user.refreshTokens.filter(
+            (t) => t.tokenId !== payload.jti
+          );
+        } catch (error) {
+          // Already invalid - nothing to revoke
+        }
+      } else {
+        // No token given - log out of every session
+        user.refreshTokens = [];
+      }
+
+      await user.save();
+      res.json({ message: "Logged out successfully" });
+    } catch (error) {
+      console.error("Error logging out:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+// Revoke every calendar subscription URL the user has been given
+router.delete("/calendar-tokens", requireAuth, async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $inc: { calendarTokenRevision: 1 } },
+      { new: true }
+    );
+    if (!user) {
+      return sendError(res, notFound("User not found"));
+    }
+    res.json({ message: "Calendar subscriptions revoked" });
+  } catch (error) {
+    console.error("Error revoking calendar tokens:", error);
+    sendError(res, error);
+  }
+});
+
+// Current user profile
+router.get("/me", requireAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return sendError(res, notFound("User not found"));
+    }
+    res.json(user);
+  } catch (error) {
+    console.error("Error fetching current user:", error);
+    sendError(res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,198 @@
+import express from "express";
+import mongoose from "mongoose";
+import { Expense } from "../models/Expense.js";
+import { User } from "../models/User.js";
+import { requireAuth } from "../middleware/auth.js";
+import { loadTrip } from "../middleware/tripAccess.js";
+import { validate } from "../middleware/validate.js";
+import {
+  defaultCategory,
+  prepareExpense,
+  budgetSummary,
+  settleUp,
+} from "../services/budget.js";
+import { sendError, notFound } from "../utils/errors.js";
+import { tripParams } from "../validation/common.js";
+import {
+  expenseParams,
+  createExpenseBody,
+  updateExpenseBody,
+  listExpensesQuery,
+} from "../validation/budget.js";
+
+// Mounted at /api/trips/:id/budget. Expenses are only visible to the
+// trip's members, public or not.
+const router = express.Router({ mergeParams: true });
+
+// Display names for a list of user ids
+async function displayNames(userIds) {
+  const users = await User.find({
+    _id: { $in: userIds.filter((id) => mongoose.isValidObjectId(id)) },
+  }).select("displayName");
+  return new Map(users.map((u) => [u._id.toString(), u.displayName]));
+}
+
+async function loadExpense(req) {
+  const expense = await Expense.findOne({
+    _id: req.params.expenseId,
+    tripId: req.trip._id,
+  });
+  if (!expense) throw notFound("Expense not found");
+  return expense;
+}
+
+// Budget, planned and actual spending, overall and by category
+router.get(
+  "/",
+  requireAuth,
+  validate({ params: tripParams }),
+  loadTrip("member"),
+  async (req, res) => {
+    try {
+      const expenses = await Expense.find({ tripId: req.trip._id });
+      res.json(budgetSummary(req.trip, expenses));
+    } catch (error) {
+      console.error("Error fetching budget:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+// Balances of what each member paid and owes, and the transfers that settle
+// them
+router.get(
+  "/settlement",
+  requireAuth,
+  validate({ params: tripParams }),
+  loadTrip("member"),
+  async (req, res) => {
+    try {
+      const expenses = await Expense.find({ tripId: req.trip._id });
+      const settlement = settleUp(req.trip, expenses);
+      const names = await displayNames(
+        settlement.balances.map((b) => b.userId)
+      );
+
+      res.json({
+        ...settlement,
+        balances: settlement.balances.map((b) => ({
+          ...b,
+          displayName: names.get(b.userId),
+        })),
+        transfers: settlement.transfers.map((t) => ({
+          ...t,
+          fromName: names.get(t.from),
+          toName: names.get(t.to),
+        })),
+      });
+    } catch (error) {
+      console.error("Error settling up expenses:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+// List expenses, oldest first
+router.get(
+  "/expenses",
+  requireAuth,
+  validate({ params: tripParams, query: listExpensesQuery }),
+  loadTrip("member"),
+  async (req, res) => {
+    try {
+      const { category, stopId, paidBy, limit, page } = req.query;
+
+      const query = { tripId: req.trip._id };
+      if (category) query.category = category;
+      if (stopId !== undefined) query.stopId = stopId;
+      if (paidBy) query.paidBy = paidBy;
+
+      const [expenses, total] = await Promise.all([
+        Expense.find(query)
+          .sort({ date: 1, createdAt: 1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Expense.countDocuments(query),
+      ]);
+
+      res.json({
+        expenses,
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      });
+    } catch (error) {
+      console.error("Error fetching expenses:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+// Record an expense. Without category it takes the type of its stop; without
+// splits it's shared evenly by all members.
+router.post(
+  "/expenses",
+  requireAuth,
+  validate({ params: tripParams, body: createExpenseBody }),
+  loadTrip("write"),
+  async (req, res) => {
+    try {
+      const expense = new Expense({
+        ...req.body,
+        category: req.body.category || defaultCategory(req.trip, req.body),
+        tripId: req.trip._id,
+        createdBy: req.user.id,
+      });
+      prepareExpense(req.trip, expense, { userId: req.user.id });
+      await expense.save();
+
+      res.status(201).json(expense);
+    } catch (error) {
+      console.error("Error creating expense:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+router.put(
+  "/expenses/:expenseId",
+  requireAuth,
+  validate({ params: expenseParams, body: updateExpenseBody }),
+  loadTrip("write"),
+  async (req, res) => {
+    try {
+      const expense = await loadExpense(req);
+      Object.entries(req.body).forEach(([key, value]) =>
+        expense.set(key, value === null ? undefined : value)
+      );
+      prepareExpense(req.trip, expense, { userId: req.user.id });
+      await expense.save();
+
+      res.json(expense);
+    } catch (error) {
+      console.error("Error updating expense:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+router.delete(
+  "/expenses/:expenseId",
+  requireAuth,
+  validate({ params: expenseParams }),
+  loadTrip("write"),
+  async (req, res) => {
+    try {
+      const expense = await loadExpense(req);
+      await expense.deleteOne();
+
+      res.json({ message: "Expense deleted successfully" });
+    } catch (error) {
+      console.error("Error deleting expense:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,208 @@
+import express from "express";
+import mongoose from "mongoose";
+import { User } from "../models/User.js";
+import { requireAuth } from "../middleware/auth.js";
+import { loadTrip, hasTripAccess } from "../middleware/tripAccess.js";
+import { commitTripChange, tripETag } from "../middleware/tripVersion.js";
+import { validate } from "../middleware/validate.js";
+import {
+  sendError,
+  badRequest,
+  forbidden,
+  notFound,
+  conflict,
+} from "../utils/errors.js";
+import { tripParams } from "../validation/common.js";
+import {
+  collaboratorParams,
+  addCollaboratorBody,
+  updateCollaboratorBody,
+} from "../validation/collaborators.js";
+
+// Mounted at /api/trips/:id/collaborators
+const router = express.Router({ mergeParams: true });
+
+// Attach basic profile info so clients can show who a collaborator is
+async function withProfiles(collaborators) {
+  const users = await User.find({
+    _id: {
+      $in: collaborators
+        .map((c) => c.userId)
+        .filter((id) => mongoose.isValidObjectId(id)),
+    },
+  }).select("email displayName");
+  const byId = new Map(users.map((u) => [u._id.toString(), u]));
+
+  return collaborators.map((c) => ({
+    userId: c.userId,
+    role: c.role,
+    invitedBy: c.invitedBy,
+    addedAt: c.addedAt,
+    email: byId.get(c.userId)?.email,
+    displayName: byId.get(c.userId)?.displayName,
+  }));
+}
+
+// Only the owner may hand out or take away co-ownership
+function canAssignRole(tripRole, role) {
+  return role !== "co-owner" || tripRole === "owner";
+}
+
+// List collaborators
+router.get(
+  "/",
+  requireAuth,
+  validate({ params: tripParams }),
+  loadTrip("member"),
+  async (req, res) => {
+    try {
+      const trip = req.trip;
+      trip.adoptLegacySharing();
+      res.json({
+        ownerId: trip.userId,
+        collaborators: await withProfiles(trip.collaborators),
+      });
+    } catch (error) {
+      console.error("Error fetching collaborators:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+// Invite a user by email or user ID
+router.post(
+  "/",
+  requireAuth,
+  validate({ params: tripParams, body: addCollaboratorBody }),
+  loadTrip("manage"),
+  async (req, res) => {
+    try {
+      const { email, userId, role } = req.body;
+
+      const { trip } = await commitTripChange(req, async (trip) => {
+        if (!canAssignRole(req.tripRole, role)) {
+          throw forbidden("Only the trip owner can add co-owners");
+        }
+
+        const user = email
+          ? await User.findOne({ email })
+          : await User.findById(userId);
+        if (!user) throw notFound("User not found");
+
+        const invitedId = user._id.toString();
+        if (invitedId === trip.userId) {
+          throw badRequest("User already owns this trip");
+        }
+
+        trip.adoptLegacySharing();
+        if (trip.collaborators.some((c) => c.userId === invitedId)) {
+          throw conflict("User is already a collaborator on this trip");
+        }
+
+        trip.collaborators.push({
+          userId: invitedId,
+          role,
+          invitedBy: req.user.id,
+          addedAt: new Date(),
+        });
+        if (trip.visibility === "private") {
+          trip.visibility = "shared";
+        }
+      });
+
+      res.set("ETag", tripETag(trip));
+      res.status(201).json({
+        ownerId: trip.userId,
+        collaborators: await withProfiles(trip.collaborators),
+      });
+    } catch (error) {
+      console.error("Error adding collaborator:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+// Change a collaborator's role
+router.patch(
+  "/:userId",
+  requireAuth,
+  validate({ params: collaboratorParams, body: updateCollaboratorBody }),
+  loadTrip("manage"),
+  async (req, res) => {
+    try {
+      const { role } = req.body;
+
+      const { trip } = await commitTripChange(req, (trip) => {
+        trip.adoptLegacySharing();
+        const collaborator = trip.collaborators.find(
+          (c) => c.userId === req.params.userId
+        );
+        if (!collaborator) throw notFound("Collaborator not found");
+
+        if (
+          !canAssignRole(req.tripRole, role) ||
+          !canAssignRole(req.tripRole, collaborator.role)
+        ) {
+          throw forbidden("Only the trip owner can change co-owners");
+        }
+
+        collaborator.role = role;
+      });
+
+      res.set("ETag", tripETag(trip));
+      res.json({
+        ownerId: trip.userId,
+        collaborators: await withProfiles(trip.collaborators),
+      });
+    } catch (error) {
+      console.error("Error updating collaborator:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+// Remove a collaborator (collaborators may also remove themselves)
+router.delete(
+  "/:userId",
+  requireAuth,
+  validate({ params: collaboratorParams }),
+  loadTrip("member"),
+  async (req, res) => {
+    try {
+      const isSelf = req.params.userId === req.user.id;
+
+      const { trip } = await commitTripChange(req, (trip) => {
+        trip.adoptLegacySharing();
+        const collaborator = trip.collaborators.find(
+          (c) => c.userId === req.params.userId
+        );
+        if (!collaborator) throw notFound("Collaborator not found");
+
+        if (!isSelf) {
+          const canManage = hasTripAccess(req.tripRole, "manage");
+          if (!canManage || !canAssignRole(req.tripRole, collaborator.role)) {
+            throw forbidden("Not allowed to remove this collaborator");
+          }
+        }
+
+        trip.collaborators = trip.collaborators.filter(
+          (c) => c.userId !== req.params.userId
+        );
+        if (trip.collaborators.length === 0 && trip.visibility === "shared") {
+          trip.visibility = "private";
+        }
+      });
+
+      res.set("ETag", tripETag(trip));
+      res.json({
+        ownerId: trip.userId,
+        collaborators: await withProfiles(trip.collaborators),
+      });
+    } catch (error) {
+      console.error("Error removing collaborator:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,215 @@
+import express from "express";
+import { requireAuth, optionalAuth } from "../middleware/auth.js";
+import { loadTrip } from "../middleware/tripAccess.js";
+import {
+  commitTripChange,
+  sendTrip,
+  tripETag,
+} from "../middleware/tripVersion.js";
+import { validate } from "../middleware/validate.js";
+import { sendError, badRequest, notFound } from "../utils/errors.js";
+import { tripParams } from "../validation/common.js";
+import {
+  dayParams,
+  updateDayBody,
+  reorderDayStopsBody,
+  moveStopBody,
+} from "../validation/days.js";
+import {
+  buildDayPlans,
+  stopDay,
+  stopsForDay,
+  tripDayCount,
+} from "../services/days.js";
+
+// Mounted at /api/trips/:id/days
+const router = express.Router({ mergeParams: true });
+
+// Check :day is within the trip, throwing a 400 if not
+function checkDay(trip, day) {
+  const dayCount = tripDayCount(trip);
+  if (day > dayCount) {
+    throw badRequest(
+      `Day must be between 1 and ${dayCount}; extend estimatedDuration to add days`
+    );
+  }
+}
+
+// Rewrite the stop list from per-day stop arrays and renumber `order`
+function applyDayLayout(trip, layout) {
+  const days = [...layout.keys()].sort((a, b) => a - b);
+  trip.stops = days.flatMap((day) =>
+    layout.get(day).map((stop) => {
+      stop.day = day;
+      return stop;
+    })
+  );
+  trip.stops.forEach((stop, index) => {
+    stop.order = index + 1;
+  });
+}
+
+function currentLayout(trip) {
+  const layout = new Map();
+  for (let day = 1; day <= tripDayCount(trip); day++) {
+    layout.set(day, stopsForDay(trip, day));
+  }
+  return layout;
+}
+
+// Day-by-day view with per-day stats
+router.get(
+  "/",
+  optionalAuth,
+  validate({ params: tripParams }),
+  loadTrip("read"),
+  async (req, res) => {
+    try {
+      res.json({
+        tripId: req.trip._id,
+        startDate: req.trip.startDate,
+        dayCount: tripDayCount(req.trip),
+        days: buildDayPlans(req.trip),
+      });
+    } catch (error) {
+      console.error("Error fetching day plans:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+// Update a day's title, notes or accommodation
+router.put(
+  "/:day",
+  requireAuth,
+  validate({ params: dayParams, body: updateDayBody }),
+  loadTrip("write"),
+  async (req, res) => {
+    try {
+      const { day } = req.params;
+      const { title, notes, accommodationStopId } = req.body;
+
+      const { trip } = await commitTripChange(req, (trip) => {
+        checkDay(trip, day);
+
+        if (accommodationStopId !== undefined && accommodationStopId !== null) {
+          const stop = trip.stops.find((s) => s.id === accommodationStopId);
+          if (!stop || stopDay(stop) !== day) {
+            throw badRequest("Accommodation must be a stop on the same day");
+          }
+        }
+
+        let plan = trip.dayPlans.find((p) => p.day === day);
+        if (!plan) {
+          trip.dayPlans.push({ day });
+          plan = trip.dayPlans[trip.dayPlans.length - 1];
+        }
+        if (title !== undefined) plan.title = title;
+        if (notes !== undefined) plan.notes = notes;
+        if (accommodationStopId !== undefined) {
+          plan.accommodationStopId =
+            accommodationStopId === null ? undefined : accommodationStopId;
+        }
+      });
+
+      res.set("ETag", tripETag(trip));
+      res.json(buildDayPlans(trip).find((p) => p.day === day));
+    } catch (error) {
+      console.error("Error updating day plan:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+// Reorder the stops within a day
+router.put(
+  "/:day/stops",
+  requireAuth,
+  validate({ params: dayParams, body: reorderDayStopsBody }),
+  loadTrip("write"),
+  async (req, res) => {
+    try {
+      const { day } = req.params;
+      const { stopIds: requested } = req.body;
+
+      const { trip } = await commitTripChange(req, (trip) => {
+        checkDay(trip, day);
+
+        const dayStops = stopsForDay(trip, day);
+        const byId = new Map(dayStops.map((stop) => [stop.id, stop]));
+
+        if (
+          requested.length !== dayStops.length ||
+          new Set(requested).size !== requested.length ||
+          !requested.every((id) => byId.has(id))
+        ) {
+          throw badRequest(
+            `stopIds must list each stop on day ${day} exactly once`
+          );
+        }
+
+        const layout = currentLayout(trip);
+        layout.set(
+          day,
+          requested.map((id) => byId.get(id))
+        );
+        applyDayLayout(trip, layout);
+      });
+
+      sendTrip(res, trip);
+    } catch (error) {
+      console.error("Error reordering day stops:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+// Move a stop (from any day) to this day, at `position` (1-based, default last)
+router.post(
+  "/:day/stops",
+  requireAuth,
+  validate({ params: dayParams, body: moveStopBody }),
+  loadTrip("write"),
+  async (req, res) => {
+    try {
+      const { day } = req.params;
+      const { stopId, position } = req.body;
+
+      const { trip } = await commitTripChange(req, (trip) => {
+        checkDay(trip, day);
+
+        const stop = trip.stops.find((s) => s.id === stopId);
+        if (!stop) throw notFound("Stop not found");
+
+        const layout = currentLayout(trip);
+        const fromDay = stopDay(stop);
+        layout.set(
+          fromDay,
+          layout.get(fromDay).filter((s) => s.id !== stop.id)
+        );
+
+        const target = layout.get(day);
+        const index =
+          position === undefined
+            ? target.length
+            : Math.min(position - 1, target.length);
+        target.splice(index, 0, stop);
+        applyDayLayout(trip, layout);
+
+        // An accommodation that moved away no longer ends its old day
+        trip.dayPlans.forEach((plan) => {
+          if (plan.accommodationStopId === stop.id && plan.day !== day) {
+            plan.accommodationStopId = undefined;
+          }
+        });
+      });
+
+      sendTrip(res, trip);
+    } catch (error) {
+      console.error("Error moving stop:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+export default router;
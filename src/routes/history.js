@@ -0,0 +1,144 @@
+import express from "express";
+import mongoose from "mongoose";
+import { User } from "../models/User.js";
+import { requireAuth } from "../middleware/auth.js";
+import { loadTrip } from "../middleware/tripAccess.js";
+import { commitTripChange, sendTrip } from "../middleware/tripVersion.js";
+import { validate } from "../middleware/validate.js";
+import {
+  listRevisions,
+  findRevision,
+  revisionBefore,
+  applySnapshot,
+  expandSnapshot,
+} from "../services/history.js";
+import { sendError } from "../utils/errors.js";
+import { tripParams } from "../validation/common.js";
+import {
+  revisionParams,
+  historyQuery,
+  undoBody,
+  restoreRevisionBody,
+} from "../validation/history.js";
+
+// Mounted at /api/trips/:id/history
+const router = express.Router({ mergeParams: true });
+
+// Attach the display name of whoever made each change
+async function withAuthors(entries) {
+  const users = await User.find({
+    _id: {
+      $in: entries
+        .map((e) => e.userId)
+        .filter((id) => mongoose.isValidObjectId(id)),
+    },
+  }).select("displayName");
+  const byId = new Map(users.map((u) => [u._id.toString(), u]));
+
+  return entries.map((entry) => ({
+    ...entry.toJSON(),
+    authorName: byId.get(entry.userId)?.displayName,
+  }));
+}
+
+// List changes to the trip, newest first
+router.get(
+  "/",
+  requireAuth,
+  validate({ params: tripParams, query: historyQuery }),
+  loadTrip("member"),
+  async (req, res) => {
+    try {
+      const { entries, nextBefore } = await listRevisions(
+        req.trip._id,
+        req.query
+      );
+
+      res.json({
+        tripId: req.trip._id,
+        revision: req.trip.__v,
+        entries: await withAuthors(entries),
+        nextBefore,
+      });
+    } catch (error) {
+      console.error("Error fetching trip history:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+// One revision, including the trip content as it was then
+router.get(
+  "/:revision",
+  requireAuth,
+  validate({ params: revisionParams }),
+  loadTrip("member"),
+  async (req, res) => {
+    try {
+      const entry = await findRevision(req.trip._id, req.params.revision);
+      const [withAuthor] = await withAuthors([entry]);
+      res.json({
+        ...withAuthor,
+        snapshot: await expandSnapshot(req.trip._id, entry.snapshot),
+      });
+    } catch (error) {
+      console.error("Error fetching revision:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+// Undo the last `steps` changes. The undo is itself a change, so it shows up
+// in history and can be undone in turn.
+router.post(
+  "/undo",
+  requireAuth,
+  validate({ params: tripParams, body: undoBody }),
+  loadTrip("write"),
+  async (req, res) => {
+    try {
+      const { steps } = req.body;
+
+      const { trip } = await commitTripChange(req, async (trip) => {
+        const target = await revisionBefore(trip._id, steps);
+        applySnapshot(trip, await expandSnapshot(trip._id, target.snapshot));
+        trip.noteChange(
+          `Undid ${steps} change${steps === 1 ? "" : "s"} ` +
+            `(back to revision ${target.revision})`
+        );
+      });
+
+      sendTrip(res, trip);
+    } catch (error) {
+      console.error("Error undoing trip changes:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+// Restore the trip's content to a past revision
+router.post(
+  "/restore",
+  requireAuth,
+  validate({ params: tripParams, body: restoreRevisionBody }),
+  loadTrip("write"),
+  async (req, res) => {
+    try {
+      const { revision } = req.body;
+      const target = await findRevision(req.trip._id, revision);
+      const snapshot = await expandSnapshot(req.trip._id, target.snapshot);
+
+      const { trip } = await commitTripChange(req, (trip) => {
+        applySnapshot(trip, snapshot);
+        trip.noteChange(`Restored revision ${revision}`);
+      });
+
+      sendTrip(res, trip);
+    } catch (error) {
+      console.error("Error restoring revision:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,117 @@
+import express from "express";
+import { TripData } from "../models/TripData.js";
+import { User } from "../models/User.js";
+import { acceptQueryToken, optionalAuth } from "../middleware/auth.js";
+import {
+  loadTrip,
+  getTripRole,
+  hasTripAccess,
+} from "../middleware/tripAccess.js";
+import { validate } from "../middleware/validate.js";
+import { getTripHub } from "../services/realtime/hub.js";
+import { sendError } from "../utils/errors.js";
+import { tripParams } from "../validation/common.js";
+
+// Mounted at /api/trips/:id/live
+const router = express.Router({ mergeParams: true });
+
+// Comment lines sent this often keep proxies from closing idle streams
+const KEEP_ALIVE_MS = 25 * 1000;
+
+async function viewerFor(user) {
+  if (!user) return { userId: null, displayName: null };
+  const account = await User.findById(user.id).select("displayName");
+  return { userId: user.id, displayName: account?.displayName ?? null };
+}
+
+// Server-sent events stream of the trip's changes and who is viewing it.
+// Events: ready { revision, presence }, change { revision, summary, events,
+// ... }, presence { viewers, anonymous }, revoked. Each change's SSE id is
+// its revision. Presence, and who made each change, are only sent to the
+// trip's members. The stream ends with `revoked` when the trip's sharing
+// changes so that the viewer may no longer read it.
+router.get(
+  "/",
+  acceptQueryToken,
+  optionalAuth,
+  validate({ params: tripParams }),
+  loadTrip("read"),
+  async (req, res) => {
+    let viewer;
+    try {
+      viewer = await viewerFor(req.user);
+    } catch (error) {
+      console.error("Error opening live stream:", error);
+      return sendError(res, error);
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      // Don't let nginx buffer the stream
+      "X-Accel-Buffering": "no",
+    });
+    res.write("retry: 5000\n\n");
+
+    const send = (event, data, id) => {
+      if (res.writableEnded) return;
+      res.write(
+        (id === undefined ? "" : `id: ${id}\n`) +
+          `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`
+      );
+    };
+
+    const tripId = req.trip._id.toString();
+    const hub = getTripHub();
+    const member = hasTripAccess(req.tripRole, "member");
+
+    const checkAccess = async () => {
+      const trip = await TripData.findById(tripId).select(
+        "userId collaborators sharedWith visibility isPublic"
+      );
+      const role = trip && getTripRole(trip, req.user?.id);
+      if (!hasTripAccess(role, "read")) return null;
+      return { member: hasTripAccess(role, "member") };
+    };
+    const close = () => {
+      send("revoked", {});
+      res.end();
+    };
+    let disconnect;
+    const keepAlive = setInterval(
+      () => res.write(": keep-alive\n\n"),
+      KEEP_ALIVE_MS
+    );
+    res.on("close", () => {
+      clearInterval(keepAlive);
+      disconnect?.();
+    });
+
+    try {
+      disconnect = await hub.connect(tripId, viewer, send, {
+        member,
+        checkAccess,
+        close,
+      });
+      if (res.destroyed) return disconnect();
+
+      // The trip may have changed since it was loaded; clients holding an
+      // older revision should reload it
+      const current = await TripData.findById(tripId).select("__v");
+      const revision = current?.__v ?? req.trip.__v;
+      send(
+        "ready",
+        { revision, presence: member ? hub.presence(tripId) : null },
+        revision
+      );
+    } catch (error) {
+      console.error("Error opening live stream:", error);
+      clearInterval(keepAlive);
+      disconnect?.();
+      res.end();
+    }
+  }
+);
+
+export default router;
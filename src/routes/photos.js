@@ -0,0 +1,280 @@
+import express from "express";
+import multer from "multer";
+import { Photo } from "../models/Photo.js";
+import { requireAuth, optionalAuth } from "../middleware/auth.js";
+import { loadTrip, hasTripAccess } from "../middleware/tripAccess.js";
+import { commitTripChange, tripETag } from "../middleware/tripVersion.js";
+import { validate } from "../middleware/validate.js";
+import {
+  MAX_PHOTO_BYTES,
+  MAX_PHOTOS_PER_UPLOAD,
+  PHOTO_CONTENT_TYPES,
+  processPhoto,
+  storePhoto,
+  deletePhotos,
+  suggestStop,
+} from "../services/photos.js";
+import {
+  sendError,
+  badRequest,
+  notFound,
+  payloadTooLarge,
+  validationError,
+} from "../utils/errors.js";
+import { tripParams } from "../validation/common.js";
+import {
+  photoParams,
+  listPhotosQuery,
+  uploadPhotosBody,
+  updatePhotoBody,
+} from "../validation/photos.js";
+
+// Mounted at /api/trips/:id/photos
+const router = express.Router({ mergeParams: true });
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_PHOTO_BYTES,
+    files: MAX_PHOTOS_PER_UPLOAD,
+    fields: 10,
+  },
+  fileFilter: (req, file, accept) => {
+    if (PHOTO_CONTENT_TYPES.includes(file.mimetype)) return accept(null, true);
+    accept(badRequest("Photos must be JPEG, PNG or WebP images"));
+  },
+}).array("photos", MAX_PHOTOS_PER_UPLOAD);
+
+// Parse a multipart upload of up to MAX_PHOTOS_PER_UPLOAD files in the
+// "photos" field into req.files
+function receivePhotos(req, res, next) {
+  upload(req, res, (error) => {
+    if (!error) return next();
+    if (error.code === "LIMIT_FILE_SIZE") {
+      return sendError(
+        res,
+        payloadTooLarge(
+          `Photos can be at most ${MAX_PHOTO_BYTES / 1024 / 1024} MB`
+        )
+      );
+    }
+    if (error instanceof multer.MulterError) {
+      return sendError(
+        res,
+        badRequest(
+          error.code === "LIMIT_FILE_COUNT" ||
+            error.code === "LIMIT_UNEXPECTED_FILE"
+            ? `Send up to ${MAX_PHOTOS_PER_UPLOAD} files in the "photos" field`
+            : error.message
+        )
+      );
+    }
+    sendError(res, error);
+  });
+}
+
+// Where and when a photo was taken, and the stop that suggests, are only
+// shown to the trip's members
+const PRIVATE_PHOTO_FIELDS = ["takenAt", "lat", "lng", "suggestedStopId"];
+
+function withSuggestion(trip, photo) {
+  return { ...photo.toJSON(), suggestion: suggestStop(trip, photo) };
+}
+
+function publicPhoto(photo) {
+  const json = photo.toJSON();
+  PRIVATE_PHOTO_FIELDS.forEach((field) => delete json[field]);
+  return json;
+}
+
+// Add or remove photo URLs in their stops' `photos`
+function linkPhotos(trip, photos, { unlink = false } = {}) {
+  photos
+    .filter((photo) => photo.stopId != null)
+    .forEach((photo) => {
+      const stop = trip.stops.find((s) => s.id === photo.stopId);
+      if (!stop) return;
+      const photoUrls = stop.photos.filter((url) => url !== photo.url);
+      stop.photos = unlink ? photoUrls : [...photoUrls, photo.url];
+      stop.updatedAt = new Date();
+    });
+}
+
+// List the trip's photos, optionally of one stop or only unattached ones
+router.get(
+  "/",
+  optionalAuth,
+  validate({ params: tripParams, query: listPhotosQuery }),
+  loadTrip("read"),
+  async (req, res) => {
+    try {
+      const { stopId, unassigned } = req.query;
+
+      const query = { tripId: req.trip._id, orphanedAt: null };
+      if (stopId !== undefined) query.stopId = stopId;
+      else if (unassigned) query.stopId = null;
+
+      const photos = await Photo.find(query).sort({ takenAt: 1, createdAt: 1 });
+      res.json(
+        hasTripAccess(req.tripRole, "member")
+          ? photos.map((photo) => withSuggestion(req.trip, photo))
+          : photos.map(publicPhoto)
+      );
+    } catch (error) {
+      console.error("Error fetching photos:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+// Upload photos as multipart/form-data. With a stopId field they're
+// attached to that stop ("auto" picks the stop each photo's EXIF location
+// and time suggest); otherwise they're left unattached with a suggestion.
+router.post(
+  "/",
+  requireAuth,
+  validate({ params: tripParams }),
+  loadTrip("write"),
+  receivePhotos,
+  validate({ body: uploadPhotosBody }),
+  async (req, res) => {
+    try {
+      const { stopId } = req.body;
+      if (!req.files?.length) {
+        return sendError(res, badRequest('Attach files in the "photos" field'));
+      }
+      if (
+        typeof stopId === "number" &&
+        !req.trip.stops.some((stop) => stop.id === stopId)
+      ) {
+        return sendError(
+          res,
+          validationError([
+            { path: "body.stopId", message: "No such stop on this trip" },
+          ])
+        );
+      }
+
+      // Check every file before storing any
+      const processed = [];
+      for (const file of req.files) {
+        processed.push(
+          await processPhoto(file.buffer, { timeZone: req.trip.timezone })
+        );
+      }
+
+      const photos = [];
+      try {
+        for (const [index, upload] of processed.entries()) {
+          photos.push(
+            await storePhoto(req.trip, upload, {
+              originalName: req.files[index].originalname,
+              stopId,
+              userId: req.user.id,
+            })
+          );
+        }
+
+        if (photos.some((photo) => photo.stopId != null)) {
+          const { trip } = await commitTripChange(req, (trip) =>
+            linkPhotos(trip, photos)
+          );
+          res.set("ETag", tripETag(trip));
+        }
+      } catch (error) {
+        await deletePhotos({ _id: { $in: photos.map((photo) => photo._id) } });
+        throw error;
+      }
+
+      res
+        .status(201)
+        .json(photos.map((photo) => withSuggestion(req.trip, photo)));
+    } catch (error) {
+      console.error("Error uploading photos:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+// Attach a photo to another stop (null detaches it) or change its caption
+router.put(
+  "/:photoId",
+  requireAuth,
+  validate({ params: photoParams, body: updatePhotoBody }),
+  loadTrip("write"),
+  async (req, res) => {
+    try {
+      const photo = await Photo.findOne({
+        _id: req.params.photoId,
+        tripId: req.trip._id,
+      });
+      if (!photo) {
+        return sendError(res, notFound("Photo not found"));
+      }
+
+      const { stopId, caption } = req.body;
+      if (caption !== undefined) photo.caption = caption;
+
+      if (stopId !== undefined && stopId !== photo.stopId) {
+        if (
+          stopId !== null &&
+          !req.trip.stops.some((stop) => stop.id === stopId)
+        ) {
+          return sendError(
+            res,
+            validationError([
+              { path: "body.stopId", message: "No such stop on this trip" },
+            ])
+          );
+        }
+        const { trip } = await commitTripChange(req, (trip) => {
+          linkPhotos(trip, [photo], { unlink: true });
+          linkPhotos(trip, [{ stopId, url: photo.url }]);
+        });
+        res.set("ETag", tripETag(trip));
+        photo.stopId = stopId ?? undefined;
+        photo.orphanedAt = undefined;
+      }
+
+      await photo.save();
+      res.json(withSuggestion(req.trip, photo));
+    } catch (error) {
+      console.error("Error updating photo:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+// Delete a photo, its thumbnail and its link from the stop
+router.delete(
+  "/:photoId",
+  requireAuth,
+  validate({ params: photoParams }),
+  loadTrip("write"),
+  async (req, res) => {
+    try {
+      const photo = await Photo.findOne({
+        _id: req.params.photoId,
+        tripId: req.trip._id,
+      });
+      if (!photo) {
+        return sendError(res, notFound("Photo not found"));
+      }
+
+      if (photo.stopId != null) {
+        const { trip } = await commitTripChange(req, (trip) =>
+          linkPhotos(trip, [photo], { unlink: true })
+        );
+        res.set("ETag", tripETag(trip));
+      }
+      await deletePhotos({ _id: photo._id });
+
+      res.json({ message: "Photo deleted successfully" });
+    } catch (error) {
+      console.error("Error deleting photo:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,201 @@
+import express from "express";
+import mongoose from "mongoose";
+import { Review } from "../models/Review.js";
+import { User } from "../models/User.js";
+import { requireAuth, optionalAuth } from "../middleware/auth.js";
+import { loadTrip, hasTripAccess } from "../middleware/tripAccess.js";
+import { validate } from "../middleware/validate.js";
+import { refreshTripRating, ratingDistribution } from "../services/ratings.js";
+import { sendError, forbidden, notFound, conflict } from "../utils/errors.js";
+import { tripParams } from "../validation/common.js";
+import {
+  reviewParams,
+  createReviewBody,
+  updateReviewBody,
+  listReviewsQuery,
+} from "../validation/reviews.js";
+
+// Mounted at /api/trips/:id/reviews
+const router = express.Router({ mergeParams: true });
+
+const SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+  highest: { rating: -1, createdAt: -1, _id: -1 },
+  lowest: { rating: 1, createdAt: -1, _id: -1 },
+};
+
+// Attach the reviewer's display name; emails stay private
+async function withAuthors(reviews) {
+  const users = await User.find({
+    _id: {
+      $in: reviews
+        .map((r) => r.userId)
+        .filter((id) => mongoose.isValidObjectId(id)),
+    },
+  }).select("displayName");
+  const byId = new Map(users.map((u) => [u._id.toString(), u]));
+
+  return reviews.map((review) => ({
+    ...review.toJSON(),
+    authorName: byId.get(review.userId)?.displayName,
+  }));
+}
+
+// Load the review named by :reviewId and check the caller wrote it
+async function loadOwnReview(req, res) {
+  const review = await Review.findOne({
+    _id: req.params.reviewId,
+    tripId: req.trip._id,
+  });
+  if (!review) {
+    sendError(res, notFound("Review not found"));
+    return null;
+  }
+  if (review.userId !== req.user.id) {
+    sendError(res, forbidden("You can only change your own review"));
+    return null;
+  }
+  return review;
+}
+
+// List a trip's reviews, paginated, with the rating summary
+router.get(
+  "/",
+  optionalAuth,
+  validate({ params: tripParams, query: listReviewsQuery }),
+  loadTrip("read"),
+  async (req, res) => {
+    try {
+      const { sort, limit, page } = req.query;
+
+      const query = { tripId: req.trip._id };
+      const [reviews, total, distribution] = await Promise.all([
+        Review.find(query)
+          .sort(SORTS[sort])
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Review.countDocuments(query),
+        ratingDistribution(req.trip._id),
+      ]);
+
+      res.json({
+        rating: req.trip.rating,
+        reviewCount: req.trip.reviewCount,
+        distribution,
+        reviews: await withAuthors(reviews),
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      });
+    } catch (error) {
+      console.error("Error fetching reviews:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+// Review a trip - anyone who can see it, except its owner and editors
+router.post(
+  "/",
+  requireAuth,
+  validate({ params: tripParams, body: createReviewBody }),
+  loadTrip("read"),
+  async (req, res) => {
+    try {
+      if (hasTripAccess(req.tripRole, "write")) {
+        return sendError(
+          res,
+          forbidden("You can't review a trip you own or edit")
+        );
+      }
+
+      const { rating, title, comment } = req.body;
+      const review = new Review({
+        tripId: req.trip._id,
+        userId: req.user.id,
+        rating,
+        title,
+        comment,
+      });
+      await review.save();
+
+      const trip = await refreshTripRating(req.trip._id);
+      res.status(201).json({
+        review: (await withAuthors([review]))[0],
+        rating: trip.rating,
+        reviewCount: trip.reviewCount,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return sendError(
+          res,
+          conflict(
+            "You have already reviewed this trip; edit your review instead"
+          )
+        );
+      }
+      console.error("Error creating review:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+// Edit your review
+router.put(
+  "/:reviewId",
+  requireAuth,
+  validate({ params: reviewParams, body: updateReviewBody }),
+  loadTrip("read"),
+  async (req, res) => {
+    try {
+      const review = await loadOwnReview(req, res);
+      if (!review) return;
+
+      const { rating, title, comment } = req.body;
+      if (rating !== undefined) review.rating = rating;
+      if (title !== undefined) review.title = title;
+      if (comment !== undefined) review.comment = comment;
+      await review.save();
+
+      const trip = await refreshTripRating(req.trip._id);
+      res.json({
+        review: (await withAuthors([review]))[0],
+        rating: trip.rating,
+        reviewCount: trip.reviewCount,
+      });
+    } catch (error) {
+      console.error("Error updating review:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+// Delete your review
+router.delete(
+  "/:reviewId",
+  requireAuth,
+  validate({ params: reviewParams }),
+  loadTrip("read"),
+  async (req, res) => {
+    try {
+      const review = await loadOwnReview(req, res);
+      if (!review) return;
+
+      await review.deleteOne();
+
+      const trip = await refreshTripRating(req.trip._id);
+      res.json({
+        message: "Review deleted successfully",
+        rating: trip.rating,
+        reviewCount: trip.reviewCount,
+      });
+    } catch (error) {
+      console.error("Error deleting review:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+export default router;
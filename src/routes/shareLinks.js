@@ -0,0 +1,105 @@
+import express from "express";
+import { ShareLink } from "../models/ShareLink.js";
+import { requireAuth } from "../middleware/auth.js";
+import { loadTrip } from "../middleware/tripAccess.js";
+import { validate } from "../middleware/validate.js";
+import { createShareToken } from "../utils/tokens.js";
+import { sendError, notFound } from "../utils/errors.js";
+import { tripParams } from "../validation/common.js";
+import {
+  shareLinkParams,
+  createShareLinkBody,
+} from "../validation/shareLinks.js";
+
+// Mounted at /api/trips/:id/share-links
+const router = express.Router({ mergeParams: true });
+
+// Where a link's token opens the shared view
+function sharedUrl(req, token) {
+  return new URL(`/api/shared/${token}`, `${req.protocol}://${req.get("host")}`)
+    .href;
+}
+
+// List a trip's share links, newest first, revoked and expired ones included
+router.get(
+  "/",
+  requireAuth,
+  validate({ params: tripParams }),
+  loadTrip("manage"),
+  async (req, res) => {
+    try {
+      const links = await ShareLink.find({ tripId: req.trip._id }).sort({
+        createdAt: -1,
+      });
+      res.json({ links });
+    } catch (error) {
+      console.error("Error fetching share links:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+// Create a share link. The token is only ever returned here.
+router.post(
+  "/",
+  requireAuth,
+  validate({ params: tripParams, body: createShareLinkBody }),
+  loadTrip("manage"),
+  async (req, res) => {
+    try {
+      const { label, expiresAt, password } = req.body;
+      const { token, tokenHash } = createShareToken();
+
+      const link = new ShareLink({
+        tripId: req.trip._id,
+        tokenHash,
+        label,
+        expiresAt,
+        createdBy: req.user.id,
+      });
+      await link.setPassword(password);
+      await link.save();
+
+      res.status(201).json({
+        ...link.toJSON(),
+        token,
+        url: sharedUrl(req, token),
+      });
+    } catch (error) {
+      console.error("Error creating share link:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+// Revoke a share link. It stays listed, with its view count, but stops
+// working.
+router.delete(
+  "/:linkId",
+  requireAuth,
+  validate({ params: shareLinkParams }),
+  loadTrip("manage"),
+  async (req, res) => {
+    try {
+      const link = await ShareLink.findOne({
+        _id: req.params.linkId,
+        tripId: req.trip._id,
+      });
+      if (!link) {
+        return sendError(res, notFound("Share link not found"));
+      }
+
+      if (!link.revokedAt) {
+        link.revokedAt = new Date();
+        link.revokedBy = req.user.id;
+        await link.save();
+      }
+      res.json(link);
+    } catch (error) {
+      console.error("Error revoking share link:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+export default router;
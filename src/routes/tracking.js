@@ -0,0 +1,187 @@
+import express from "express";
+import { LocationPing } from "../models/LocationPing.js";
+import { requireAuth } from "../middleware/auth.js";
+import { loadTrip } from "../middleware/tripAccess.js";
+import { commitTripChange, tripETag } from "../middleware/tripVersion.js";
+import { validate } from "../middleware/validate.js";
+import {
+  applyPings,
+  describeEvents,
+  trackingStatus,
+} from "../services/tracking.js";
+import { sendError, conflict } from "../utils/errors.js";
+import { tripParams } from "../validation/common.js";
+import {
+  startTrackingBody,
+  pingsBody,
+  trackQuery,
+} from "../validation/tracking.js";
+
+// Mounted at /api/trips/:id/tracking
+const router = express.Router({ mergeParams: true });
+
+function latestPing(tripId) {
+  return LocationPing.findOne({ tripId }).sort({ recordedAt: -1 });
+}
+
+// Current position, visit in progress, ETA and delay
+router.get(
+  "/",
+  requireAuth,
+  validate({ params: tripParams }),
+  loadTrip("member"),
+  async (req, res) => {
+    try {
+      res.json(trackingStatus(req.trip, await latestPing(req.trip._id)));
+    } catch (error) {
+      console.error("Error fetching tracking status:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+// Put the trip in progress. Calling it again only updates geofenceRadius.
+router.post(
+  "/start",
+  requireAuth,
+  validate({ params: tripParams, body: startTrackingBody }),
+  loadTrip("write"),
+  async (req, res) => {
+    try {
+      const { geofenceRadius } = req.body;
+
+      const { trip } = await commitTripChange(req, (trip) => {
+        if (!trip.tracking?.active) {
+          trip.tracking = {
+            active: true,
+            startedAt: new Date(),
+            startedBy: req.user.id,
+            geofenceRadius: trip.tracking?.geofenceRadius,
+          };
+          trip.noteChange("Started tracking");
+        }
+        if (geofenceRadius !== undefined) {
+          trip.tracking.geofenceRadius = geofenceRadius;
+        }
+      });
+
+      res.set("ETag", tripETag(trip));
+      res.json(trackingStatus(trip, await latestPing(trip._id)));
+    } catch (error) {
+      console.error("Error starting tracking:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+router.post(
+  "/stop",
+  requireAuth,
+  validate({ params: tripParams }),
+  loadTrip("write"),
+  async (req, res) => {
+    try {
+      const { trip } = await commitTripChange(req, (trip) => {
+        if (!trip.tracking?.active) return;
+        trip.tracking.active = false;
+        trip.tracking.stoppedAt = new Date();
+        trip.noteChange("Stopped tracking");
+      });
+
+      res.set("ETag", tripETag(trip));
+      res.json(trackingStatus(trip, await latestPing(trip._id)));
+    } catch (error) {
+      console.error("Error stopping tracking:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+// Record a batch of GPS pings. Pings newer than any seen before are
+// geofenced against the stops to record arrivals and departures; older ones
+// (e.g. sent late after being offline) only extend the track.
+router.post(
+  "/pings",
+  requireAuth,
+  validate({ params: tripParams, body: pingsBody }),
+  loadTrip("write"),
+  async (req, res) => {
+    try {
+      if (!req.trip.tracking?.active) {
+        return sendError(res, conflict("Start tracking before sending pings"));
+      }
+
+      const tripId = req.trip._id;
+      const receivedAt = new Date();
+      const pings = req.body.pings
+        .map((ping) => ({
+          ...ping,
+          tripId,
+          userId: req.user.id,
+          recordedAt: ping.recordedAt || receivedAt,
+        }))
+        .sort((a, b) => a.recordedAt - b.recordedAt);
+
+      const previous = await latestPing(tripId);
+      await LocationPing.insertMany(pings);
+
+      const fresh = previous
+        ? pings.filter((ping) => ping.recordedAt > previous.recordedAt)
+        : pings;
+
+      const { trip, result: events } = await commitTripChange(req, (trip) => {
+        const events = applyPings(trip, fresh);
+        if (events.length > 0) trip.noteChange(describeEvents(events));
+        return events;
+      });
+
+      res.set("ETag", tripETag(trip));
+      res.status(201).json({
+        received: pings.length,
+        events,
+        status: trackingStatus(trip, await latestPing(tripId)),
+      });
+    } catch (error) {
+      console.error("Error recording pings:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+// The recorded breadcrumb track, oldest first
+router.get(
+  "/track",
+  requireAuth,
+  validate({ params: tripParams, query: trackQuery }),
+  loadTrip("member"),
+  async (req, res) => {
+    try {
+      const { since, until, limit } = req.query;
+
+      const query = { tripId: req.trip._id };
+      if (since || until) {
+        query.recordedAt = {};
+        if (since) query.recordedAt.$gte = since;
+        if (until) query.recordedAt.$lte = until;
+      }
+
+      const pings = await LocationPing.find(query)
+        .sort({ recordedAt: 1 })
+        .limit(limit + 1)
+        .select("-_id recordedAt lat lng accuracy speed heading")
+        .lean();
+
+      res.json({
+        tripId: req.trip._id,
+        count: Math.min(pings.length, limit),
+        truncated: pings.length > limit,
+        points: pings.slice(0, limit),
+      });
+    } catch (error) {
+      console.error("Error fetching track:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+export default router;
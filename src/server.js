@@ -2,8 +2,106 @@ import express from "express";
 import mongoose from "mongoose";
 import cors from "cors";
 import { TripData } from "./models/TripData.js";
+import { User } from "./models/User.js";
+import { ShareLink } from "./models/ShareLink.js";
+import { Expense } from "./models/Expense.js";
+import authRoutes from "./routes/auth.js";
+import collaboratorRoutes from "./routes/collaborators.js";
+import dayRoutes from "./routes/days.js";
+import reviewRoutes from "./routes/reviews.js";
+import historyRoutes from "./routes/history.js";
+import trackingRoutes from "./routes/tracking.js";
+import liveRoutes from "./routes/live.js";
+import budgetRoutes from "./routes/budget.js";
+import photoRoutes from "./routes/photos.js";
+import shareLinkRoutes from "./routes/shareLinks.js";
+import {
+  requireAuth,
+  optionalAuth,
+  acceptCalendarToken,
+} from "./middleware/auth.js";
+import { loadTrip, hasTripAccess } from "./middleware/tripAccess.js";
+import { validate } from "./middleware/validate.js";
+import {
+  commitTripChange,
+  sendTrip,
+  tripETag,
+} from "./middleware/tripVersion.js";
+import { generateRouteSegments } from "./services/routing/index.js";
+import {
+  getElevationProvider,
+  profileSegment,
+} from "./services/elevation/index.js";
+import { getTripHub } from "./services/realtime/hub.js";
+import { getStorage } from "./services/storage/index.js";
+import {
+  isPhotoKey,
+  purgeOrphanedPhotos,
+  watchStopRemovals,
+} from "./services/photos.js";
+import { optimizeStops } from "./services/optimizer.js";
+import { scheduleTrip } from "./services/scheduler.js";
+import {
+  replanDay,
+  applyReplan,
+  rerouteAroundSkipped,
+} from "./services/replan.js";
+import { EXPORT_FORMATS, importTrip } from "./services/formats/index.js";
+import { searchTrips, tripIdsNear, SearchError } from "./services/search.js";
+import { cloneTrip, parseStartDate } from "./services/clone.js";
+import { sharedTripView, publicTripView } from "./services/sharing.js";
+import { rebaseExpenses, convertTripAmounts } from "./services/budget.js";
+import {
+  TRASH_RETENTION_DAYS,
+  purgeDate,
+  purgeExpiredTrips,
+} from "./services/trash.js";
+import { parseLatLng } from "./utils/geo.js";
+import { signCalendarToken, hashShareToken } from "./utils/tokens.js";
+import {
+  sendError,
+  toApiError,
+  badRequest,
+  unauthorized,
+  notFound,
+  conflict,
+  validationError,
+} from "./utils/errors.js";
+import { tripParams, stopParams } from "./validation/common.js";
+import { sharedTripParams } from "./validation/shareLinks.js";
+import {
+  createStopBody,
+  updateStopBody,
+  legacyStopBody,
+  reorderStopsBody,
+  stopStatusBody,
+  createTripBody,
+  updateTripBody,
+  legacyTripBody,
+  cloneTripBody,
+  listTripsQuery,
+  sharedTripsQuery,
+  trashQuery,
+  searchTripsQuery,
+  popularTripsQuery,
+  templatesQuery,
+  generateRoutesBody,
+  optimizeRouteBody,
+  scheduleBody,
+  replanBody,
+  exportQuery,
+  calendarQuery,
+  importQuery,
+  importBody,
+} from "./validation/trips.js";
+
+// Imported GPX/KML files, raw or wrapped in JSON
+const IMPORT_LIMIT = "10mb";
 
 const app = express();
+// Ahead of the default JSON parser and its 100kb limit, which then leaves
+// these bodies alone
+app.use("/api/trips/import", express.json({ limit: IMPORT_LIMIT }));
 app.use(express.json());
 const PORT = process.env.PORT || 8000;
 const MONGODB_URI =
@@ -15,500 +113,1223 @@ app.use(
   })
 );
 
+// ===========================================
+// AUTH ENDPOINTS
+// ===========================================
+
+app.use("/api/auth", authRoutes);
+
 // ===========================================
 // SEARCH & DISCOVERY ENDPOINTS (MUST BE FIRST)
 // ===========================================
 
-// Search trips - MUST come before /api/trips/:id
-app.get("/api/trips/search", async (req, res) => {
-  try {
-    const {
-      query,
-      category,
-      tags,
-      location,
-      radius = 50,
-      limit = 10,
-    } = req.query;
-
-    const searchQuery = { isPublic: true };
-
-    if (query) {
-      searchQuery.$or = [
-        { name: { $regex: query, $options: "i" } },
-        { description: { $regex: query, $options: "i" } },
-      ];
-    }
-
-    if (category) searchQuery.category = category;
-    if (tags) {
-      const tagArray = Array.isArray(tags) ? tags : tags.split(",");
-      searchQuery.tags = { $in: tagArray };
-    }
-
-    const trips = await TripData.find(searchQuery)
-      .sort({ rating: -1, reviewCount: -1 })
-      .limit(parseInt(limit))
-      .select(
-        "name estimatedDuration createdAt category tags stats isPublic rating"
-      );
+// Fields returned by the discovery endpoints - never load stops or geometry
+const SUMMARY_FIELDS =
+  "name estimatedDuration createdAt category tags stats bbox isPublic rating";
 
-    res.json(trips);
-  } catch (error) {
-    console.error("Error searching trips:", error);
-    res.status(500).json({ error: error.message });
+// Search trips - MUST come before /api/trips/:id
+// See searchTrips for the supported query parameters
+app.get(
+  "/api/trips/search",
+  validate({ query: searchTripsQuery }),
+  async (req, res) => {
+    try {
+      res.json(await searchTrips(req.query));
+    } catch (error) {
+      if (error instanceof SearchError) {
+        return sendError(res, error);
+      }
+      console.error("Error searching trips:", error);
+      sendError(res, error);
+    }
   }
-});
+);
 
 // Get popular trips - MUST come before /api/trips/:id
-app.get("/api/trips/popular", async (req, res) => {
-  try {
-    const { location, limit = 10 } = req.query;
+// location=lat,lng with radius (km) limits results to trips with a stop nearby
+app.get(
+  "/api/trips/popular",
+  validate({ query: popularTripsQuery }),
+  async (req, res) => {
+    try {
+      const { location, radius, limit } = req.query;
+
+      const popularQuery = { isPublic: true, rating: { $gte: 4.0 } };
+
+      if (location) {
+        const point = parseLatLng(location);
+        if (!point) {
+          return sendError(
+            res,
+            validationError([
+              { path: "query.location", message: "Must be lat,lng" },
+            ])
+          );
+        }
+        popularQuery._id = { $in: await tripIdsNear(point, radius) };
+      }
 
-    const trips = await TripData.find({ isPublic: true, rating: { $gte: 4.0 } })
-      .sort({ rating: -1, reviewCount: -1, createdAt: -1 })
-      .limit(parseInt(limit))
-      .select(
-        "name estimatedDuration createdAt category tags stats isPublic rating"
-      );
+      const trips = await TripData.find(popularQuery)
+        .sort({ ratingScore: -1, reviewCount: -1, createdAt: -1 })
+        .limit(limit)
+        .select(SUMMARY_FIELDS);
 
-    res.json(trips);
-  } catch (error) {
-    console.error("Error fetching popular trips:", error);
-    res.status(500).json({ error: error.message });
+      res.json(trips);
+    } catch (error) {
+      console.error("Error fetching popular trips:", error);
+      sendError(res, error);
+    }
   }
-});
+);
+
+// Template gallery - MUST come before /api/trips/:id
+app.get(
+  "/api/trips/templates",
+  validate({ query: templatesQuery }),
+  async (req, res) => {
+    try {
+      const { category, tags, limit, page } = req.query;
+
+      const query = { isTemplate: true, isPublic: true };
+      if (category) query.category = category;
+      if (tags) query.tags = { $in: tags };
+
+      const [templates, total] = await Promise.all([
+        TripData.find(query)
+          .sort({ ratingScore: -1, createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .select(`${SUMMARY_FIELDS} description timezone reviewCount`),
+        TripData.countDocuments(query),
+      ]);
+
+      res.json({
+        templates,
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      });
+    } catch (error) {
+      console.error("Error fetching templates:", error);
+      sendError(res, error);
+    }
+  }
+);
 
 // ===========================================
 // LEGACY ENDPOINTS (MUST BE BEFORE GENERIC ROUTES)
 // ===========================================
 
 // Legacy trip creation endpoint
-app.post("/api/trips/legacy", async (req, res) => {
-  try {
-    const { name, length } = req.body;
-    const tripData = new TripData({
-      name,
-      estimatedDuration: length,
-      length, // Keep for backward compatibility
-      category: "custom",
-      tags: [],
-      isPublic: false,
-      userId: "default-user",
-    });
-    await tripData.save();
-    res.status(201).json(tripData);
-  } catch (error) {
-    console.error("Error creating legacy trip:", error);
-    res.status(400).json({ error: error.message });
+app.post(
+  "/api/trips/legacy",
+  requireAuth,
+  validate({ body: legacyTripBody }),
+  async (req, res) => {
+    try {
+      const { name, length } = req.body;
+      const tripData = new TripData({
+        name,
+        estimatedDuration: length,
+        length, // Keep for backward compatibility
+        category: "custom",
+        tags: [],
+        isPublic: false,
+        userId: req.user.id,
+      });
+      await tripData.save();
+      sendTrip(res, tripData, 201);
+    } catch (error) {
+      console.error("Error creating legacy trip:", error);
+      sendError(res, error);
+    }
   }
-});
+);
 
 // ===========================================
 // TRIP MANAGEMENT ENDPOINTS
 // ===========================================
 
 // Get all trips (with query support for filtering)
-app.get("/api/trips", async (req, res) => {
-  try {
-    const {
-      category,
-      tags,
-      isPublic,
-      userId = "default-user",
-      limit = 50,
-      sort = "-createdAt",
-    } = req.query;
-
-    // Build query
-    const query = { userId };
-
-    if (category) query.category = category;
-    if (isPublic !== undefined) query.isPublic = isPublic === "true";
-    if (tags) {
-      const tagArray = Array.isArray(tags) ? tags : tags.split(",");
-      query.tags = { $in: tagArray };
-    }
-
-    const trips = await TripData.find(query)
-      .sort(sort)
-      .limit(parseInt(limit))
-      .select(
-        "name estimatedDuration createdAt category tags stats isPublic rating"
-      );
+app.get(
+  "/api/trips",
+  requireAuth,
+  validate({ query: listTripsQuery }),
+  async (req, res) => {
+    try {
+      const { category, tags, isPublic, limit, sort } = req.query;
+
+      // Build query - users only ever list their own trips
+      const query = { userId: req.user.id };
+
+      if (category) query.category = category;
+      if (isPublic !== undefined) query.isPublic = isPublic;
+      if (tags) query.tags = { $in: tags };
+
+      const trips = await TripData.find(query)
+        .sort(sort)
+        .limit(limit)
+        .select(
+          "name estimatedDuration createdAt category tags stats isPublic rating"
+        );
+
+      // Transform to TripSummary format
+      const tripSummaries = trips.map((trip) => ({
+        _id: trip._id,
+        name: trip.name,
+        estimatedDuration: trip.estimatedDuration,
+        createdAt: trip.createdAt,
+        stopCount: trip.stats.stopCount,
+        category: trip.category,
+        tags: trip.tags,
+        stats: {
+          totalDistance: trip.stats.totalDistance,
+          estimatedCost: trip.stats.estimatedCost,
+        },
+        isPublic: trip.isPublic,
+        rating: trip.rating,
+        // Keep legacy field for backward compatibility
+        length: trip.length || trip.estimatedDuration,
+      }));
+
+      res.json(tripSummaries);
+    } catch (error) {
+      console.error("Error fetching trips:", error);
+      sendError(res, error);
+    }
+  }
+);
 
-    // Transform to TripSummary format
-    const tripSummaries = trips.map((trip) => ({
-      _id: trip._id,
-      name: trip.name,
-      estimatedDuration: trip.estimatedDuration,
-      createdAt: trip.createdAt,
-      stopCount: trip.stats.stopCount,
-      category: trip.category,
-      tags: trip.tags,
-      stats: {
-        totalDistance: trip.stats.totalDistance,
-        estimatedCost: trip.stats.estimatedCost,
-      },
-      isPublic: trip.isPublic,
-      rating: trip.rating,
-      // Keep legacy field for backward compatibility
-      length: trip.length || trip.estimatedDuration,
-    }));
-
-    res.json(tripSummaries);
-  } catch (error) {
-    console.error("Error fetching trips:", error);
-    res.status(500).json({ error: error.message });
+// Get trips shared with the current user - MUST come before /api/trips/:id
+app.get(
+  "/api/trips/shared",
+  requireAuth,
+  validate({ query: sharedTripsQuery }),
+  async (req, res) => {
+    try {
+      const { role, limit, sort } = req.query;
+
+      const query = { sharedWith: req.user.id };
+      if (role) {
+        query.collaborators = { $elemMatch: { userId: req.user.id, role } };
+      }
+
+      const trips = await TripData.find(query)
+        .sort(sort)
+        .limit(limit)
+        .select(
+          "name estimatedDuration createdAt updatedAt category tags stats isPublic rating userId collaborators"
+        );
+
+      const tripSummaries = trips.map((trip) => ({
+        _id: trip._id,
+        name: trip.name,
+        estimatedDuration: trip.estimatedDuration,
+        createdAt: trip.createdAt,
+        updatedAt: trip.updatedAt,
+        stopCount: trip.stats.stopCount,
+        category: trip.category,
+        tags: trip.tags,
+        stats: {
+          totalDistance: trip.stats.totalDistance,
+          estimatedCost: trip.stats.estimatedCost,
+        },
+        isPublic: trip.isPublic,
+        rating: trip.rating,
+        ownerId: trip.userId,
+        // Trips shared before roles existed have no collaborator record
+        role:
+          trip.collaborators.find((c) => c.userId === req.user.id)?.role ||
+          "editor",
+      }));
+
+      res.json(tripSummaries);
+    } catch (error) {
+      console.error("Error fetching shared trips:", error);
+      sendError(res, error);
+    }
   }
-});
+);
+
+// Trips the current user deleted that can still be restored - MUST come
+// before /api/trips/:id
+app.get(
+  "/api/trips/trash",
+  requireAuth,
+  validate({ query: trashQuery }),
+  async (req, res) => {
+    try {
+      const trips = await TripData.find({
+        userId: req.user.id,
+        deletedAt: { $ne: null },
+      })
+        .sort({ deletedAt: -1 })
+        .limit(req.query.limit)
+        .select("name estimatedDuration category tags stats deletedAt");
+
+      res.json(
+        trips.map((trip) => ({
+          _id: trip._id,
+          name: trip.name,
+          estimatedDuration: trip.estimatedDuration,
+          category: trip.category,
+          tags: trip.tags,
+          stopCount: trip.stats.stopCount,
+          deletedAt: trip.deletedAt,
+          purgeAt: purgeDate(trip),
+        }))
+      );
+    } catch (error) {
+      console.error("Error fetching trash:", error);
+      sendError(res, error);
+    }
+  }
+);
 
 // Create new trip
-app.post("/api/trips", async (req, res) => {
-  try {
-    const tripData = new TripData({
-      ...req.body,
-      userId: req.body.userId || "default-user",
-    });
-    await tripData.save();
-    res.status(201).json(tripData);
-  } catch (error) {
-    console.error("Error creating trip:", error);
-    res.status(400).json({ error: error.message });
+app.post(
+  "/api/trips",
+  requireAuth,
+  validate({ body: createTripBody }),
+  async (req, res) => {
+    try {
+      const tripData = new TripData({
+        ...req.body,
+        userId: req.user.id,
+      });
+      await tripData.save();
+      sendTrip(res, tripData, 201);
+    } catch (error) {
+      console.error("Error creating trip:", error);
+      sendError(res, error);
+    }
   }
-});
+);
 
 // Get single trip by ID
-app.get("/api/trips/:id", async (req, res) => {
-  try {
-    const trip = await TripData.findById(req.params.id);
-    if (!trip) {
-      return res.status(404).json({ error: "Trip not found" });
+app.get(
+  "/api/trips/:id",
+  optionalAuth,
+  validate({ params: tripParams }),
+  loadTrip("read"),
+  async (req, res) => {
+    try {
+      sendTrip(
+        res,
+        hasTripAccess(req.tripRole, "member")
+          ? req.trip
+          : publicTripView(req.trip)
+      );
+    } catch (error) {
+      console.error("Error fetching trip:", error);
+      sendError(res, error);
     }
-    res.json(trip);
-  } catch (error) {
-    console.error("Error fetching trip:", error);
-    res.status(500).json({ error: error.message });
   }
-});
+);
 
 // Update trip
-app.put("/api/trips/:id", async (req, res) => {
-  try {
-    const trip = await TripData.findByIdAndUpdate(
-      req.params.id,
-      { $set: req.body },
-      { new: true, runValidators: true }
-    );
+app.put(
+  "/api/trips/:id",
+  requireAuth,
+  validate({ params: tripParams, body: updateTripBody }),
+  loadTrip("write"),
+  async (req, res) => {
+    try {
+      // The body schema only admits client-editable fields: ownership, sharing
+      // and ratings are managed elsewhere
+      const updates = { ...req.body };
+
+      // Only owners and co-owners decide who can see the trip
+      if (!hasTripAccess(req.tripRole, "manage")) {
+        delete updates.visibility;
+        delete updates.isPublic;
+      }
 
-    if (!trip) {
-      return res.status(404).json({ error: "Trip not found" });
+      // Expenses, the budget and stop costs must still add up in the new
+      // currency
+      let rebased = [];
+      if (updates.currency && updates.currency !== req.trip.currency) {
+        const expenses = await Expense.find({ tripId: req.trip._id });
+        rebased = rebaseExpenses(req.trip, expenses, updates.currency);
+      }
+
+      // Save through the document so stats and derived fields stay in sync
+      const { trip } = await commitTripChange(req, (trip) => {
+        if (updates.currency) {
+          convertTripAmounts(trip, updates.currency, {
+            except: Object.keys(updates),
+          });
+        }
+        trip.set(updates);
+      });
+
+      if (rebased.length) {
+        await Expense.bulkWrite(
+          rebased.map(({ _id, exchangeRate }) => ({
+            updateOne: {
+              filter: { _id },
+              update:
+                exchangeRate === undefined
+                  ? { $unset: { exchangeRate: 1 } }
+                  : { $set: { exchangeRate } },
+            },
+          }))
+        );
+      }
+
+      sendTrip(res, trip);
+    } catch (error) {
+      console.error("Error updating trip:", error);
+      sendError(res, error);
     }
+  }
+);
 
-    res.json(trip);
-  } catch (error) {
-    console.error("Error updating trip:", error);
-    res.status(400).json({ error: error.message });
+// Delete trip. It moves to the owner's trash and is purged for good after
+// TRASH_RETENTION_DAYS.
+app.delete(
+  "/api/trips/:id",
+  requireAuth,
+  validate({ params: tripParams }),
+  loadTrip("owner"),
+  async (req, res) => {
+    try {
+      const { trip } = await commitTripChange(req, (trip) => {
+        trip.deletedAt = new Date();
+        trip.deletedBy = req.user.id;
+        trip.noteChange("Moved to trash");
+      });
+
+      res.status(200).json({
+        message: "Trip moved to trash",
+        deletedAt: trip.deletedAt,
+        purgeAt: purgeDate(trip),
+      });
+    } catch (error) {
+      console.error("Error deleting trip:", error);
+      sendError(res, error);
+    }
   }
-});
+);
+
+// Restore a trip from the trash
+app.post(
+  "/api/trips/:id/restore",
+  requireAuth,
+  validate({ params: tripParams }),
+  loadTrip("owner", { deleted: true }),
+  async (req, res) => {
+    try {
+      const { trip } = await commitTripChange(req, (trip) => {
+        trip.deletedAt = undefined;
+        trip.deletedBy = undefined;
+        trip.noteChange("Restored from trash");
+      });
+
+      sendTrip(res, trip);
+    } catch (error) {
+      console.error("Error restoring trip:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+// Copy a template (or any trip you can read) into a new trip you own.
+// Pass startDate to move every planned time to the new dates.
+app.post(
+  "/api/trips/:id/clone",
+  requireAuth,
+  validate({ params: tripParams, body: cloneTripBody }),
+  loadTrip("read"),
+  async (req, res) => {
+    try {
+      const source = req.trip;
+      const { name, startDate } = req.body;
+
+      let start;
+      if (startDate !== undefined) {
+        start = parseStartDate(startDate, source.timezone || "UTC");
+        if (!start) {
+          return sendError(
+            res,
+            validationError([
+              {
+                path: "body.startDate",
+                message: "Must be a date like 2025-06-01",
+              },
+            ])
+          );
+        }
+      }
+
+      const trip = cloneTrip(source, {
+        userId: req.user.id,
+        name,
+        startDate: start,
+      });
+      await trip.save();
+      sendTrip(res, trip, 201);
+    } catch (error) {
+      console.error("Error cloning trip:", error);
+      sendError(res, error);
+    }
+  }
+);
+
+// ===========================================
+// COLLABORATION ENDPOINTS
+// ===========================================
+
+app.use("/api/trips/:id/collaborators", collaboratorRoutes);
+
+// ===========================================
+// REVIEW ENDPOINTS
+// ===========================================
+
+app.use("/api/trips/:id/reviews", reviewRoutes);
+
+// ===========================================
+// HISTORY ENDPOINTS
+// ===========================================
+
+app.use("/api/trips/:id/history", historyRoutes);
+
+// ===========================================
+// BUDGET & EXPENSES
+// ===========================================
+
+app.use("/api/trips/:id/budget", budgetRoutes);
+
+// ===========================================
+// PHOTOS & MEDIA
+// ===========================================
+
+app.use("/api/trips/:id/photos", photoRoutes);
+
+// ===========================================
+// SHARE LINKS
+// ===========================================
+
+app.use("/api/trips/:id/share-links", shareLinkRoutes);
+
+// Read-only view of a trip through one of its share links - no account
+// needed. Links with a password need it in the X-Share-Password header.
+app.get(
+  "/api/shared/:token",
+  validate({ params: sharedTripParams }),
+  async (req, res) => {
+    try {
+      const link = await ShareLink.findOne({
+        tokenHash: hashShareToken(req.params.token),
+      });
+      // Revoked and expired links look the same as ones that never existed
+      if (!link || !link.isActive) {
+        return sendError(res, notFound("Share link not found"));
+      }
+      if (!(await link.verifyPassword(req.get("X-Share-Password")))) {
+        return sendError(
+          res,
+          unauthorized(
+            req.get("X-Share-Password")
+              ? "Wrong share link password"
+              : "This share link needs a password"
+          )
+        );
+      }
+
+      const trip = await TripData.findOne({
+        _id: link.tripId,
+        deletedAt: null,
+      });
+      if (!trip) {
+        return sendError(res, notFound("Share link not found"));
+      }
+      await trip.loadItinerary();
+
+      await ShareLink.updateOne(
+        { _id: link._id },
+        { $inc: { viewCount: 1 }, $set: { lastViewedAt: new Date() } }
+      );
+
+      res.set("Cache-Control", "private, no-store");
+      res.json({
+        link: { label: link.label, expiresAt: link.expiresAt },
+        trip: sharedTripView(trip),
+      });
+    } catch (error) {
+      console.error("Error fetching shared trip:", error);
+      sendError(res, error);
+    }
+  }
+);
 
-// Delete trip
-app.delete("/api/trips/:id", async (req, res) => {
+// Stored photos and thumbnails, when not served from MEDIA_PUBLIC_URL. Keys
+// are random, so links work like unlisted URLs: anyone with one can view it.
+// Nothing else in the storage is served.
+app.get("/api/media/*key", async (req, res) => {
   try {
-    const trip = await TripData.findByIdAndDelete(req.params.id);
-    if (!trip) {
-      return res.status(404).json({ error: "Trip not found" });
+    const key = req.params.key.join("/");
+    const media = isPhotoKey(key) ? await getStorage().get(key) : null;
+    if (!media) {
+      return sendError(res, notFound("Media not found"));
     }
-    res.status(200).json({ message: "Trip deleted successfully" });
+    res
+      .type(media.contentType)
+      .set("Cache-Control", "public, max-age=31536000, immutable")
+      .send(media.body);
   } catch (error) {
-    console.error("Error deleting trip:", error);
-    res.status(500).json({ error: error.message });
+    console.error("Error serving media:", error);
+    sendError(res, error);
   }
 });
 
+// ===========================================
+// LIVE TRACKING ENDPOINTS
+// ===========================================
+
+app.use("/api/trips/:id/tracking", trackingRoutes);
+
+// ===========================================
+// REAL-TIME UPDATES
+// ===========================================
+
+app.use("/api/trips/:id/live", liveRoutes);
+
 // ===========================================
 // STOP MANAGEMENT ENDPOINTS
 // ===========================================
 
 // Add stop to trip
-app.post("/api/trips/:id/stops", async (req, res) => {
-  try {
-    const trip = await TripData.findById(req.params.id);
-    if (!trip) {
-      return res.status(404).json({ error: "Trip not found" });
-    }
-
-    const newStop = {
-      ...req.body,
-      id: Date.now() + trip.stops.length,
-      tripId: req.params.id,
-      order: trip.stops.length + 1,
-      createdAt: new Date(),
-      updatedAt: new Date(),
-    };
-
-    trip.stops.push(newStop);
-    await trip.save();
-    res.status(201).json(trip);
-  } catch (error) {
-    console.error("Error adding stop:", error);
-    res.status(400).json({ error: error.message });
+app.post(
+  "/api/trips/:id/stops",
+  requireAuth,
+  validate({ params: tripParams, body: createStopBody }),
+  loadTrip("write"),
+  async (req, res) => {
+    try {
+      const { trip } = await commitTripChange(req, (trip) => {
+        trip.stops.push({
+          ...req.body,
+          id: trip.nextStopId(),
+          tripId: req.params.id,
+          order: trip.stops.length + 1,
+          createdAt: new Date(),
+          updatedAt: new Date(),
+        });
+      });
+
+      sendTrip(res, trip, 201);
+    } catch (error) {
+      console.error("Error adding stop:", error);
+      sendError(res, error);
+    }
   }
-});
+);
 
 // Legacy stop addition endpoint (for backward compatibility)
-app.put("/api/trips/:id/stops", async (req, res) => {
-  try {
-    const trip = await TripData.findById(req.params.id);
-    if (!trip) {
-      return res.status(404).json({ error: "Trip not found" });
-    }
-
-    const newStop = {
-      id: Date.now() + trip.stops.length,
-      tripId: req.params.id,
-      name: req.body.name,
-      lat: req.body.lat,
-      lng: req.body.lng,
-      plannedArrival: req.body.plannedTime || new Date(),
-      estimatedDuration: 60, // Default 1 hour
-      stopType: "custom",
-      priority: "medium",
-      order: trip.stops.length + 1,
-      isCompleted: false,
-      isSkipped: false,
-      createdAt: new Date(),
-      updatedAt: new Date(),
-    };
-
-    trip.stops.push(newStop);
-    await trip.save();
-    res.json(trip);
-  } catch (error) {
-    console.error("Error adding legacy stop:", error);
-    res.status(400).json({ error: error.message });
-  }
-});
+app.put(
+  "/api/trips/:id/stops",
+  requireAuth,
+  validate({ params: tripParams, body: legacyStopBody }),
+  loadTrip("write"),
+  async (req, res) => {
+    try {
+      const { trip } = await commitTripChange(req, (trip) => {
+        trip.stops.push({
+          id: trip.nextStopId(),
+          tripId: req.params.id,
+          name: req.body.name,
+          lat: req.body.lat,
+          lng: req.body.lng,
+          plannedArrival: req.body.plannedTime || new Date(),
+          estimatedDuration: 60, // Default 1 hour
+          stopType: "custom",
+          priority: "medium",
+          order: trip.stops.length + 1,
+          isCompleted: false,
+          isSkipped: false,
+          createdAt: new Date(),
+          updatedAt: new Date(),
+        });
+      });
 
-// Update stop
-app.put("/api/trips/:id/stops/:stopId", async (req, res) => {
-  try {
-    const trip = await TripData.findById(req.params.id);
-    if (!trip) {
-      return res.status(404).json({ error: "Trip not found" });
+      sendTrip(res, trip);
+    } catch (error) {
+      console.error("Error adding legacy stop:", error);
+      sendError(res, error);
     }
+  }
+);
 
-    const stopIndex = trip.stops.findIndex(
-      (stop) => stop.id === Number(req.params.stopId)
-    );
+// Reorder stops - MUST come before /api/trips/:id/stops/:stopId
+app.put(
+  "/api/trips/:id/stops/reorder",
+  requireAuth,
+  validate({ params: tripParams, body: reorderStopsBody }),
+  loadTrip("write"),
+  async (req, res) => {
+    try {
+      const { stopIds } = req.body;
+
+      const { trip } = await commitTripChange(req, (trip) => {
+        // Create a mapping of current stops
+        const stopMap = new Map(trip.stops.map((stop) => [stop.id, stop]));
+
+        // Every stop must be listed exactly once, or a stop added meanwhile
+        // would silently be dropped
+        if (
+          stopIds.length !== trip.stops.length ||
+          new Set(stopIds).size !== stopIds.length
+        ) {
+          throw badRequest("stopIds must list every stop of the trip once");
+        }
+
+        // Reorder stops based on provided order
+        trip.stops = stopIds.map((stopId, index) => {
+          const stop = stopMap.get(stopId);
+          if (stop) {
+            stop.order = index + 1;
+            return stop;
+          }
+          throw badRequest(`Stop with ID ${stopId} not found`);
+        });
+      });
 
-    if (stopIndex === -1) {
-      return res.status(404).json({ error: "Stop not found" });
+      sendTrip(res, trip);
+    } catch (error) {
+      console.error("Error reordering stops:", error);
+      sendError(res, error);
     }
+  }
+);
 
-    // Update stop data
-    Object.assign(trip.stops[stopIndex], req.body, {
-      updatedAt: new Date(),
-    });
+// Update stop
+app.put(
+  "/api/trips/:id/stops/:stopId",
+  requireAuth,
+  validate({ params: stopParams, body: updateStopBody }),
+  loadTrip("write"),
+  async (req, res) => {
+    try {
+      const { trip } = await commitTripChange(req, (trip) => {
+        const stop = trip.stops.find((s) => s.id === req.params.stopId);
+        if (!stop) throw notFound("Stop not found");
+
+        // Update stop data
+        Object.assign(stop, req.body, { updatedAt: new Date() });
+      });
 
-    await trip.save();
-    res.json(trip);
-  } catch (error) {
-    console.error("Error updating stop:", error);
-    res.status(400).json({ error: error.message });
+      sendTrip(res, trip);
+    } catch (error) {
+      console.error("Error updating stop:", error);
+      sendError(res, error);
+    }
   }
-});
+);
 
 // Delete stop
-app.delete("/api/trips/:id/stops/:stopId", async (req, res) => {
-  try {
-    const trip = await TripData.findById(req.params.id);
-    if (!trip) {
-      return res.status(404).json({ error: "Trip not found" });
+app.delete(
+  "/api/trips/:id/stops/:stopId",
+  requireAuth,
+  validate({ params: stopParams }),
+  loadTrip("write"),
+  async (req, res) => {
+    try {
+      const { trip } = await commitTripChange(req, (trip) => {
+        const stopIndex = trip.stops.findIndex(
+          (stop) => stop.id === req.params.stopId
+        );
+        if (stopIndex === -1) throw notFound("Stop not found");
+
+        trip.stops.splice(stopIndex, 1);
+
+        // Reorder remaining stops
+        trip.stops.forEach((stop, index) => {
+          stop.order = index + 1;
+        });
+      });
+
+      sendTrip(res, trip);
+    } catch (error) {
+      console.error("Error deleting stop:", error);
+      sendError(res, error);
     }
+  }
+);
 
-    const stopIndex = trip.stops.findIndex(
-      (stop) => stop.id === Number(req.params.stopId)
-    );
+// Mark stop as completed/incomplete
+app.patch(
+  "/api/trips/:id/stops/:stopId/status",
+  requireAuth,
+  validate({ params: stopParams, body: stopStatusBody }),
+  loadTrip("write"),
+  async (req, res) => {
+    try {
+      const { isCompleted, actualArrival, actualDeparture } = req.body;
+
+      const { trip } = await commitTripChange(req, (trip) => {
+        const stop = trip.stops.find((s) => s.id === req.params.stopId);
+        if (!stop) throw notFound("Stop not found");
+
+        stop.isCompleted = isCompleted;
+        stop.updatedAt = new Date();
+
+        if (actualArrival) stop.actualArrival = actualArrival;
+        if (actualDeparture) stop.actualDeparture = actualDeparture;
+      });
 
-    if (stopIndex === -1) {
-      return res.status(404).json({ error: "Stop not found" });
+      sendTrip(res, trip);
+    } catch (error) {
+      console.error("Error updating stop status:", error);
+      sendError(res, error);
     }
+  }
+);
 
-    trip.stops.splice(stopIndex, 1);
-
-    // Reorder remaining stops
-    trip.stops.forEach((stop, index) => {
-      stop.order = index + 1;
-    });
+// Skip a stop: it stays in the trip but is left out of routes, schedules
+// and stats. Use /replan afterwards to re-route and re-time the day.
+app.post(
+  "/api/trips/:id/stops/:stopId/skip",
+  requireAuth,
+  validate({ params: stopParams }),
+  loadTrip("write"),
+  async (req, res) => {
+    try {
+      const { trip } = await commitTripChange(req, (trip) => {
+        const stop = trip.stops.find((s) => s.id === req.params.stopId);
+        if (!stop) throw notFound("Stop not found");
+        if (stop.isCompleted && !stop.isSkipped) {
+          throw conflict("A completed stop can't be skipped");
+        }
+
+        stop.isSkipped = true;
+        stop.updatedAt = new Date();
+      });
 
-    await trip.save();
-    res.json(trip);
-  } catch (error) {
-    console.error("Error deleting stop:", error);
-    res.status(500).json({ error: error.message });
+      sendTrip(res, trip);
+    } catch (error) {
+      console.error("Error skipping stop:", error);
+      sendError(res, error);
+    }
   }
-});
+);
 
-// Reorder stops
-app.put("/api/trips/:id/stops/reorder", async (req, res) => {
-  try {
-    const { stopIds } = req.body;
-    const trip = await TripData.findById(req.params.id);
+// Put a skipped stop back on the plan
+app.post(
+  "/api/trips/:id/stops/:stopId/unskip",
+  requireAuth,
+  validate({ params: stopParams }),
+  loadTrip("write"),
+  async (req, res) => {
+    try {
+      const { trip } = await commitTripChange(req, (trip) => {
+        const stop = trip.stops.find((s) => s.id === req.params.stopId);
+        if (!stop) throw notFound("Stop not found");
+
+        stop.isSkipped = false;
+        stop.updatedAt = new Date();
+      });
 
-    if (!trip) {
-      return res.status(404).json({ error: "Trip not found" });
+      sendTrip(res, trip);
+    } catch (error) {
+      console.error("Error unskipping stop:", error);
+      sendError(res, error);
     }
+  }
+);
+
+// ===========================================
+// ROUTE MANAGEMENT ENDPOINTS
+// ===========================================
+
+// Generate routes between consecutive stops using the configured routing engine
+app.post(
+  "/api/trips/:id/routes/generate",
+  requireAuth,
+  validate({ params: tripParams, body: generateRoutesBody }),
+  loadTrip("write"),
+  async (req, res) => {
+    try {
+      const { transportMode, segments } = req.body;
+
+      const segmentModes = Object.fromEntries(
+        segments.map((segment) => [
+          `${segment.fromStopId}-${segment.toStopId}`,
+          segment.transportMode,
+        ])
+      );
 
-    // Create a mapping of current stops
-    const stopMap = new Map(trip.stops.map((stop) => [stop.id, stop]));
+      // Skipped stops aren't visited, so the route goes around them
+      const { trip } = await commitTripChange(req, async (trip) => {
+        trip.routes = await generateRouteSegments(
+          trip.stops.filter((stop) => !stop.isSkipped),
+          { transportMode, segmentModes, existingRoutes: trip.routes }
+        );
+      });
+      sendTrip(res, trip);
+    } catch (error) {
+      console.error("Error generating routes:", error);
+      sendError(res, error);
+    }
+  }
+);
 
-    // Reorder stops based on provided order
-    trip.stops = stopIds.map((stopId, index) => {
-      const stop = stopMap.get(stopId);
-      if (stop) {
-        stop.order = index + 1;
-        return stop;
+// Sample elevation profiles for the trip's existing route segments, e.g.
+// after adding DEM tiles, without routing them again
+app.post(
+  "/api/trips/:id/routes/elevation",
+  requireAuth,
+  validate({ params: tripParams }),
+  loadTrip("write"),
+  async (req, res) => {
+    try {
+      const provider = getElevationProvider();
+      if (!provider) {
+        return sendError(
+          res,
+          badRequest("No elevation provider is configured (ELEVATION_PROVIDER)")
+        );
       }
-      throw new Error(`Stop with ID ${stopId} not found`);
-    });
 
-    await trip.save();
-    res.json(trip);
-  } catch (error) {
-    console.error("Error reordering stops:", error);
-    res.status(400).json({ error: error.message });
+      const { trip } = await commitTripChange(req, async (trip) => {
+        for (const route of trip.routes) {
+          route.elevationProfile = await profileSegment(route, provider);
+        }
+      });
+      sendTrip(res, trip);
+    } catch (error) {
+      console.error("Error sampling route elevation:", error);
+      sendError(res, error);
+    }
   }
-});
+);
 
-// Mark stop as completed/incomplete
-app.patch("/api/trips/:id/stops/:stopId/status", async (req, res) => {
-  try {
-    const { isCompleted, actualArrival, actualDeparture } = req.body;
-    const trip = await TripData.findById(req.params.id);
+// Optimize stop order. Send { preview: true } to get the proposed order and
+// diff without changing the trip.
+app.post(
+  "/api/trips/:id/routes/optimize",
+  requireAuth,
+  validate({ params: tripParams, body: optimizeRouteBody }),
+  loadTrip("write"),
+  async (req, res) => {
+    try {
+      const { preview, transportMode, ...options } = req.body;
+
+      const optimize = (trip) => {
+        // Estimate with the mode the trip mostly uses unless told otherwise
+        const tripMode = mostCommonTransportMode(trip.routes);
+        const result = optimizeStops(trip.stops, {
+          ...options,
+          transportMode: transportMode || tripMode,
+        });
+        return { tripMode, result };
+      };
+
+      if (preview) {
+        return res.json({ preview: true, ...optimize(req.trip).result });
+      }
 
-    if (!trip) {
-      return res.status(404).json({ error: "Trip not found" });
+      const { trip } = await commitTripChange(req, async (trip) => {
+        const { tripMode, result } = optimize(trip);
+        const stopMap = new Map(trip.stops.map((stop) => [stop.id, stop]));
+        const dropped = new Set(result.droppedStopIds);
+        trip.stops = result.stopIds.map((stopId, index) => {
+          const stop = stopMap.get(stopId);
+          stop.order = index + 1;
+          if (dropped.has(stopId)) stop.isSkipped = true;
+          return stop;
+        });
+
+        trip.routes = await generateRouteSegments(
+          trip.stops.filter((stop) => !stop.isSkipped),
+          {
+            transportMode,
+            existingRoutes: trip.routes,
+            defaultMode: tripMode,
+          }
+        );
+      });
+      sendTrip(res, trip);
+    } catch (error) {
+      console.error("Error optimizing route:", error);
+      sendError(res, error);
     }
+  }
+);
+
+// ===========================================
+// SCHEDULING ENDPOINTS
+// ===========================================
+
+app.use("/api/trips/:id/days", dayRoutes);
+
+// Compute plannedArrival/plannedDeparture for every stop from the trip start,
+// travel times and opening hours. Send { preview: true } to see the schedule
+// and its conflicts without saving.
+app.post(
+  "/api/trips/:id/schedule",
+  requireAuth,
+  validate({ params: tripParams, body: scheduleBody }),
+  loadTrip("write"),
+  async (req, res) => {
+    try {
+      const { preview, startTime, dayStart, dayEnd } = req.body;
+
+      const schedule = (trip) => {
+        try {
+          return scheduleTrip(trip, { startTime, dayStart, dayEnd });
+        } catch (error) {
+          throw badRequest(error.message);
+        }
+      };
+
+      if (preview) {
+        return res.json({ preview: true, ...schedule(req.trip) });
+      }
+
+      const { trip, result } = await commitTripChange(req, (trip) => {
+        const result = schedule(trip);
+        const byStopId = new Map(
+          result.stops.map((entry) => [entry.stopId, entry])
+        );
+        trip.stops.forEach((stop) => {
+          const entry = byStopId.get(stop.id);
+          if (!entry) return;
+          stop.plannedArrival = entry.plannedArrival;
+          stop.plannedDeparture = entry.plannedDeparture;
+          stop.updatedAt = new Date();
+        });
+        if (!trip.startDate) {
+          trip.startDate = result.startTime;
+        }
+        return result;
+      });
 
-    const stop = trip.stops.find((s) => s.id === Number(req.params.stopId));
-    if (!stop) {
-      return res.status(404).json({ error: "Stop not found" });
+      res.set("ETag", tripETag(trip));
+      res.json({ ...result, trip });
+    } catch (error) {
+      console.error("Error scheduling trip:", error);
+      sendError(res, error);
     }
+  }
+);
 
-    stop.isCompleted = isCompleted;
-    stop.updatedAt = new Date();
+// Re-plan the rest of the current day after skips or delays: route around
+// skipped stops and recompute planned times from now (or startTime). Send
+// { preview: true } to see the new times without saving.
+app.post(
+  "/api/trips/:id/replan",
+  requireAuth,
+  validate({ params: tripParams, body: replanBody }),
+  loadTrip("write"),
+  async (req, res) => {
+    try {
+      const { preview, ...options } = req.body;
+
+      if (preview) {
+        return res.json({ preview: true, ...replanDay(req.trip, options) });
+      }
 
-    if (actualArrival) stop.actualArrival = new Date(actualArrival);
-    if (actualDeparture) stop.actualDeparture = new Date(actualDeparture);
+      const { trip, result } = await commitTripChange(req, async (trip) => {
+        const { routes, added, removed } = await rerouteAroundSkipped(trip, {
+          defaultMode: mostCommonTransportMode(trip.routes),
+        });
+        trip.routes = routes;
+
+        const plan = replanDay(trip, options);
+        applyReplan(trip, plan);
+        trip.noteChange(`Re-planned day ${plan.day}`);
+        return {
+          ...plan,
+          routes: {
+            added: added.map((route) => route.id),
+            removed: removed.map((route) => route.id),
+          },
+        };
+      });
 
-    await trip.save();
-    res.json(trip);
-  } catch (error) {
-    console.error("Error updating stop status:", error);
-    res.status(400).json({ error: error.message });
+      res.set("ETag", tripETag(trip));
+      res.json({ ...result, trip });
+    } catch (error) {
+      console.error("Error re-planning trip:", error);
+      sendError(res, error);
+    }
   }
-});
+);
 
 // ===========================================
-// ROUTE MANAGEMENT ENDPOINTS
+// IMPORT / EXPORT ENDPOINTS
 // ===========================================
 
-// Generate routes (placeholder - would integrate with routing service)
-app.post("/api/trips/:id/routes/generate", async (req, res) => {
-  try {
-    const trip = await TripData.findById(req.params.id);
-    if (!trip) {
-      return res.status(404).json({ error: "Trip not found" });
-    }
-
-    // Placeholder route generation logic
-    // In a real implementation, this would call a routing service like OpenRouteService
-    const routes = [];
-    for (let i = 0; i < trip.stops.length - 1; i++) {
-      const fromStop = trip.stops[i];
-      const toStop = trip.stops[i + 1];
-
-      routes.push({
-        id: `route_${Date.now()}_${i}`,
-        fromStopId: fromStop.id,
-        toStopId: toStop.id,
-        coordinates: [
-          [fromStop.lng, fromStop.lat],
-          [toStop.lng, toStop.lat],
-        ], // Direct line for now
-        distance:
-          calculateDistance(
-            fromStop.lat,
-            fromStop.lng,
-            toStop.lat,
-            toStop.lng
-          ) * 1000, // Convert to meters
-        estimatedDuration: 600, // 10 minutes default
-        transportMode: "walking",
-        createdAt: new Date(),
-      });
+// Export a trip as GPX, KML or GeoJSON
+app.get(
+  "/api/trips/:id/export",
+  optionalAuth,
+  validate({ params: tripParams, query: exportQuery }),
+  loadTrip("read"),
+  async (req, res) => {
+    try {
+      const exporter = EXPORT_FORMATS[req.query.format];
+
+      const filename =
+        req.trip.name.replace(/[^\w.-]+/g, "_").slice(0, 100) || "trip";
+      res.type(exporter.contentType);
+      res.attachment(`${filename}.${exporter.extension}`);
+      res.send(exporter.render(req.trip));
+    } catch (error) {
+      console.error("Error exporting trip:", error);
+      sendError(res, error);
     }
+  }
+);
 
-    trip.routes = routes;
-    await trip.save();
-    res.json(trip);
-  } catch (error) {
-    console.error("Error generating routes:", error);
-    res.status(500).json({ error: error.message });
+// The trip's itinerary as an iCalendar feed. Calendar apps subscribe with
+// the ?token= URL from /calendar/subscription; the caller's access is
+// checked on every fetch, so a feed stops updating once access is lost.
+app.get(
+  "/api/trips/:id/calendar.ics",
+  validate({ params: tripParams, query: calendarQuery }),
+  acceptCalendarToken,
+  optionalAuth,
+  loadTrip("read"),
+  async (req, res) => {
+    try {
+      const { contentType, render } = EXPORT_FORMATS.ics;
+      // Lets subscribed calendars skip unchanged trips with If-None-Match
+      res.set("ETag", tripETag(req.trip));
+      res.set("Cache-Control", "private, no-cache");
+      res.type(`${contentType}; charset=utf-8`);
+      res.send(render(req.trip));
+    } catch (error) {
+      console.error("Error exporting trip calendar:", error);
+      sendError(res, error);
+    }
   }
-});
+);
 
-// Optimize route (placeholder)
-app.post("/api/trips/:id/routes/optimize", async (req, res) => {
-  try {
-    const trip = await TripData.findById(req.params.id);
-    if (!trip) {
-      return res.status(404).json({ error: "Trip not found" });
+// A calendar subscription URL for the trip, carrying a token only good for
+// reading this trip's calendar as the caller
+app.get(
+  "/api/trips/:id/calendar/subscription",
+  requireAuth,
+  validate({ params: tripParams }),
+  loadTrip("read"),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user.id).select(
+        "calendarTokenRevision"
+      );
+      if (!user) {
+        return sendError(res, notFound("User not found"));
+      }
+
+      const token = signCalendarToken(user, req.trip._id);
+      const url = new URL(
+        `/api/trips/${req.trip._id}/calendar.ics`,
+        `${req.protocol}://${req.get("host")}`
+      );
+      url.searchParams.set("token", token);
+      res.json({
+        url: url.href,
+        // Opens the subscribe dialog of most calendar apps
+        webcal: url.href.replace(/^https?:/, "webcal:"),
+      });
+    } catch (error) {
+      console.error("Error creating calendar subscription:", error);
+      sendError(res, error);
     }
+  }
+);
 
-    // Placeholder optimization logic
-    // In a real implementation, this would use TSP algorithms or routing optimization services
+// Import a GPX or KML file as a new trip. Send the raw file with an XML
+// content type, or JSON { content, format, name }.
+app.post(
+  "/api/trips/import",
+  requireAuth,
+  express.text({
+    type: [
+      "application/gpx+xml",
+      "application/vnd.google-earth.kml+xml",
+      "application/xml",
+      "text/xml",
+      "text/plain",
+    ],
+    limit: IMPORT_LIMIT,
+  }),
+  validate({ query: importQuery, body: importBody }),
+  async (req, res) => {
+    try {
+      const isRaw = typeof req.body === "string";
+      const content = isRaw ? req.body : req.body.content;
+      const format = isRaw ? req.query.format : req.body.format;
+      const name = isRaw ? req.query.name : req.body.name;
+
+      let imported;
+      try {
+        imported = importTrip(content, { format, name });
+      } catch (error) {
+        return sendError(res, badRequest(error.message));
+      }
 
-    res.json(trip);
-  } catch (error) {
-    console.error("Error optimizing route:", error);
-    res.status(500).json({ error: error.message });
+      if (imported.tripData.stops.length === 0) {
+        return sendError(
+          res,
+          badRequest(
+            "File contains no valid waypoints or tracks",
+            imported.errors.map(({ item, error }) => ({
+              path: item,
+              message: error,
+            }))
+          )
+        );
+      }
+
+      const trip = new TripData({ ...imported.tripData, userId: req.user.id });
+      await trip.save();
+
+      res.status(201).json({
+        format: imported.format,
+        imported: {
+          stops: trip.stops.length,
+          routes: trip.routes.length,
+        },
+        errors: imported.errors,
+        trip,
+      });
+    } catch (error) {
+      console.error("Error importing trip:", error);
+      sendError(res, error);
+    }
   }
-});
+);
 
 // ===========================================
 // UTILITY FUNCTIONS
 // ===========================================
 
-// Calculate distance between two points (Haversine formula)
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Radius of the Earth in kilometers
-  const dLat = ((lat2 - lat1) * Math.PI) / 180;
-  const dLon = ((lon2 - lon1) * Math.PI) / 180;
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos((lat1 * Math.PI) / 180) *
-      Math.cos((lat2 * Math.PI) / 180) *
-      Math.sin(dLon / 2) *
-      Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c; // Distance in kilometers
+function mostCommonTransportMode(routes) {
+  const counts = new Map();
+  routes.forEach((route) => {
+    counts.set(route.transportMode, (counts.get(route.transportMode) || 0) + 1);
+  });
+  let best = "walking";
+  counts.forEach((count, mode) => {
+    if (count > (counts.get(best) || 0)) best = mode;
+  });
+  return best;
 }
 
 // ===========================================
 // ERROR HANDLING MIDDLEWARE
 // ===========================================
 
+// Anything a handler didn't answer itself, including malformed JSON bodies
 app.use((err, req, res, next) => {
-  console.error("Unhandled error:", err);
-  res.status(500).json({
-    error: "Internal server error",
-    message:
-      process.env.NODE_ENV === "development"
-        ? err.message
-        : "Something went wrong",
-  });
+  if (toApiError(err).status >= 500) {
+    console.error("Unhandled error:", err);
+  }
+  sendError(res, err);
 });
 
 // ===========================================
@@ -524,6 +1345,30 @@ async function startServer() {
     });
     console.log("✅ Connected to MongoDB");
 
+    // Empty the trash of trips past their retention period, and of photos of
+    // stops removed as long ago, hourly
+    const purgeTrash = () =>
+      purgeExpiredTrips()
+        .then(async (count) => {
+          if (count > 0) {
+            console.log(
+              `🗑️ Purged ${count} trip(s) deleted over ${TRASH_RETENTION_DAYS} days ago`
+            );
+          }
+          const photos = await purgeOrphanedPhotos(TRASH_RETENTION_DAYS);
+          if (photos > 0) {
+            console.log(`🗑️ Purged ${photos} photo(s) of removed stops`);
+          }
+        })
+        .catch((error) => console.error("Error purging trash:", error));
+    purgeTrash();
+    setInterval(purgeTrash, 60 * 60 * 1000).unref();
+    watchStopRemovals();
+
+    // Publish trip changes to live viewers from the start, including those
+    // connected to other instances
+    getTripHub();
+
     app.listen(PORT, () => {
       console.log(`🚀 Server started successfully on port ${PORT}`);
       console.log(`📍 API available at http://localhost:${PORT}/api`);
@@ -0,0 +1,314 @@
+import { convertExpense, exchangeRate } from "./exchangeRates.js";
+import { badRequest, validationError } from "../utils/errors.js";
+import { toMinorUnits, fromMinorUnits } from "../utils/currency.js";
+
+// The owner and everyone the trip is shared with
+export function tripMembers(trip) {
+  return [trip.userId, ...trip.collaborators.map((c) => c.userId)];
+}
+
+// Category for an expense that doesn't name one: the type of its stop, or
+// transport for travel between stops
+export function defaultCategory(trip, { stopId, segment }) {
+  if (segment) return "transport";
+  return trip.stops.find((stop) => stop.id === stopId)?.stopType || "custom";
+}
+
+// Check an expense against its trip and fill in defaults: the trip's currency,
+// `userId` as payer and, when new, an even split between all members
+export function prepareExpense(trip, expense, { userId } = {}) {
+  const details = [];
+  const problem = (path, message) =>
+    details.push({ path: `body.${path}`, message });
+  const stopIds = new Set(trip.stops.map((stop) => stop.id));
+  const members = new Set(tripMembers(trip));
+
+  if (expense.stopId != null && expense.segment) {
+    problem("segment", "An expense is for a stop or a segment, not both");
+  }
+  if (expense.stopId != null && !stopIds.has(expense.stopId)) {
+    problem("stopId", "No such stop on this trip");
+  }
+  if (expense.segment) {
+    ["fromStopId", "toStopId"]
+      .filter((key) => !stopIds.has(expense.segment[key]))
+      .forEach((key) => problem(`segment.${key}`, "No such stop on this trip"));
+  }
+  if (expense.plannedAmount == null && expense.amount == null) {
+    problem("amount", "Give a plannedAmount, an amount paid, or both");
+  }
+
+  if (!expense.currency) expense.currency = trip.currency;
+  if (!expense.paidBy && expense.amount != null) expense.paidBy = userId;
+  if (expense.isNew && expense.splits.length === 0) {
+    expense.splits = [...members].map((memberId) => ({ userId: memberId }));
+  }
+
+  // People who have since left the trip stay on the expenses they were on
+  const changed = (path) => expense.isNew || expense.isModified(path);
+  if (changed("paidBy") && expense.paidBy && !members.has(expense.paidBy)) {
+    problem("paidBy", "Must be a member of the trip");
+  }
+  const seen = new Set();
+  expense.splits.forEach((split, index) => {
+    if (changed("splits") && !members.has(split.userId)) {
+      problem(`splits[${index}].userId`, "Must be a member of the trip");
+    } else if (seen.has(split.userId)) {
+      problem(`splits[${index}].userId`, "Listed more than once");
+    }
+    seen.add(split.userId);
+  });
+  if (
+    expense.splits.length > 0 &&
+    !expense.splits.some((split) => split.shares > 0)
+  ) {
+    problem("splits", "At least one person must have a share");
+  }
+
+  if (details.length) throw validationError(details);
+
+  // Fails early if the amount couldn't be counted in the budget
+  convertExpense(expense, 1, trip.currency);
+  return expense;
+}
+
+// The [{ _id, exchangeRate }] changes expenses need once the trip's currency
+// becomes `currency`, carrying recorded rates over to it. Throws if an
+// expense can't be counted in the new currency.
+export function rebaseExpenses(trip, expenses, currency, rates) {
+  const oldToNew = exchangeRate(trip.currency, currency, rates);
+  const stranded = [];
+  const changes = [];
+
+  expenses.forEach((expense) => {
+    let rate;
+    if (expense.currency === currency) {
+      rate = undefined;
+    } else if (expense.exchangeRate && oldToNew) {
+      rate = expense.exchangeRate * oldToNew;
+    } else if (exchangeRate(expense.currency, currency, rates)) {
+      rate = undefined;
+    } else {
+      stranded.push(expense);
+      return;
+    }
+    if (rate !== expense.exchangeRate) {
+      changes.push({ _id: expense._id, exchangeRate: rate });
+    }
+  });
+
+  if (stranded.length) {
+    const currencies = [...new Set(stranded.map((e) => e.currency))];
+    throw badRequest(
+      `No exchange rate from ${currencies.join(", ")} to ${currency} for ` +
+        `${stranded.length} expense(s); add it to the rates table or ` +
+        "change those expenses first"
+    );
+  }
+  return changes;
+}
+
+// Move the trip's own amounts - its budget and stop costs - into `currency`
+// with the rates table. Fields named in `except` are about to be replaced,
+// in the new currency, and are left alone. Throws if there's an amount the
+// table can't convert.
+export function convertTripAmounts(
+  trip,
+  currency,
+  { except = [], rates } = {}
+) {
+  if (trip.currency === currency) return;
+  const rate = exchangeRate(trip.currency, currency, rates);
+  const convert = (amount) =>
+    fromMinorUnits(toMinorUnits(amount * rate, currency), currency);
+
+  const stops = except.includes("stops")
+    ? []
+    : trip.stops.filter((stop) => stop.cost);
+  const budget = !except.includes("budget") && trip.budget;
+  if (!rate && (budget || stops.length)) {
+    throw badRequest(
+      `No exchange rate from ${trip.currency} to ${currency} for the ` +
+        "trip's budget and stop costs; add it to the rates table or " +
+        "set them in the new currency"
+    );
+  }
+
+  if (budget) trip.budget = convert(trip.budget);
+  stops.forEach((stop) => {
+    stop.cost = convert(stop.cost);
+    stop.updatedAt = new Date();
+  });
+}
+
+// An expense's amount in the trip's currency, in minor units
+function tripUnits(trip, expense, amount, rates) {
+  return toMinorUnits(
+    convertExpense(expense, amount, trip.currency, rates),
+    trip.currency
+  );
+}
+
+// Budget against planned, actual and projected spending in the trip's
+// currency. Stops without a planned expense of their own plan their cost.
+export function budgetSummary(trip, expenses, rates) {
+  const currency = trip.currency;
+  const totals = { planned: 0, actual: 0, projected: 0 };
+  const byCategory = new Map();
+  const add = (category, field, units) => {
+    if (!byCategory.has(category)) {
+      byCategory.set(category, { planned: 0, actual: 0, projected: 0 });
+    }
+    byCategory.get(category)[field] += units;
+    totals[field] += units;
+  };
+
+  const plannedStops = new Set(
+    expenses
+      .filter((e) => e.stopId != null && e.plannedAmount != null)
+      .map((e) => e.stopId)
+  );
+  trip.stops
+    .filter(
+      (stop) => stop.cost && !stop.isSkipped && !plannedStops.has(stop.id)
+    )
+    .forEach((stop) => {
+      const units = toMinorUnits(stop.cost, currency);
+      add(stop.stopType, "planned", units);
+      add(stop.stopType, "projected", units);
+    });
+
+  expenses.forEach((expense) => {
+    if (expense.plannedAmount != null) {
+      add(
+        expense.category,
+        "planned",
+        tripUnits(trip, expense, expense.plannedAmount, rates)
+      );
+    }
+    if (expense.amount != null) {
+      add(
+        expense.category,
+        "actual",
+        tripUnits(trip, expense, expense.amount, rates)
+      );
+    }
+    add(
+      expense.category,
+      "projected",
+      tripUnits(trip, expense, expense.amount ?? expense.plannedAmount, rates)
+    );
+  });
+
+  const money = (units) => fromMinorUnits(units, currency);
+  const budget = trip.budget ?? null;
+  const remaining =
+    budget === null
+      ? null
+      : money(toMinorUnits(budget, currency) - totals.projected);
+
+  return {
+    currency,
+    budget,
+    planned: money(totals.planned),
+    actual: money(totals.actual),
+    projected: money(totals.projected),
+    remaining,
+    overBudget: remaining !== null && remaining < 0,
+    byCategory: [...byCategory.entries()]
+      .map(([category, amounts]) => ({
+        category,
+        planned: money(amounts.planned),
+        actual: money(amounts.actual),
+        projected: money(amounts.projected),
+      }))
+      .sort((a, b) => b.projected - a.projected),
+    expenseCount: expenses.length,
+  };
+}
+
+// Split `total` units in proportion to `weights`, handing leftover units to
+// the largest remainders so the parts add up exactly
+function allocate(total, weights) {
+  const sum = weights.reduce((a, b) => a + b, 0);
+  const exact = weights.map((weight) => (total * weight) / sum);
+  const parts = exact.map(Math.floor);
+  let left = total - parts.reduce((a, b) => a + b, 0);
+  exact
+    .map((value, index) => ({ index, remainder: value - parts[index] }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(({ index }) => {
+      if (left-- > 0) parts[index] += 1;
+    });
+  return parts;
+}
+
+// Balances for what has been paid, each expense owed by its splits in
+// proportion to their shares, and the transfers that settle them
+export function settleUp(trip, expenses, rates) {
+  const currency = trip.currency;
+  const balances = new Map();
+  const balance = (userId) => {
+    if (!balances.has(userId)) balances.set(userId, { paid: 0, owed: 0 });
+    return balances.get(userId);
+  };
+  tripMembers(trip).forEach(balance);
+
+  expenses
+    .filter((expense) => expense.amount > 0 && expense.paidBy)
+    .forEach((expense) => {
+      const total = tripUnits(trip, expense, expense.amount, rates);
+      balance(expense.paidBy).paid += total;
+
+      const splits = expense.splits.filter((split) => split.shares > 0);
+      const owedBy = splits.length
+        ? splits
+        : [{ userId: expense.paidBy, shares: 1 }];
+      allocate(
+        total,
+        owedBy.map((split) => split.shares)
+      ).forEach(
+        (units, index) => (balance(owedBy[index].userId).owed += units)
+      );
+    });
+
+  const nets = [...balances.entries()].map(([userId, { paid, owed }]) => ({
+    userId,
+    net: paid - owed,
+  }));
+  const debtors = nets
+    .filter((entry) => entry.net < 0)
+    .map((entry) => ({ ...entry, net: -entry.net }))
+    .sort((a, b) => b.net - a.net);
+  const creditors = nets
+    .filter((entry) => entry.net > 0)
+    .sort((a, b) => b.net - a.net);
+
+  const transfers = [];
+  let d = 0;
+  let c = 0;
+  while (d < debtors.length && c < creditors.length) {
+    const units = Math.min(debtors[d].net, creditors[c].net);
+    transfers.push({
+      from: debtors[d].userId,
+      to: creditors[c].userId,
+      amount: fromMinorUnits(units, currency),
+    });
+    debtors[d].net -= units;
+    creditors[c].net -= units;
+    if (debtors[d].net === 0) d++;
+    if (creditors[c].net === 0) c++;
+  }
+
+  const money = (units) => fromMinorUnits(units, currency);
+  return {
+    currency,
+    balances: [...balances.entries()].map(([userId, { paid, owed }]) => ({
+      userId,
+      paid: money(paid),
+      owed: money(owed),
+      net: money(paid - owed),
+    })),
+    transfers,
+  };
+}
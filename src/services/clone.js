@@ -0,0 +1,135 @@
+import mongoose from "mongoose";
+import { TripData } from "../models/TripData.js";
+import { RATING_FIELDS } from "./ratings.js";
+import {
+  zonedParts,
+  atLocalDate,
+  atLocalTime,
+  localDayNumber,
+} from "../utils/time.js";
+
+// Trip fields that belong to the original and are never copied
+const OMITTED_FIELDS = [
+  "_id",
+  "__v",
+  "id",
+  "userId",
+  "collaborators",
+  "sharedWith",
+  "visibility",
+  "isPublic",
+  "isTemplate",
+  "clonedFrom",
+  "createdAt",
+  "updatedAt",
+  "deletedAt",
+  "deletedBy",
+  "tracking",
+  "itineraryWrites",
+  ...RATING_FIELDS,
+];
+
+// Parse a requested start date into local midnight in the trip's time zone.
+// Accepts "YYYY-MM-DD" or a full timestamp (only its local date is used).
+export function parseStartDate(value, timeZone) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (match) {
+    return atLocalDate(
+      Number(match[1]),
+      Number(match[2]),
+      Number(match[3]),
+      0,
+      timeZone
+    );
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return atLocalTime(date, 0, timeZone);
+}
+
+// Move `date` to the same local time, the same number of days after
+// `newStart` as it was after `oldStart`
+function shiftDate(date, oldStart, newStart, timeZone) {
+  if (!date) return date;
+  const dayOffset =
+    localDayNumber(date, timeZone) - localDayNumber(oldStart, timeZone);
+  return atLocalTime(
+    newStart,
+    zonedParts(date, timeZone).minutes,
+    timeZone,
+    dayOffset
+  );
+}
+
+// Copy a trip into a new, unsaved one owned by `userId`, with fresh stop ids
+// and no progress, sharing or ratings. With `startDate`, planned times keep
+// their time of day and move to the same day of the new trip.
+export function cloneTrip(source, { userId, name, startDate } = {}) {
+  const timeZone = source.timezone || "UTC";
+  const copy = source.toObject({ virtuals: false, depopulate: true });
+  OMITTED_FIELDS.forEach((field) => delete copy[field]);
+
+  const tripId = new mongoose.Types.ObjectId();
+  const baseId = Date.now();
+  const stopIds = new Map(
+    copy.stops.map((stop, index) => [stop.id, index + 1])
+  );
+
+  // The old start: the trip's start date, or failing that its first stop
+  const oldStart =
+    source.startDate ||
+    copy.stops.reduce(
+      (earliest, stop) =>
+        !earliest || stop.plannedArrival < earliest
+          ? stop.plannedArrival
+          : earliest,
+      null
+    );
+  const shift = (date) =>
+    startDate && oldStart
+      ? shiftDate(date, oldStart, startDate, timeZone)
+      : date;
+
+  const stops = copy.stops.map(({ _id, location, createdAt, ...stop }) => ({
+    ...stop,
+    id: stopIds.get(stop.id),
+    tripId: tripId.toString(),
+    plannedArrival: shift(stop.plannedArrival),
+    plannedDeparture: shift(stop.plannedDeparture),
+    actualArrival: undefined,
+    actualDeparture: undefined,
+    isCompleted: false,
+    isSkipped: false,
+    // The photos belong to the original trip and go when it does
+    photos: [],
+  }));
+
+  const routes = copy.routes
+    .filter(
+      (route) => stopIds.has(route.fromStopId) && stopIds.has(route.toStopId)
+    )
+    .map(({ _id, geometry, createdAt, ...route }, index) => ({
+      ...route,
+      id: `route_${baseId}_${index}`,
+      fromStopId: stopIds.get(route.fromStopId),
+      toStopId: stopIds.get(route.toStopId),
+    }));
+
+  const dayPlans = copy.dayPlans.map((plan) => ({
+    ...plan,
+    accommodationStopId: stopIds.get(plan.accommodationStopId),
+  }));
+
+  return new TripData({
+    ...copy,
+    _id: tripId,
+    name: name || copy.name,
+    userId,
+    clonedFrom: source._id,
+    startDate: startDate || copy.startDate,
+    endDate: shift(copy.endDate),
+    stops,
+    routes,
+    dayPlans,
+  });
+}
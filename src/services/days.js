@@ -0,0 +1,55 @@
+import { computeTripStats } from "../utils/tripStats.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export function stopDay(stop) {
+  return stop.day || 1;
+}
+
+// Number of days shown for a trip: its planned duration, or more if stops
+// have been assigned beyond it
+export function tripDayCount(trip) {
+  const maxStopDay = Math.max(0, ...trip.stops.map(stopDay));
+  return Math.max(trip.estimatedDuration || 1, maxStopDay);
+}
+
+// Stops on a given day, in itinerary order
+export function stopsForDay(trip, day) {
+  return trip.stops
+    .filter((stop) => stopDay(stop) === day)
+    .sort((a, b) => a.order - b.order);
+}
+
+// Day-by-day view of a trip. A segment counts towards the day of the stop it
+// arrives at, so the drive from last night's hotel shows up on the new day.
+export function buildDayPlans(trip) {
+  const dayCount = tripDayCount(trip);
+  const stopsById = new Map(trip.stops.map((stop) => [stop.id, stop]));
+  const plans = [];
+
+  for (let day = 1; day <= dayCount; day++) {
+    const stops = stopsForDay(trip, day);
+    const stopIds = new Set(stops.map((stop) => stop.id));
+    const segments = trip.routes.filter((route) => stopIds.has(route.toStopId));
+    const meta = trip.dayPlans.find((plan) => plan.day === day);
+
+    const accommodation =
+      (meta?.accommodationStopId && stopsById.get(meta.accommodationStopId)) ||
+      [...stops].reverse().find((stop) => stop.stopType === "accommodation");
+
+    plans.push({
+      day,
+      date: trip.startDate
+        ? new Date(trip.startDate.getTime() + (day - 1) * DAY)
+        : undefined,
+      title: meta?.title,
+      notes: meta?.notes,
+      accommodation: accommodation || null,
+      stops,
+      routes: segments,
+      stats: computeTripStats(stops, segments),
+    });
+  }
+
+  return plans;
+}
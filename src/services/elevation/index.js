@@ -0,0 +1,123 @@
+import { createSrtmProvider } from "./srtm.js";
+import { calculateDistance } from "../../utils/geo.js";
+
+const PROVIDERS = {
+  srtm: (env) => {
+    if (!env.ELEVATION_DIR) {
+      throw new Error(
+        'ELEVATION_DIR is required for ELEVATION_PROVIDER "srtm"'
+      );
+    }
+    return createSrtmProvider({ directory: env.ELEVATION_DIR });
+  },
+};
+
+// Segments are sampled about every SAMPLE_INTERVAL meters, and at most
+// MAX_SAMPLES times however long they are
+const SAMPLE_INTERVAL = 30;
+const MAX_SAMPLES = 500;
+
+// Flights and crossings don't follow the ground
+const SKIPPED_MODES = new Set(["flight", "boat"]);
+
+let configuredProvider;
+
+// Build the provider named by ELEVATION_PROVIDER, e.g.
+//   ELEVATION_PROVIDER=srtm ELEVATION_DIR=./dem
+// Without one, routes get no elevation profile. A provider has
+// lookup([{ lat, lng }]) resolving to an elevation (or null) per point.
+export function createElevationProvider(env = process.env) {
+  const name = env.ELEVATION_PROVIDER;
+  if (!name || name === "none") return null;
+
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown ELEVATION_PROVIDER "${name}". Expected one of: ${Object.keys(
+        PROVIDERS
+      ).join(", ")}, none`
+    );
+  }
+  return factory(env);
+}
+
+export function getElevationProvider() {
+  if (configuredProvider === undefined) {
+    configuredProvider = createElevationProvider();
+  }
+  return configuredProvider;
+}
+
+// Points to look up along a [lng, lat] line, with their distance from its
+// start: the line's own vertices where they're at least an interval apart,
+// and evenly spaced points along edges longer than that
+export function samplePoints(coordinates) {
+  const edges = coordinates.slice(1).map(([lng, lat], index) => {
+    const [fromLng, fromLat] = coordinates[index];
+    return calculateDistance(fromLat, fromLng, lat, lng) * 1000;
+  });
+  const length = edges.reduce((total, edge) => total + edge, 0);
+  const interval = Math.max(SAMPLE_INTERVAL, length / MAX_SAMPLES);
+
+  const [startLng, startLat] = coordinates[0];
+  const points = [{ lat: startLat, lng: startLng, distance: 0 }];
+  let travelled = 0;
+  edges.forEach((edge, index) => {
+    const [fromLng, fromLat] = coordinates[index];
+    const [toLng, toLat] = coordinates[index + 1];
+    const last = points[points.length - 1].distance;
+
+    for (let at = last + interval - travelled; at < edge; at += interval) {
+      const t = at / edge;
+      points.push({
+        lat: fromLat + (toLat - fromLat) * t,
+        lng: fromLng + (toLng - fromLng) * t,
+        distance: travelled + at,
+      });
+    }
+    travelled += edge;
+
+    const isEnd = index === edges.length - 1;
+    if (isEnd || travelled - points[points.length - 1].distance >= interval) {
+      points.push({ lat: toLat, lng: toLng, distance: travelled });
+    }
+  });
+  return points;
+}
+
+// Sampled { distance, elevation } points along a segment, in meters. Empty
+// without a provider, data or a mode that follows the terrain; lookup
+// failures are logged rather than failing the route.
+export async function profileSegment(
+  { coordinates = [], transportMode },
+  provider = getElevationProvider()
+) {
+  if (!provider || coordinates.length < 2) return [];
+  if (SKIPPED_MODES.has(transportMode)) return [];
+
+  const points = samplePoints(coordinates);
+  let elevations;
+  try {
+    elevations = await provider.lookup(points);
+  } catch (error) {
+    console.warn(
+      `Elevation lookup via ${provider.name} failed:`,
+      error.message
+    );
+    return [];
+  }
+
+  const profile = points
+    .map((point, index) => ({
+      lat: point.lat,
+      lng: point.lng,
+      distance: Math.round(point.distance),
+      elevation: elevations[index],
+    }))
+    .filter((point) => Number.isFinite(point.elevation))
+    .map((point) => ({
+      ...point,
+      elevation: Math.round(point.elevation * 10) / 10,
+    }));
+  return profile.length >= 2 ? profile : [];
+}
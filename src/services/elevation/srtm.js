@@ -0,0 +1,111 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+
+// Samples marking a hole in the data (water, radar shadow)
+const VOID = -32768;
+
+// "N45E006.hgt" covers latitudes 45..46 and longitudes 6..7
+export function tileName(lat, lng) {
+  const latBase = Math.floor(lat);
+  const lngBase = Math.floor(lng);
+  return (
+    `${latBase < 0 ? "S" : "N"}${String(Math.abs(latBase)).padStart(2, "0")}` +
+    `${lngBase < 0 ? "W" : "E"}${String(Math.abs(lngBase)).padStart(3, "0")}` +
+    ".hgt"
+  );
+}
+
+// Elevations for points on one tile, bilinearly interpolated between the
+// four surrounding samples. Null where the tile has no data.
+async function readTile(file, points) {
+  let handle;
+  try {
+    handle = await fs.open(file, "r");
+  } catch (error) {
+    if (error.code === "ENOENT") return points.map(() => null);
+    throw error;
+  }
+
+  try {
+    // Square grids of big-endian int16: 3601 x 3601 for 1 arc-second data,
+    // 1201 x 1201 for 3 arc-second. Row 0 is the northern edge.
+    const { size } = await handle.stat();
+    const side = Math.sqrt(size / 2);
+    if (!Number.isInteger(side) || side < 2) {
+      throw new Error(`${path.basename(file)} is not an SRTM .hgt tile`);
+    }
+
+    const buffer = Buffer.alloc(2);
+    const samples = new Map();
+    async function sample(row, col) {
+      const offset = (row * side + col) * 2;
+      if (!samples.has(offset)) {
+        await handle.read(buffer, 0, 2, offset);
+        const value = buffer.readInt16BE(0);
+        samples.set(offset, value === VOID ? null : value);
+      }
+      return samples.get(offset);
+    }
+
+    const elevations = [];
+    for (const { lat, lng } of points) {
+      const y = (Math.floor(lat) + 1 - lat) * (side - 1);
+      const x = (lng - Math.floor(lng)) * (side - 1);
+      const row = Math.min(Math.floor(y), side - 2);
+      const col = Math.min(Math.floor(x), side - 2);
+      const dy = y - row;
+      const dx = x - col;
+
+      const corners = [
+        [await sample(row, col), (1 - dx) * (1 - dy)],
+        [await sample(row, col + 1), dx * (1 - dy)],
+        [await sample(row + 1, col), (1 - dx) * dy],
+        [await sample(row + 1, col + 1), dx * dy],
+      ].filter(([value]) => value !== null);
+
+      // Around holes, weigh whichever neighbours have data
+      const weight = corners.reduce((sum, [, w]) => sum + w, 0);
+      elevations.push(
+        corners.length === 0
+          ? null
+          : weight > 0
+          ? corners.reduce((sum, [value, w]) => sum + value * w, 0) / weight
+          : corners[0][0]
+      );
+    }
+    return elevations;
+  } finally {
+    await handle.close();
+  }
+}
+
+// Provider reading SRTM-format .hgt tiles (SRTM, ASTER GDEM, Copernicus or
+// viewfinderpanoramas exports) from a local directory. Points on tiles that
+// aren't there get no elevation.
+export function createSrtmProvider({ directory }) {
+  return {
+    name: "srtm",
+
+    // Resolves to an elevation (meters) or null for each { lat, lng }
+    async lookup(points) {
+      const byTile = new Map();
+      points.forEach((point, index) => {
+        const name = tileName(point.lat, point.lng);
+        if (!byTile.has(name)) byTile.set(name, []);
+        byTile.get(name).push(index);
+      });
+
+      const elevations = new Array(points.length).fill(null);
+      for (const [name, indexes] of byTile) {
+        const values = await readTile(
+          path.join(directory, name),
+          indexes.map((index) => points[index])
+        );
+        indexes.forEach((index, i) => {
+          elevations[index] = values[i];
+        });
+      }
+      return elevations;
+    },
+  };
+}
@@ -0,0 +1,56 @@
+import fs from "node:fs";
+import { badRequest } from "../utils/errors.js";
+import { isValidCurrency } from "../utils/currency.js";
+
+let configuredRates;
+
+// The rates table in EXCHANGE_RATES_FILE, e.g.
+// { "base": "EUR", "rates": { "USD": 1.08 } }: units of each currency one
+// unit of `base` buys. Without it only same-currency amounts combine.
+export function loadExchangeRates(env = process.env) {
+  const file = env.EXCHANGE_RATES_FILE;
+  if (!file) return { base: null, rates: {} };
+
+  const table = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!isValidCurrency(table.base)) {
+    throw new Error(`${file}: "base" must be a currency code`);
+  }
+  Object.entries(table.rates || {}).forEach(([currency, rate]) => {
+    if (!isValidCurrency(currency) || !(rate > 0)) {
+      throw new Error(`${file}: invalid rate for "${currency}"`);
+    }
+  });
+  return { base: table.base, rates: { ...table.rates, [table.base]: 1 } };
+}
+
+export function getExchangeRates() {
+  if (!configuredRates) {
+    configuredRates = loadExchangeRates();
+  }
+  return configuredRates;
+}
+
+// Units of `to` that one unit of `from` buys, or null if the table can't
+// tell
+export function exchangeRate(from, to, table = getExchangeRates()) {
+  if (from === to) return 1;
+  const fromRate = table.rates[from];
+  const toRate = table.rates[to];
+  if (!fromRate || !toRate) return null;
+  return toRate / fromRate;
+}
+
+// An expense's amount in `currency`. Its own exchangeRate to the trip's
+// currency, e.g. from a card statement, wins over the rates table.
+export function convertExpense(expense, amount, currency, table) {
+  if (expense.currency === currency) return amount;
+  const rate =
+    expense.exchangeRate || exchangeRate(expense.currency, currency, table);
+  if (!rate) {
+    throw badRequest(
+      `No exchange rate from ${expense.currency} to ${currency}; ` +
+        "set the expense's exchangeRate or add it to the rates table"
+    );
+  }
+  return amount * rate;
+}
@@ -0,0 +1,222 @@
+import { STOP_TYPES } from "../../models/Stop.js";
+import { calculateDistance, lineDistance } from "../../utils/geo.js";
+import { estimateTravel } from "../routing/fallback.js";
+
+export function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// Always work with arrays, whether the parser produced one node or many
+export function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Text content of a parsed XML node (plain string or { "#text": ... })
+export function textOf(node) {
+  if (node === undefined || node === null) return undefined;
+  if (typeof node === "object") return textOf(node["#text"]);
+  const text = String(node).trim();
+  return text === "" ? undefined : text;
+}
+
+// Elevation `distance` meters along a sampled profile, between the points
+// either side of it
+function elevationAt(profile, distance) {
+  const next = profile.findIndex((point) => point.distance >= distance);
+  if (next === -1) return profile[profile.length - 1].elevation;
+  if (next === 0) return profile[0].elevation;
+  const before = profile[next - 1];
+  const after = profile[next];
+  const t = (distance - before.distance) / (after.distance - before.distance);
+  return before.elevation + (after.elevation - before.elevation) * t;
+}
+
+// Elevation for each [lng, lat] point of a segment, or null when unknown.
+// Profiles that line up with the geometry are matched by index, otherwise by
+// identical coordinates. Points a sampled profile (one with distances)
+// skipped are interpolated along the line.
+export function segmentElevations(route) {
+  const profile = route.elevationProfile || [];
+  const coordinates = route.coordinates || [];
+  if (profile.length === 0) return coordinates.map(() => null);
+  if (profile.length === coordinates.length) {
+    return profile.map((point) => point.elevation ?? null);
+  }
+  const byPoint = new Map(
+    profile.map((point) => [`${point.lng},${point.lat}`, point.elevation])
+  );
+  if (!profile.every((point) => Number.isFinite(point.distance))) {
+    return coordinates.map(
+      ([lng, lat]) => byPoint.get(`${lng},${lat}`) ?? null
+    );
+  }
+
+  let travelled = 0;
+  return coordinates.map(([lng, lat], index) => {
+    if (index > 0) {
+      const [fromLng, fromLat] = coordinates[index - 1];
+      travelled += calculateDistance(fromLat, fromLng, lat, lng) * 1000;
+    }
+    const elevation =
+      byPoint.get(`${lng},${lat}`) ?? elevationAt(profile, travelled);
+    return Math.round(elevation * 10) / 10;
+  });
+}
+
+export function orderedStops(trip) {
+  return [...trip.stops].sort((a, b) => a.order - b.order);
+}
+
+// Same bounds the stop schema enforces
+export function validateCoordinate(lat, lng) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+    return "Latitude and longitude must be numbers";
+  }
+  if (lat < -90 || lat > 90) return `Latitude ${lat} is outside -90..90`;
+  if (lng < -180 || lng > 180) return `Longitude ${lng} is outside -180..180`;
+  return null;
+}
+
+function nearestStop(stops, lat, lng) {
+  let best = null;
+  let bestDistance = Infinity;
+  stops.forEach((stop) => {
+    const distance = calculateDistance(lat, lng, stop.lat, stop.lng);
+    if (distance < bestDistance) {
+      best = stop;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+// TripData fields for what the GPX and KML parsers found, skipping (and
+// reporting) invalid coordinates. Track-only files get stops at each track's
+// ends; each track becomes a segment between the stops nearest its ends.
+export function buildImportedTrip(parsed, { name } = {}) {
+  const errors = [...parsed.errors];
+  const baseId = Date.now();
+  const now = new Date();
+
+  let waypoints = parsed.waypoints.filter((point) => {
+    const error = validateCoordinate(point.lat, point.lng);
+    if (error) errors.push({ item: point.source, error });
+    return !error;
+  });
+
+  const tracks = parsed.tracks
+    .map((track) => ({
+      ...track,
+      points: track.points.filter((point) => {
+        const error = validateCoordinate(point.lat, point.lng);
+        if (error) errors.push({ item: point.source, error });
+        return !error;
+      }),
+    }))
+    .filter((track) => {
+      if (track.points.length < 2) {
+        errors.push({
+          item: track.source,
+          error: "Track needs at least two valid points",
+        });
+        return false;
+      }
+      return true;
+    });
+
+  if (waypoints.length === 0) {
+    waypoints = tracks.flatMap((track, index) => {
+      const first = track.points[0];
+      const last = track.points[track.points.length - 1];
+      const start = {
+        ...first,
+        name: `${track.name || `Track ${index + 1}`} start`,
+      };
+      const end = {
+        ...last,
+        name: `${track.name || `Track ${index + 1}`} end`,
+      };
+      return index === 0 ? [start, end] : [end];
+    });
+  }
+
+  const stops = waypoints.map((point, index) => ({
+    id: index + 1,
+    name: (point.name || `Waypoint ${index + 1}`).slice(0, 200),
+    description: point.description?.slice(0, 500),
+    lat: point.lat,
+    lng: point.lng,
+    plannedArrival: point.time || now,
+    estimatedDuration: 60,
+    stopType: STOP_TYPES.includes(point.type) ? point.type : "custom",
+    priority: "medium",
+    order: index + 1,
+    isCompleted: false,
+    isSkipped: false,
+    createdAt: now,
+    updatedAt: now,
+  }));
+
+  const routes = [];
+  tracks.forEach((track, index) => {
+    const first = track.points[0];
+    const last = track.points[track.points.length - 1];
+    const from = nearestStop(stops, first.lat, first.lng);
+    const to = nearestStop(stops, last.lat, last.lng);
+    if (!from || !to || from === to) {
+      errors.push({
+        item: track.source,
+        error: "Track doesn't connect two different stops",
+      });
+      return;
+    }
+
+    const coordinates = track.points.map((point) => [point.lng, point.lat]);
+    const distance = lineDistance(coordinates);
+    const timed = first.time && last.time && last.time > first.time;
+    const duration = timed
+      ? (last.time.getTime() - first.time.getTime()) / 1000
+      : estimateTravel(from, to, "walking").duration;
+    const hasElevation = track.points.some((point) => point.ele !== undefined);
+
+    routes.push({
+      id: `route_${baseId}_${index}`,
+      fromStopId: from.id,
+      toStopId: to.id,
+      coordinates,
+      distance: Math.round(distance),
+      estimatedDuration: Math.round(duration),
+      transportMode: "walking",
+      provider: "import",
+      elevationProfile: hasElevation
+        ? track.points
+            .filter((point) => point.ele !== undefined)
+            .map((point) => ({
+              lat: point.lat,
+              lng: point.lng,
+              elevation: point.ele,
+            }))
+        : [],
+      createdAt: now,
+    });
+  });
+
+  return {
+    tripData: {
+      name: (name || parsed.name || "Imported trip").slice(0, 200),
+      description: parsed.description?.slice(0, 1000),
+      estimatedDuration: 1,
+      category: "custom",
+      tags: ["imported"],
+      stops,
+      routes,
+    },
+    errors,
+  };
+}
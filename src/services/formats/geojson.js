@@ -0,0 +1,58 @@
+import { orderedStops, segmentElevations } from "./common.js";
+
+// Stops become Point features and route segments LineString features.
+// Segments with an elevation profile get 3D [lng, lat, elevation] positions.
+export function exportGeoJson(trip) {
+  const stopFeatures = orderedStops(trip).map((stop) => ({
+    type: "Feature",
+    geometry: { type: "Point", coordinates: [stop.lng, stop.lat] },
+    properties: {
+      kind: "stop",
+      id: stop.id,
+      name: stop.name,
+      description: stop.description,
+      address: stop.address,
+      order: stop.order,
+      day: stop.day,
+      stopType: stop.stopType,
+      priority: stop.priority,
+      plannedArrival: stop.plannedArrival,
+      plannedDeparture: stop.plannedDeparture,
+      estimatedDuration: stop.estimatedDuration,
+      isCompleted: stop.isCompleted,
+      isSkipped: stop.isSkipped,
+    },
+  }));
+
+  const routeFeatures = trip.routes.map((route) => {
+    const elevations = segmentElevations(route);
+    const hasElevation = elevations.some((ele) => ele !== null);
+    return {
+      type: "Feature",
+      geometry: {
+        type: "LineString",
+        coordinates: route.coordinates.map(([lng, lat], i) =>
+          hasElevation ? [lng, lat, elevations[i] ?? 0] : [lng, lat]
+        ),
+      },
+      properties: {
+        kind: "route",
+        id: route.id,
+        fromStopId: route.fromStopId,
+        toStopId: route.toStopId,
+        distance: route.distance,
+        estimatedDuration: route.estimatedDuration,
+        transportMode: route.transportMode,
+      },
+    };
+  });
+
+  return {
+    type: "FeatureCollection",
+    properties: {
+      name: trip.name,
+      description: trip.description,
+    },
+    features: [...stopFeatures, ...routeFeatures],
+  };
+}
@@ -0,0 +1,133 @@
+import { XMLParser } from "fast-xml-parser";
+import {
+  asArray,
+  escapeXml,
+  orderedStops,
+  segmentElevations,
+  textOf,
+} from "./common.js";
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "@",
+  removeNSPrefix: true,
+  parseTagValue: false,
+});
+
+function parseTime(node) {
+  const text = textOf(node);
+  if (!text) return undefined;
+  const time = new Date(text);
+  return isNaN(time.getTime()) ? undefined : time;
+}
+
+function parseElevation(node) {
+  const text = textOf(node);
+  return text === undefined || isNaN(Number(text)) ? undefined : Number(text);
+}
+
+function parsePoint(node, source) {
+  return {
+    lat: Number(node["@lat"]),
+    lng: Number(node["@lon"]),
+    ele: parseElevation(node.ele),
+    time: parseTime(node.time),
+    name: textOf(node.name),
+    description: textOf(node.desc) || textOf(node.cmt),
+    type: textOf(node.type),
+    source,
+  };
+}
+
+// Parse a GPX document into waypoints and tracks. Waypoints come from <wpt>,
+// or from <rtept> when the file only has a planned route.
+export function parseGpx(xml) {
+  const document = parser.parse(xml);
+  const gpx = document.gpx;
+  if (!gpx) {
+    throw new Error("Not a GPX document: missing <gpx> root element");
+  }
+
+  let waypoints = asArray(gpx.wpt).map((node, i) =>
+    parsePoint(node, `wpt[${i}]`)
+  );
+  if (waypoints.length === 0) {
+    waypoints = asArray(gpx.rte).flatMap((route, r) =>
+      asArray(route.rtept).map((node, i) =>
+        parsePoint(node, `rte[${r}].rtept[${i}]`)
+      )
+    );
+  }
+
+  const tracks = asArray(gpx.trk).flatMap((track, t) =>
+    asArray(track.trkseg).map((segment, s) => ({
+      name: textOf(track.name),
+      source: `trk[${t}].trkseg[${s}]`,
+      points: asArray(segment.trkpt).map((node, i) =>
+        parsePoint(node, `trk[${t}].trkseg[${s}].trkpt[${i}]`)
+      ),
+    }))
+  );
+
+  return {
+    name: textOf(gpx.metadata?.name) || textOf(gpx.trk?.name),
+    description: textOf(gpx.metadata?.desc),
+    waypoints,
+    tracks,
+    errors: [],
+  };
+}
+
+// Stops become <wpt> waypoints and each route segment a <trk>
+export function exportGpx(trip) {
+  const stops = orderedStops(trip);
+  const stopNames = new Map(stops.map((stop) => [stop.id, stop.name]));
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="RouteNest" xmlns="http://www.topografix.com/GPX/1/1">',
+    "  <metadata>",
+    `    <name>${escapeXml(trip.name)}</name>`,
+  ];
+  if (trip.description) {
+    lines.push(`    <desc>${escapeXml(trip.description)}</desc>`);
+  }
+  lines.push("  </metadata>");
+
+  stops.forEach((stop) => {
+    lines.push(`  <wpt lat="${stop.lat}" lon="${stop.lng}">`);
+    if (stop.plannedArrival) {
+      lines.push(
+        `    <time>${new Date(stop.plannedArrival).toISOString()}</time>`
+      );
+    }
+    lines.push(`    <name>${escapeXml(stop.name)}</name>`);
+    if (stop.description) {
+      lines.push(`    <desc>${escapeXml(stop.description)}</desc>`);
+    }
+    lines.push(`    <type>${escapeXml(stop.stopType)}</type>`);
+    lines.push("  </wpt>");
+  });
+
+  trip.routes.forEach((route) => {
+    const elevations = segmentElevations(route);
+    const from = stopNames.get(route.fromStopId) || route.fromStopId;
+    const to = stopNames.get(route.toStopId) || route.toStopId;
+    lines.push("  <trk>");
+    lines.push(`    <name>${escapeXml(`${from} → ${to}`)}</name>`);
+    lines.push(`    <type>${escapeXml(route.transportMode)}</type>`);
+    lines.push("    <trkseg>");
+    route.coordinates.forEach(([lng, lat], i) => {
+      const ele = elevations[i];
+      lines.push(
+        ele === null
+          ? `      <trkpt lat="${lat}" lon="${lng}"/>`
+          : `      <trkpt lat="${lat}" lon="${lng}"><ele>${ele}</ele></trkpt>`
+      );
+    });
+    lines.push("    </trkseg>");
+    lines.push("  </trk>");
+  });
+
+  lines.push("</gpx>");
+  return lines.join("\n");
+}
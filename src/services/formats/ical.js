@@ -0,0 +1,147 @@
+import { orderedStops } from "./common.js";
+
+const MINUTE = 60 * 1000;
+
+// RFC 5545 wants content lines of at most 75 octets
+const MAX_LINE_OCTETS = 75;
+
+// TEXT values escape backslashes, separators and newlines
+function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Split a long line into a first line and continuation lines starting with
+// a space, without cutting a UTF-8 character in two
+function foldLine(line) {
+  const lines = [];
+  let current = "";
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = lines.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      lines.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  lines.push(current);
+  return lines.join("\r\n ");
+}
+
+// UTC date-time, e.g. 20250614T083000Z
+function formatDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]|\.\d{3}/g, "");
+}
+
+function formatDistance(meters) {
+  return meters >= 1000
+    ? `${(meters / 1000).toFixed(1)} km`
+    : `${Math.round(meters)} m`;
+}
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+function stopEnd(stop) {
+  return stop.plannedDeparture
+    ? new Date(stop.plannedDeparture)
+    : new Date(
+        new Date(stop.plannedArrival).getTime() +
+          stop.estimatedDuration * MINUTE
+      );
+}
+
+function event(lines, { uid, stamp, sequence, start, end, ...fields }) {
+  lines.push("BEGIN:VEVENT");
+  lines.push(`UID:${uid}`);
+  lines.push(`DTSTAMP:${formatDateTime(stamp)}`);
+  lines.push(`SEQUENCE:${sequence}`);
+  lines.push(`DTSTART:${formatDateTime(start)}`);
+  lines.push(`DTEND:${formatDateTime(end)}`);
+  lines.push(`SUMMARY:${escapeText(fields.summary)}`);
+  if (fields.location) {
+    lines.push(`LOCATION:${escapeText(fields.location)}`);
+  }
+  if (fields.geo) lines.push(`GEO:${fields.geo.lat};${fields.geo.lng}`);
+  if (fields.description) {
+    lines.push(`DESCRIPTION:${escapeText(fields.description)}`);
+  }
+  if (fields.categories) {
+    lines.push(`CATEGORIES:${escapeText(fields.categories)}`);
+  }
+  if (fields.cancelled) lines.push("STATUS:CANCELLED");
+  lines.push("END:VEVENT");
+}
+
+// The itinerary as iCalendar: an event per stop and per route segment, with
+// skipped stops cancelled. UIDs are stable and SEQUENCE is the trip's
+// version, so subscribed calendars update events instead of duplicating them.
+export function exportICalendar(trip) {
+  const stops = orderedStops(trip);
+  const stopsById = new Map(stops.map((stop) => [stop.id, stop]));
+  const common = {
+    stamp: trip.updatedAt || new Date(),
+    sequence: trip.__v || 0,
+  };
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//RouteNest//Trip Itinerary//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(trip.name)}`,
+  ];
+  if (trip.description) {
+    lines.push(`X-WR-CALDESC:${escapeText(trip.description)}`);
+  }
+  if (trip.timezone) lines.push(`X-WR-TIMEZONE:${trip.timezone}`);
+
+  stops.forEach((stop) => {
+    event(lines, {
+      ...common,
+      // The stop's number on the trip, as its _id changes when the
+      // itinerary is rewritten (undo, restore, a full update)
+      uid: `stop-${trip._id}-${stop.id}@route-nest`,
+      start: stop.plannedArrival,
+      end: stopEnd(stop),
+      summary: stop.name,
+      location: stop.address || stop.name,
+      geo: stop,
+      description: [stop.description, stop.notes].filter(Boolean).join("\n\n"),
+      categories: stop.stopType,
+      cancelled: stop.isSkipped,
+    });
+  });
+
+  trip.routes.forEach((route) => {
+    const from = stopsById.get(route.fromStopId);
+    const to = stopsById.get(route.toStopId);
+    if (!from || !to) return;
+    const start = stopEnd(from);
+    event(lines, {
+      ...common,
+      // Segments are rebuilt when routes are regenerated; the stops they
+      // join are what stays the same
+      uid: `route-${trip._id}-${route.fromStopId}-${route.toStopId}@route-nest`,
+      start,
+      end: new Date(start.getTime() + route.estimatedDuration * 1000),
+      summary: `${capitalize(route.transportMode)}: ${from.name} → ${to.name}`,
+      location: `${from.address || from.name} → ${to.address || to.name}`,
+      geo: from,
+      description: `${formatDistance(route.distance)} by ${
+        route.transportMode
+      } to ${to.name}`,
+      categories: "travel",
+    });
+  });
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
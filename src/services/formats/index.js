@@ -0,0 +1,54 @@
+import { parseGpx, exportGpx } from "./gpx.js";
+import { parseKml, exportKml } from "./kml.js";
+import { exportGeoJson } from "./geojson.js";
+import { exportICalendar } from "./ical.js";
+import { buildImportedTrip } from "./common.js";
+
+export const EXPORT_FORMATS = {
+  gpx: {
+    contentType: "application/gpx+xml",
+    extension: "gpx",
+    render: exportGpx,
+  },
+  kml: {
+    contentType: "application/vnd.google-earth.kml+xml",
+    extension: "kml",
+    render: exportKml,
+  },
+  geojson: {
+    contentType: "application/geo+json",
+    extension: "geojson",
+    render: (trip) => JSON.stringify(exportGeoJson(trip), null, 2),
+  },
+  ics: {
+    contentType: "text/calendar",
+    extension: "ics",
+    render: exportICalendar,
+  },
+};
+
+const PARSERS = {
+  gpx: parseGpx,
+  kml: parseKml,
+};
+
+export const IMPORT_FORMATS = Object.keys(PARSERS);
+
+// Guess the format from the document's root element
+export function detectFormat(xml) {
+  const root = /<([A-Za-z][\w:.-]*)[\s>]/.exec(
+    xml.replace(/<\?[\s\S]*?\?>|<!--[\s\S]*?-->/g, "")
+  );
+  const name = root?.[1].split(":").pop().toLowerCase();
+  return PARSERS[name] ? name : null;
+}
+
+// Parse a GPX or KML document into TripData fields plus per-item errors
+export function importTrip(xml, { format, name } = {}) {
+  const detected = format || detectFormat(xml);
+  const parse = PARSERS[detected];
+  if (!parse) {
+    throw new Error("Unsupported import format; expected GPX or KML");
+  }
+  return { format: detected, ...buildImportedTrip(parse(xml), { name }) };
+}
@@ -0,0 +1,184 @@
+import { XMLParser } from "fast-xml-parser";
+import {
+  asArray,
+  escapeXml,
+  orderedStops,
+  segmentElevations,
+  textOf,
+} from "./common.js";
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "@",
+  removeNSPrefix: true,
+  parseTagValue: false,
+});
+
+// KML coordinates are whitespace-separated "lng,lat[,alt]" tuples
+function parseCoordinates(text, source) {
+  return (textOf(text) || "")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((tuple, i) => {
+      const [lng, lat, ele] = tuple.split(",").map(Number);
+      return {
+        lat,
+        lng,
+        ele: Number.isFinite(ele) ? ele : undefined,
+        source: `${source}[${i}]`,
+      };
+    });
+}
+
+// Placemarks can sit anywhere under nested Documents and Folders
+function collectPlacemarks(node, placemarks = []) {
+  if (!node || typeof node !== "object") return placemarks;
+  asArray(node.Placemark).forEach((placemark) => placemarks.push(placemark));
+  asArray(node.Document).forEach((child) =>
+    collectPlacemarks(child, placemarks)
+  );
+  asArray(node.Folder).forEach((child) => collectPlacemarks(child, placemarks));
+  return placemarks;
+}
+
+// Points and line strings of a placemark, including inside MultiGeometry
+function collectGeometries(node, geometries = { points: [], lines: [] }) {
+  if (!node || typeof node !== "object") return geometries;
+  geometries.points.push(...asArray(node.Point));
+  geometries.lines.push(...asArray(node.LineString));
+  asArray(node.MultiGeometry).forEach((child) =>
+    collectGeometries(child, geometries)
+  );
+  return geometries;
+}
+
+// Parse a KML document. Point placemarks become waypoints and LineString
+// placemarks become tracks.
+export function parseKml(xml) {
+  const document = parser.parse(xml);
+  const kml = document.kml;
+  if (!kml) {
+    throw new Error("Not a KML document: missing <kml> root element");
+  }
+
+  const waypoints = [];
+  const tracks = [];
+  const errors = [];
+
+  collectPlacemarks(kml).forEach((placemark, p) => {
+    const name = textOf(placemark.name);
+    const description = textOf(placemark.description);
+    const time = textOf(placemark.TimeStamp?.when);
+    const { points, lines } = collectGeometries(placemark);
+
+    if (points.length === 0 && lines.length === 0) {
+      errors.push({
+        item: `Placemark[${p}]`,
+        error: "Placemark has no Point or LineString geometry",
+      });
+    }
+
+    points.forEach((point, i) => {
+      const [coordinate] = parseCoordinates(
+        point.coordinates,
+        `Placemark[${p}].Point[${i}]`
+      );
+      if (!coordinate) {
+        errors.push({
+          item: `Placemark[${p}].Point[${i}]`,
+          error: "Point has no coordinates",
+        });
+        return;
+      }
+      waypoints.push({
+        ...coordinate,
+        name,
+        description,
+        time: time && !isNaN(new Date(time)) ? new Date(time) : undefined,
+        source: `Placemark[${p}]`,
+      });
+    });
+
+    lines.forEach((line, i) => {
+      tracks.push({
+        name,
+        source: `Placemark[${p}].LineString[${i}]`,
+        points: parseCoordinates(
+          line.coordinates,
+          `Placemark[${p}].LineString[${i}].coordinates`
+        ),
+      });
+    });
+  });
+
+  const root = asArray(kml.Document)[0];
+  return {
+    name: textOf(root?.name),
+    description: textOf(root?.description),
+    waypoints,
+    tracks,
+    errors,
+  };
+}
+
+// Stops become Point placemarks and route segments LineString placemarks
+export function exportKml(trip) {
+  const stops = orderedStops(trip);
+  const stopNames = new Map(stops.map((stop) => [stop.id, stop.name]));
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    "  <Document>",
+    `    <name>${escapeXml(trip.name)}</name>`,
+  ];
+  if (trip.description) {
+    lines.push(`    <description>${escapeXml(trip.description)}</description>`);
+  }
+
+  stops.forEach((stop) => {
+    lines.push("    <Placemark>");
+    lines.push(`      <name>${escapeXml(stop.name)}</name>`);
+    if (stop.description) {
+      lines.push(
+        `      <description>${escapeXml(stop.description)}</description>`
+      );
+    }
+    if (stop.plannedArrival) {
+      lines.push(
+        `      <TimeStamp><when>${new Date(
+          stop.plannedArrival
+        ).toISOString()}</when></TimeStamp>`
+      );
+    }
+    lines.push(
+      `      <Point><coordinates>${stop.lng},${stop.lat}</coordinates></Point>`
+    );
+    lines.push("    </Placemark>");
+  });
+
+  trip.routes.forEach((route) => {
+    const elevations = segmentElevations(route);
+    const hasElevation = elevations.some((ele) => ele !== null);
+    const from = stopNames.get(route.fromStopId) || route.fromStopId;
+    const to = stopNames.get(route.toStopId) || route.toStopId;
+    const coordinates = route.coordinates
+      .map(([lng, lat], i) =>
+        hasElevation ? `${lng},${lat},${elevations[i] ?? 0}` : `${lng},${lat}`
+      )
+      .join(" ");
+
+    lines.push("    <Placemark>");
+    lines.push(`      <name>${escapeXml(`${from} → ${to}`)}</name>`);
+    lines.push("      <LineString>");
+    if (hasElevation) {
+      lines.push("        <altitudeMode>absolute</altitudeMode>");
+    }
+    lines.push(`        <coordinates>${coordinates}</coordinates>`);
+    lines.push("      </LineString>");
+    lines.push("    </Placemark>");
+  });
+
+  lines.push("  </Document>");
+  lines.push("</kml>");
+  return lines.join("\n");
+}
@@ -0,0 +1,72 @@
+import { TripRevision } from "../models/TripRevision.js";
+import { RevisionGeometry } from "../models/RevisionGeometry.js";
+import { HISTORY_FIELDS, attachRouteGeometry } from "../utils/tripDiff.js";
+import { badRequest, notFound } from "../utils/errors.js";
+
+// Fields listed for each history entry; snapshots are only sent on request
+const ENTRY_FIELDS = "revision userId summary changes createdAt";
+
+// Newest first, `limit` at a time; pass the last revision seen as `before`
+// for the next page
+export async function listRevisions(tripId, { limit, before }) {
+  const query = { tripId };
+  if (before !== undefined) query.revision = { $lt: before };
+
+  const entries = await TripRevision.find(query)
+    .sort({ revision: -1 })
+    .limit(limit + 1)
+    .select(ENTRY_FIELDS);
+
+  const hasMore = entries.length > limit;
+  const page = entries.slice(0, limit);
+  return {
+    entries: page,
+    nextBefore: hasMore ? page[page.length - 1].revision : null,
+  };
+}
+
+export async function findRevision(tripId, revision) {
+  const entry = await TripRevision.findOne({ tripId, revision });
+  if (!entry) throw notFound(`Revision ${revision} not found`);
+  return entry;
+}
+
+// The entry `steps` changes back from the latest one
+export async function revisionBefore(tripId, steps) {
+  const [entry] = await TripRevision.find({ tripId })
+    .sort({ revision: -1 })
+    .skip(steps)
+    .limit(1);
+  if (!entry) {
+    throw badRequest(`History doesn't go back ${steps} changes`);
+  }
+  return entry;
+}
+
+// A revision's snapshot with the route geometry it refers to filled in
+export async function expandSnapshot(tripId, snapshot) {
+  const refs = (snapshot.routes || [])
+    .map((route) => route.geometryRef)
+    .filter(Boolean);
+  if (refs.length === 0) return snapshot;
+
+  const stored = await RevisionGeometry.find({
+    tripId,
+    hash: { $in: refs },
+  }).lean();
+  const geometries = new Map(stored.map((doc) => [doc.hash, doc.geometry]));
+  const missing = refs.find((ref) => !geometries.has(ref));
+  if (missing) {
+    throw new Error(`Route geometry ${missing} of trip ${tripId} is missing`);
+  }
+  return attachRouteGeometry(snapshot, geometries);
+}
+
+// Put the trip's content back to a snapshot (expanded, see expandSnapshot).
+// Sharing, ratings and anything else outside the history fields is left
+// alone.
+export function applySnapshot(trip, snapshot) {
+  HISTORY_FIELDS.forEach((field) => {
+    trip.set(field, snapshot[field]);
+  });
+}
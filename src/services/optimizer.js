@@ -0,0 +1,264 @@
+import { calculateDistance } from "../utils/geo.js";
+import { MODE_SPEEDS } from "./routing/fallback.js";
+import { stopDay } from "./days.js";
+
+// Build a pairwise cost matrix. Distances are straight-line meters; travel
+// times use the same per-mode average speeds as the fallback router, so the
+// optimizer never has to make N² requests to a routing engine.
+function buildCostMatrix(stops, metric, transportMode) {
+  const metersPerSecond = (MODE_SPEEDS[transportMode] * 1000) / 3600;
+  return stops.map((a) =>
+    stops.map((b) => {
+      const meters = calculateDistance(a.lat, a.lng, b.lat, b.lng) * 1000;
+      return metric === "time" ? meters / metersPerSecond : meters;
+    })
+  );
+}
+
+function pathCost(path, cost) {
+  let total = 0;
+  for (let i = 0; i < path.length - 1; i++) {
+    total += cost[path[i]][path[i + 1]];
+  }
+  return total;
+}
+
+// Greedy initial tour starting from path[0]
+function nearestNeighbour(indices, cost, pinStart, pinEnd) {
+  const remaining = new Set(indices);
+  const end = pinEnd ? indices[indices.length - 1] : null;
+  if (end !== null) remaining.delete(end);
+
+  const path = [];
+  let current = pinStart ? indices[0] : [...remaining][0];
+  remaining.delete(current);
+  path.push(current);
+
+  while (remaining.size > 0) {
+    let best = null;
+    for (const candidate of remaining) {
+      if (best === null || cost[current][candidate] < cost[current][best]) {
+        best = candidate;
+      }
+    }
+    remaining.delete(best);
+    path.push(best);
+    current = best;
+  }
+
+  if (end !== null) path.push(end);
+  return path;
+}
+
+// Cost of the edge between positions a and b, or 0 if either is off the path
+function edge(path, cost, a, b) {
+  if (a < 0 || b >= path.length) return 0;
+  return cost[path[a]][path[b]];
+}
+
+// 2-opt for an open path: reverse path[i..k] while it shortens the path
+function twoOpt(path, cost, first, last) {
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = first; i < last; i++) {
+      for (let k = i + 1; k <= last; k++) {
+        const before = edge(path, cost, i - 1, i) + edge(path, cost, k, k + 1);
+        const after = edge(path, cost, i - 1, k) + edge(path, cost, i, k + 1);
+        if (after < before - 1e-9) {
+          const reversed = path.slice(i, k + 1).reverse();
+          path.splice(i, reversed.length, ...reversed);
+          improved = true;
+        }
+      }
+    }
+  }
+  return path;
+}
+
+// Or-opt: move chains of 1-3 consecutive stops to a better position
+function orOpt(path, cost, first, last) {
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let length = 1; length <= 3; length++) {
+      for (let i = first; i + length - 1 <= last; i++) {
+        const current = pathCost(path, cost);
+        const chain = path.slice(i, i + length);
+        const rest = [...path.slice(0, i), ...path.slice(i + length)];
+
+        for (let j = first; j <= last - length + 1; j++) {
+          if (j === i) continue;
+          const candidate = [...rest.slice(0, j), ...chain, ...rest.slice(j)];
+          if (pathCost(candidate, cost) < current - 1e-9) {
+            path.splice(0, path.length, ...candidate);
+            improved = true;
+            break;
+          }
+        }
+        if (improved) break;
+      }
+      if (improved) break;
+    }
+  }
+  return path;
+}
+
+// Optimize one run of stops. pinStart/pinEnd keep the first/last entry fixed.
+function optimizeRun(indices, cost, pinStart, pinEnd) {
+  if (indices.length < 3) return [...indices];
+
+  const path = nearestNeighbour(indices, cost, pinStart, pinEnd);
+  const first = pinStart ? 1 : 0;
+  const last = pinEnd ? path.length - 2 : path.length - 1;
+
+  // Alternate the two local searches until neither finds an improvement
+  let previous = Infinity;
+  let current = pathCost(path, cost);
+  while (current < previous - 1e-9) {
+    twoOpt(path, cost, first, last);
+    orOpt(path, cost, first, last);
+    previous = current;
+    current = pathCost(path, cost);
+  }
+  return path;
+}
+
+// Order stops between fixed anchors. Anchors (pinned ends, completed stops
+// and, optionally, accommodation) keep their position; only the stops
+// between consecutive anchors are reordered. Stops never move to another day.
+function optimizeWithAnchors(stops, cost, isAnchor) {
+  const result = [];
+  let run = [];
+  let runStartsAtAnchor = false;
+
+  const flush = (endsAtAnchor) => {
+    result.push(...optimizeRun(run, cost, runStartsAtAnchor, endsAtAnchor));
+    run = [];
+  };
+
+  stops.forEach((stop, index) => {
+    if (index > 0 && stopDay(stop) !== stopDay(stops[index - 1])) {
+      flush(false);
+      runStartsAtAnchor = false;
+    }
+
+    if (isAnchor(stop, index)) {
+      run.push(index);
+      flush(true);
+      // The anchor also starts the next run, so drop the duplicate
+      result.pop();
+      run = [index];
+      runStartsAtAnchor = true;
+    } else {
+      run.push(index);
+    }
+  });
+  flush(false);
+
+  return result;
+}
+
+function summarize(stops, order, transportMode) {
+  const metersPerSecond = (MODE_SPEEDS[transportMode] * 1000) / 3600;
+  let distance = 0;
+  for (let i = 0; i < order.length - 1; i++) {
+    const a = stops[order[i]];
+    const b = stops[order[i + 1]];
+    distance += calculateDistance(a.lat, a.lng, b.lat, b.lng) * 1000;
+  }
+  const travelTime = distance / metersPerSecond / 60;
+  const stopTime = order.reduce(
+    (total, index) => total + (stops[index].estimatedDuration || 0),
+    0
+  );
+  return {
+    distance: Math.round(distance), // meters
+    travelTime: Math.round(travelTime), // minutes
+    totalTime: Math.round(travelTime + stopTime), // minutes, incl. stop time
+  };
+}
+
+// A better visiting order for the stops and its diff against the current one.
+// Options: metric, transportMode, pinFirst, pinLast, keepAccommodation and
+// timeBudget (minutes; low priority stops are dropped to fit). Skipped stops
+// are kept at the end.
+export function optimizeStops(stops, options = {}) {
+  const {
+    metric = "distance",
+    transportMode = "walking",
+    pinFirst = true,
+    pinLast = false,
+    keepAccommodation = true,
+    timeBudget,
+  } = options;
+
+  const ordered = [...stops].sort(
+    (a, b) => stopDay(a) - stopDay(b) || a.order - b.order
+  );
+  const skipped = ordered.filter((stop) => stop.isSkipped);
+  let active = ordered.filter((stop) => !stop.isSkipped);
+  const dropped = [];
+
+  const isAnchor = (list) => (stop, index) =>
+    (pinFirst && index === 0) ||
+    (pinLast && index === list.length - 1) ||
+    stop.isCompleted ||
+    (keepAccommodation && stop.stopType === "accommodation");
+
+  const solve = (list) => {
+    const cost = buildCostMatrix(list, metric, transportMode);
+    const order = optimizeWithAnchors(list, cost, isAnchor(list));
+    return { list, order, summary: summarize(list, order, transportMode) };
+  };
+
+  let solution = solve(active);
+
+  // Drop low priority stops, cheapest-to-lose first, until within budget
+  while (timeBudget && solution.summary.totalTime > timeBudget) {
+    const anchor = isAnchor(active);
+    const candidates = active.filter(
+      (stop, index) => stop.priority === "low" && !anchor(stop, index)
+    );
+    if (candidates.length === 0) break;
+
+    let best = null;
+    for (const candidate of candidates) {
+      const trial = solve(active.filter((stop) => stop !== candidate));
+      if (!best || trial.summary.totalTime < best.solution.summary.totalTime) {
+        best = { stop: candidate, solution: trial };
+      }
+    }
+    dropped.push(best.stop);
+    active = best.solution.list;
+    solution = best.solution;
+  }
+
+  const proposed = [
+    ...solution.order.map((index) => solution.list[index]),
+    ...dropped,
+    ...skipped,
+  ];
+  const before = summarize(
+    ordered,
+    ordered.map((stop, index) => index).filter((i) => !ordered[i].isSkipped),
+    transportMode
+  );
+
+  return {
+    metric,
+    stopIds: proposed.map((stop) => stop.id),
+    droppedStopIds: dropped.map((stop) => stop.id),
+    changes: proposed
+      .map((stop, index) => ({
+        stopId: stop.id,
+        name: stop.name,
+        fromOrder: stop.order,
+        toOrder: index + 1,
+      }))
+      .filter((change) => change.fromOrder !== change.toOrder),
+    before,
+    after: solution.summary,
+    withinBudget: !timeBudget || solution.summary.totalTime <= timeBudget,
+  };
+}
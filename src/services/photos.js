@@ -0,0 +1,311 @@
+import crypto from "node:crypto";
+import sharp from "sharp";
+import exifr from "exifr";
+import { Photo } from "../models/Photo.js";
+import { getStorage, mediaUrl } from "./storage/index.js";
+import { calculateDistance } from "../utils/geo.js";
+import { atLocalDate } from "../utils/time.js";
+import { badRequest } from "../utils/errors.js";
+import { tripEvents } from "../utils/tripEvents.js";
+
+export const MAX_PHOTO_BYTES =
+  Number(process.env.PHOTO_MAX_BYTES) || 10 * 1024 * 1024;
+export const MAX_PHOTOS_PER_UPLOAD = 10;
+
+// Accepted formats, by what the file turns out to be rather than what the
+// client says it is
+const FORMATS = {
+  jpeg: { contentType: "image/jpeg", ext: "jpg" },
+  png: { contentType: "image/png", ext: "png" },
+  webp: { contentType: "image/webp", ext: "webp" },
+};
+export const PHOTO_CONTENT_TYPES = Object.values(FORMATS).map(
+  (format) => format.contentType
+);
+
+// Everything storePhoto writes lives under this prefix
+const PHOTO_KEY_PREFIX = "trips/";
+
+// Whether `key` names a stored photo or thumbnail rather than anything else
+// kept in the same storage. Dot segments could climb out of the prefix.
+export function isPhotoKey(key) {
+  return (
+    key.startsWith(PHOTO_KEY_PREFIX) &&
+    key
+      .slice(PHOTO_KEY_PREFIX.length)
+      .split("/")
+      .every((segment) => segment && segment !== "." && segment !== "..")
+  );
+}
+
+// Stored images are at most this many pixels on their long side; thumbnails
+// fit in a THUMBNAIL_SIZE square
+const MAX_DIMENSION = 2560;
+const THUMBNAIL_SIZE = 400;
+
+// A photo within this distance (meters) of a stop was probably taken there
+const SUGGEST_RADIUS = 500;
+
+// "2024:01:01 09:12:30" as local time in `timeZone`, or with its EXIF offset
+function exifDate(value, offset, timeZone) {
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(
+    value || ""
+  );
+  if (!match) return undefined;
+  const [year, month, day, h, m, s] = match.slice(1).map(Number);
+
+  const zone = /^([+-])(\d{2}):(\d{2})$/.exec(offset || "");
+  if (zone) {
+    const minutes = (zone[1] === "-" ? -1 : 1) * (zone[2] * 60 + +zone[3]);
+    return new Date(
+      Date.UTC(year, month - 1, day, h, m, s) - minutes * 60 * 1000
+    );
+  }
+  const date = atLocalDate(year, month, day, h * 60 + m, timeZone);
+  return new Date(date.getTime() + s * 1000);
+}
+
+// Where and when the photo was taken, from its EXIF data. Cameras record
+// local time, read in the trip's time zone unless the offset is recorded.
+async function readExif(buffer, timeZone) {
+  try {
+    const exif = await exifr.parse(buffer, {
+      reviveValues: false,
+      pick: [
+        "DateTimeOriginal",
+        "OffsetTimeOriginal",
+        "GPSLatitude",
+        "GPSLatitudeRef",
+        "GPSLongitude",
+        "GPSLongitudeRef",
+      ],
+    });
+    if (!exif) return {};
+    const hasPosition =
+      Number.isFinite(exif.latitude) && Number.isFinite(exif.longitude);
+    return {
+      takenAt: exifDate(
+        exif.DateTimeOriginal,
+        exif.OffsetTimeOriginal,
+        timeZone
+      ),
+      lat: hasPosition ? exif.latitude : undefined,
+      lng: hasPosition ? exif.longitude : undefined,
+    };
+  } catch (error) {
+    // Unreadable metadata doesn't make the photo unusable
+    return {};
+  }
+}
+
+// When the traveller was (or will be) at the stop
+function visitWindow(stop) {
+  const start = stop.actualArrival || stop.plannedArrival;
+  const end =
+    stop.actualDeparture ||
+    (stop.actualArrival ? null : stop.plannedDeparture) ||
+    new Date(start.getTime() + (stop.estimatedDuration || 60) * 60 * 1000);
+  return { start, end };
+}
+
+// Milliseconds between `time` and the stop's visit, 0 during it
+function timeAway(stop, time) {
+  const { start, end } = visitWindow(stop);
+  if (time < start) return start - time;
+  if (time > end) return time - end;
+  return 0;
+}
+
+// The stop a photo was most likely taken at: the nearest within
+// SUGGEST_RADIUS, or failing a location the one being visited at the time.
+// Returns { stopId, reason, distance } or null.
+export function suggestStop(trip, { lat, lng, takenAt }) {
+  const stops = trip.stops.filter((stop) => !stop.isSkipped);
+
+  if (lat !== undefined && lng !== undefined) {
+    const nearby = stops
+      .map((stop) => ({
+        stop,
+        distance: calculateDistance(lat, lng, stop.lat, stop.lng) * 1000,
+      }))
+      .filter(({ distance }) => distance <= SUGGEST_RADIUS)
+      .sort(
+        (a, b) =>
+          (takenAt
+            ? timeAway(a.stop, takenAt) - timeAway(b.stop, takenAt)
+            : 0) || a.distance - b.distance
+      );
+    if (nearby.length) {
+      return {
+        stopId: nearby[0].stop.id,
+        reason: "location",
+        distance: Math.round(nearby[0].distance),
+      };
+    }
+    return null;
+  }
+
+  if (takenAt) {
+    const during = stops.find((stop) => timeAway(stop, takenAt) === 0);
+    if (during) return { stopId: during.id, reason: "time" };
+  }
+  return null;
+}
+
+// Check an upload is a supported image and prepare it for storage: rotated,
+// capped at MAX_DIMENSION and stripped of metadata such as GPS, and a
+// thumbnail
+export async function processPhoto(buffer, { timeZone = "UTC" } = {}) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    metadata = null;
+  }
+  const format = FORMATS[metadata?.format];
+  if (!format) {
+    throw badRequest("Photos must be JPEG, PNG or WebP images");
+  }
+
+  const resized = sharp(buffer).rotate().resize({
+    width: MAX_DIMENSION,
+    height: MAX_DIMENSION,
+    fit: "inside",
+    withoutEnlargement: true,
+  });
+  const image = await resized
+    .clone()
+    .toFormat(metadata.format, { quality: 85 })
+    .toBuffer({ resolveWithObject: true });
+  const thumbnail = await resized
+    .clone()
+    .resize({
+      width: THUMBNAIL_SIZE,
+      height: THUMBNAIL_SIZE,
+      fit: "inside",
+      withoutEnlargement: true,
+    })
+    .flatten({ background: "#ffffff" })
+    .jpeg({ quality: 80 })
+    .toBuffer();
+
+  return {
+    format,
+    image: image.data,
+    width: image.info.width,
+    height: image.info.height,
+    thumbnail,
+    exif: await readExif(buffer, timeZone),
+  };
+}
+
+// Store a processed upload as a photo of the trip, attached to `stopId` or,
+// with "auto", the suggested stop. Resolves to the saved Photo.
+export async function storePhoto(
+  trip,
+  processed,
+  { originalName, stopId, userId }
+) {
+  const storage = getStorage();
+  const name = `${PHOTO_KEY_PREFIX}${trip._id}/${crypto.randomUUID()}`;
+  const key = `${name}.${processed.format.ext}`;
+  const thumbnailKey = `${name}_thumb.jpg`;
+
+  await storage.put(key, processed.image, {
+    contentType: processed.format.contentType,
+  });
+  try {
+    await storage.put(thumbnailKey, processed.thumbnail, {
+      contentType: "image/jpeg",
+    });
+    const suggestion = suggestStop(trip, processed.exif);
+    return await Photo.create({
+      tripId: trip._id,
+      stopId: stopId === "auto" ? suggestion?.stopId : stopId,
+      key,
+      url: mediaUrl(key, storage),
+      thumbnailKey,
+      thumbnailUrl: mediaUrl(thumbnailKey, storage),
+      contentType: processed.format.contentType,
+      size: processed.image.length,
+      width: processed.width,
+      height: processed.height,
+      originalName: originalName?.slice(0, 255),
+      ...processed.exif,
+      suggestedStopId: suggestion?.stopId,
+      uploadedBy: userId,
+    });
+  } catch (error) {
+    await removeFiles([{ key, thumbnailKey }]);
+    throw error;
+  }
+}
+
+async function removeFiles(photos) {
+  const storage = getStorage();
+  await Promise.all(
+    photos.flatMap((photo) =>
+      [photo.key, photo.thumbnailKey].map((key) =>
+        storage
+          .delete(key)
+          .catch((error) =>
+            console.error(`Error deleting stored media ${key}:`, error)
+          )
+      )
+    )
+  );
+}
+
+// Delete the photos matching `filter`, files first. Resolves to the count.
+export async function deletePhotos(filter) {
+  const photos = await Photo.find(filter).select("key thumbnailKey");
+  await removeFiles(photos);
+  await Photo.deleteMany({ _id: { $in: photos.map((photo) => photo._id) } });
+  return photos.length;
+}
+
+// Photos of stops that have been gone for longer than `retentionDays`
+export function purgeOrphanedPhotos(retentionDays, now = new Date()) {
+  const cutoff = new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000);
+  return deletePhotos({ orphanedAt: { $lte: cutoff } });
+}
+
+// Mark photos as orphaned when their stop is removed from a trip, and take
+// them back when it returns
+export function watchStopRemovals() {
+  tripEvents.on("change", ({ tripId, changes }) => {
+    const whole = changes
+      .map((change) => ({
+        change,
+        match: change.path.match(/^stops\[id=(\d+)\]$/),
+      }))
+      .filter(({ match }) => match);
+    const removed = whole
+      .filter(({ change }) => !change.after)
+      .map(({ match }) => Number(match[1]));
+    const restored = whole
+      .filter(({ change }) => !change.before)
+      .map(({ match }) => Number(match[1]));
+
+    const updates = [];
+    if (removed.length) {
+      updates.push(
+        Photo.updateMany(
+          { tripId, stopId: { $in: removed }, orphanedAt: null },
+          { orphanedAt: new Date() }
+        )
+      );
+    }
+    if (restored.length) {
+      updates.push(
+        Photo.updateMany(
+          { tripId, stopId: { $in: restored } },
+          { $unset: { orphanedAt: 1 } }
+        )
+      );
+    }
+    Promise.all(updates).catch((error) =>
+      console.error("Error updating photos of removed stops:", error)
+    );
+  });
+}
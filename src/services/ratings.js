@@ -0,0 +1,53 @@
+import { Review } from "../models/Review.js";
+import { TripData } from "../models/TripData.js";
+
+// Bayesian average: every trip starts with PRIOR_WEIGHT imaginary reviews of
+// PRIOR_MEAN stars, so ratings only move far from the middle once enough
+// real reviews agree
+const PRIOR_MEAN = 3;
+const PRIOR_WEIGHT = 5;
+
+// Trip fields derived from reviews - clients can't set these
+export const RATING_FIELDS = ["rating", "reviewCount", "ratingScore"];
+
+export function bayesianRating(sum, count) {
+  return (PRIOR_MEAN * PRIOR_WEIGHT + sum) / (PRIOR_WEIGHT + count);
+}
+
+// Recompute a trip's rating aggregates from its reviews. Written with a
+// direct update so a concurrent edit of the trip can't overwrite them; the
+// update bumps the trip's version, so its ETag changes with the rating.
+export async function refreshTripRating(tripId) {
+  const [totals] = await Review.aggregate([
+    { $match: { tripId } },
+    { $group: { _id: null, sum: { $sum: "$rating" }, count: { $sum: 1 } } },
+  ]);
+
+  const update = totals
+    ? {
+        $set: {
+          rating: Math.round((totals.sum / totals.count) * 10) / 10,
+          reviewCount: totals.count,
+          ratingScore: bayesianRating(totals.sum, totals.count),
+        },
+      }
+    : { $set: { reviewCount: 0 }, $unset: { rating: "", ratingScore: "" } };
+  update.$inc = { __v: 1 };
+
+  return TripData.findByIdAndUpdate(tripId, update, { new: true }).select(
+    RATING_FIELDS.join(" ")
+  );
+}
+
+// Rating breakdown for a trip: how many reviews gave each number of stars
+export async function ratingDistribution(tripId) {
+  const buckets = await Review.aggregate([
+    { $match: { tripId } },
+    { $group: { _id: "$rating", count: { $sum: 1 } } },
+  ]);
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  buckets.forEach((bucket) => {
+    distribution[bucket._id] = bucket.count;
+  });
+  return distribution;
+}
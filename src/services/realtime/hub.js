@@ -0,0 +1,334 @@
+import crypto from "node:crypto";
+import { getPubSub } from "./pubsub.js";
+import { tripEvents } from "../../utils/tripEvents.js";
+
+// Each instance re-announces who views its trips this often, and forgets an
+// instance's viewers when it hasn't heard from it for PRESENCE_TTL_MS (e.g.
+// it crashed without saying goodbye)
+const PRESENCE_INTERVAL_MS = 15 * 1000;
+const PRESENCE_TTL_MS = 3 * PRESENCE_INTERVAL_MS;
+
+// Stop fields that make up its visit status
+const STATUS_FIELDS = [
+  "isCompleted",
+  "isSkipped",
+  "actualArrival",
+  "actualDeparture",
+];
+
+const channelFor = (tripId) => `trip:${tripId}`;
+
+// The events viewers get for a recorded trip change (see tripEvents), e.g.
+// stop.updated { stopId, fields, stop } or stops.reordered { stopIds }
+export function liveEvents({ changes, snapshot, tracking, deleted }) {
+  const events = [];
+  const stopsById = new Map((snapshot.stops || []).map((s) => [s.id, s]));
+
+  const edited = new Map();
+  const fields = {};
+  changes.forEach(({ path, before, after }) => {
+    const stop = path.match(/^stops\[id=(\d+)\](?:\.(\w+))?$/);
+    if (stop) {
+      const stopId = Number(stop[1]);
+      if (!stop[2]) {
+        events.push(
+          after
+            ? { type: "stop.added", stop: after }
+            : { type: "stop.removed", stopId: before.id }
+        );
+      } else {
+        if (!edited.has(stopId)) edited.set(stopId, []);
+        edited.get(stopId).push(stop[2]);
+      }
+    } else if (path === "stops.order") {
+      events.push({ type: "stops.reordered", stopIds: after });
+    } else if (!/^(routes|dayPlans)\b/.test(path)) {
+      fields[path] = after;
+    }
+  });
+
+  edited.forEach((names, stopId) => {
+    const stop = stopsById.get(stopId);
+    if (!stop) return;
+    const content = names.filter((name) => !STATUS_FIELDS.includes(name));
+    if (content.length) {
+      events.push({ type: "stop.updated", stopId, fields: content, stop });
+    }
+    if (content.length < names.length) {
+      const status = { type: "stop.status", stopId };
+      STATUS_FIELDS.forEach((name) => (status[name] = stop[name] ?? null));
+      events.push(status);
+    }
+  });
+
+  if (changes.some((c) => c.path.startsWith("routes"))) {
+    events.push({ type: "routes.updated", routes: snapshot.routes || [] });
+  }
+  if (changes.some((c) => c.path.startsWith("dayPlans"))) {
+    events.push({
+      type: "dayPlans.updated",
+      dayPlans: snapshot.dayPlans || [],
+    });
+  }
+  if (Object.keys(fields).length) {
+    events.push({ type: "trip.updated", fields });
+  }
+  if (tracking && tracking.before !== tracking.after) {
+    events.push({
+      type: tracking.after ? "tracking.started" : "tracking.stopped",
+    });
+  }
+  if (deleted) events.push({ type: "trip.deleted" });
+
+  return events;
+}
+
+// Fans trip changes and presence out to this instance's viewers, through
+// `pubsub` so other instances' viewers get them too. Only members learn who
+// is viewing or made a change. When sharing changes each connection's
+// checkAccess() runs again, and those that lost access are closed.
+export function createTripHub({
+  pubsub,
+  instanceId = crypto.randomUUID(),
+  presenceIntervalMs = PRESENCE_INTERVAL_MS,
+  presenceTtlMs = PRESENCE_TTL_MS,
+} = {}) {
+  // tripId -> { clients, instances, presence, subscription }
+  const rooms = new Map();
+
+  function presenceOf(room) {
+    const now = Date.now();
+    const everyone = [...room.clients.values()].map((client) => client.viewer);
+    room.instances.forEach((entry, id) => {
+      if (now - entry.seenAt > presenceTtlMs) room.instances.delete(id);
+      else everyone.push(...entry.viewers);
+    });
+
+    // People with several tabs or devices open are listed once
+    const viewers = new Map();
+    let anonymous = 0;
+    everyone.forEach((viewer) => {
+      if (!viewer.userId) anonymous++;
+      else if (!viewers.has(viewer.userId)) viewers.set(viewer.userId, viewer);
+    });
+    return { viewers: [...viewers.values()], anonymous };
+  }
+
+  function broadcast(room, event, data, id, { membersOnly = false } = {}) {
+    room.clients.forEach((client) => {
+      if (membersOnly && !client.member) return;
+      try {
+        client.send(
+          event,
+          typeof data === "function" ? data(client) : data,
+          id
+        );
+      } catch (error) {
+        console.error("Error sending live event:", error);
+      }
+    });
+  }
+
+  // Tell local viewers when the set of viewers has changed
+  function refreshPresence(room) {
+    const presence = presenceOf(room);
+    const key = JSON.stringify(presence);
+    if (key === room.presence) return;
+    room.presence = key;
+    broadcast(room, "presence", presence, undefined, { membersOnly: true });
+  }
+
+  function announce(tripId, room) {
+    pubsub
+      .publish(channelFor(tripId), {
+        type: "presence",
+        instanceId,
+        viewers: [...room.clients.values()].map((client) => client.viewer),
+      })
+      .catch((error) => console.error("Error announcing presence:", error));
+  }
+
+  function receive(tripId, message) {
+    const room = rooms.get(tripId);
+    if (!room) return;
+
+    if (message.type === "change") {
+      const { change } = message;
+      broadcast(
+        room,
+        "change",
+        (client) => (client.member ? change : { ...change, userId: null }),
+        change.revision
+      );
+    } else if (message.type === "access") {
+      room.clients.forEach((client, connectionId) =>
+        recheckAccess(room, connectionId, client)
+      );
+    } else if (message.type === "presence") {
+      if (message.instanceId === instanceId) return;
+      const known = room.instances.has(message.instanceId);
+      if (message.viewers.length === 0) {
+        room.instances.delete(message.instanceId);
+      } else {
+        room.instances.set(message.instanceId, {
+          viewers: message.viewers,
+          seenAt: Date.now(),
+        });
+        // An instance that just started watching the trip hasn't heard about
+        // our viewers yet
+        if (!known && room.clients.size > 0) announce(tripId, room);
+      }
+      refreshPresence(room);
+    }
+  }
+
+  async function recheckAccess(room, connectionId, client) {
+    let access;
+    try {
+      access = await client.checkAccess();
+    } catch (error) {
+      console.error("Error checking live viewer access:", error);
+      return;
+    }
+    if (access) {
+      const joined = access.member && !client.member;
+      client.member = access.member;
+      if (joined) client.send("presence", presenceOf(room));
+      return;
+    }
+    if (!room.clients.has(connectionId)) return;
+    client.disconnect();
+    client.close();
+  }
+
+  const heartbeat = setInterval(() => {
+    rooms.forEach((room, tripId) => {
+      announce(tripId, room);
+      refreshPresence(room);
+    });
+  }, presenceIntervalMs);
+  heartbeat.unref();
+
+  return {
+    instanceId,
+
+    // Start delivering a trip's events to a connection. Resolves to a
+    // function that ends the delivery.
+    async connect(
+      tripId,
+      viewer,
+      send,
+      { member = false, checkAccess = async () => ({ member }), close } = {}
+    ) {
+      let room = rooms.get(tripId);
+      if (!room) {
+        room = {
+          clients: new Map(),
+          instances: new Map(),
+          presence: null,
+          // Resolves to the unsubscribe function
+          subscription: Promise.resolve(
+            pubsub.subscribe(channelFor(tripId), (message) =>
+              receive(tripId, message)
+            )
+          ),
+        };
+        rooms.set(tripId, room);
+      }
+      await room.subscription;
+      // The last viewer may have left while subscribing
+      if (rooms.get(tripId) !== room) {
+        return this.connect(tripId, viewer, send, {
+          member,
+          checkAccess,
+          close,
+        });
+      }
+
+      const connectionId = crypto.randomUUID();
+      const disconnect = () => {
+        if (!room.clients.delete(connectionId)) return;
+        announce(tripId, room);
+        if (room.clients.size > 0) {
+          refreshPresence(room);
+          return;
+        }
+        rooms.delete(tripId);
+        room.subscription
+          .then((unsubscribe) => unsubscribe())
+          .catch((error) =>
+            console.error("Error unsubscribing from live trip:", error)
+          );
+      };
+      room.clients.set(connectionId, {
+        viewer,
+        send,
+        member,
+        checkAccess,
+        close: close || (() => {}),
+        disconnect,
+      });
+      announce(tripId, room);
+      refreshPresence(room);
+
+      return disconnect;
+    },
+
+    // Who is viewing the trip, as known to this instance
+    presence(tripId) {
+      const room = rooms.get(tripId);
+      return room ? presenceOf(room) : { viewers: [], anonymous: 0 };
+    },
+
+    // Send a recorded change to everyone viewing the trip, on any instance
+    async publishChange(change) {
+      return pubsub.publish(channelFor(change.tripId), {
+        type: "change",
+        change: {
+          tripId: change.tripId,
+          revision: change.revision,
+          userId: change.userId ?? null,
+          summary: change.summary,
+          at: new Date(),
+          events: liveEvents(change),
+        },
+      });
+    },
+
+    // Have every viewer's access checked again, on any instance, after the
+    // trip's sharing changed
+    async publishAccessChange(tripId) {
+      return pubsub.publish(channelFor(tripId), { type: "access" });
+    },
+
+    close() {
+      clearInterval(heartbeat);
+      rooms.forEach((room) =>
+        room.subscription.then((unsubscribe) => unsubscribe()).catch(() => {})
+      );
+      rooms.clear();
+    },
+  };
+}
+
+let hub;
+
+// The hub for this server, publishing every recorded trip change
+export function getTripHub() {
+  if (!hub) {
+    hub = createTripHub({ pubsub: getPubSub() });
+    tripEvents.on("change", (change) =>
+      hub
+        .publishChange(change)
+        .catch((error) => console.error("Error publishing trip change:", error))
+    );
+    tripEvents.on("access", ({ tripId }) =>
+      hub
+        .publishAccessChange(tripId)
+        .catch((error) =>
+          console.error("Error publishing trip access change:", error)
+        )
+    );
+  }
+  return hub;
+}
@@ -0,0 +1,66 @@
+import { EventEmitter } from "node:events";
+
+// Pub/sub carries live trip messages between server instances. An adapter has
+// publish(channel, message), subscribe(channel, handler) returning an
+// unsubscribe function, and optionally close(). Every subscriber, the
+// publisher's own instance included, gets each message once.
+
+// Single-node adapter: delivers within this process only
+export function createMemoryPubSub() {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  return {
+    name: "memory",
+
+    async publish(channel, message) {
+      // Round-trip through JSON so handlers see what a networked adapter
+      // would deliver (dates as strings, no shared references), and deliver
+      // later so a failing handler can't break the publisher
+      const payload = JSON.stringify(message);
+      setImmediate(() => emitter.emit(channel, JSON.parse(payload)));
+    },
+
+    subscribe(channel, handler) {
+      emitter.on(channel, handler);
+      return () => emitter.off(channel, handler);
+    },
+
+    close() {
+      emitter.removeAllListeners();
+    },
+  };
+}
+
+const ADAPTERS = {
+  memory: createMemoryPubSub,
+};
+
+let configuredPubSub;
+
+// Make an adapter available as REALTIME_PUBSUB=<name>. `factory` receives
+// the environment, e.g. to read a connection URL.
+export function registerPubSub(name, factory) {
+  ADAPTERS[name] = factory;
+}
+
+// Build the adapter named by REALTIME_PUBSUB, memory by default
+export function createPubSub(env = process.env) {
+  const name = env.REALTIME_PUBSUB || "memory";
+  const factory = ADAPTERS[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown REALTIME_PUBSUB "${name}". Expected one of: ${Object.keys(
+        ADAPTERS
+      ).join(", ")}`
+    );
+  }
+  return factory(env);
+}
+
+export function getPubSub() {
+  if (!configuredPubSub) {
+    configuredPubSub = createPubSub();
+  }
+  return configuredPubSub;
+}
@@ -0,0 +1,170 @@
+import { generateRouteSegments } from "./routing/index.js";
+import { scheduleTrip } from "./scheduler.js";
+import { stopDay } from "./days.js";
+import { currentStop } from "./tracking.js";
+import { addMinutes } from "../utils/time.js";
+import { badRequest } from "../utils/errors.js";
+
+function visitingStops(trip) {
+  return trip.stops
+    .filter((stop) => !stop.isSkipped)
+    .sort((a, b) => a.order - b.order);
+}
+
+// Route segments for the stops that will be visited: those between stops
+// still consecutive are kept, and gaps left by skipped stops are routed anew.
+// Resolves to { routes, added, removed }.
+export async function rerouteAroundSkipped(
+  trip,
+  { defaultMode = "walking" } = {}
+) {
+  const visiting = visitingStops(trip);
+  const existing = new Map(
+    trip.routes.map((route) => [`${route.fromStopId}-${route.toStopId}`, route])
+  );
+
+  const routes = [];
+  const added = [];
+  const stamp = Date.now();
+  for (let i = 0; i < visiting.length - 1; i++) {
+    const from = visiting[i];
+    const to = visiting[i + 1];
+    const kept = existing.get(`${from.id}-${to.id}`);
+    if (kept) {
+      routes.push(kept);
+      continue;
+    }
+
+    const mode =
+      trip.routes.find((route) => route.fromStopId === from.id)
+        ?.transportMode || defaultMode;
+    const [segment] = await generateRouteSegments([from, to], {
+      transportMode: mode,
+    });
+    segment.id = `route_${stamp}_${from.id}_${to.id}`;
+    routes.push(segment);
+    added.push(segment);
+  }
+
+  const keptRoutes = new Set(routes);
+  return {
+    routes,
+    added,
+    removed: trip.routes.filter((route) => !keptRoutes.has(route)),
+  };
+}
+
+// Re-plan the rest of the current day from the stop being visited or the
+// last one visited, using the scheduler. Stops that no longer fit move to
+// the next morning and are reported as overflows_day conflicts.
+export function replanDay(
+  trip,
+  { now = new Date(), startTime, dayStart, dayEnd } = {}
+) {
+  const remaining = trip.stops
+    .filter(
+      (stop) => !stop.isCompleted && !stop.isSkipped && !stop.actualArrival
+    )
+    .sort((a, b) => stopDay(a) - stopDay(b) || a.order - b.order);
+  if (remaining.length === 0) {
+    throw badRequest("No stops left to plan");
+  }
+
+  const day = stopDay(remaining[0]);
+  const todays = remaining.filter((stop) => stopDay(stop) === day);
+
+  const here = currentStop(trip);
+  const origin =
+    here ||
+    trip.stops
+      .filter((stop) => stop.actualArrival)
+      .sort((a, b) => a.actualArrival - b.actualArrival)
+      .pop();
+
+  let setOff = startTime ? new Date(startTime) : now;
+  if (here && !startTime) {
+    // Finish the visit in progress first
+    const done = addMinutes(here.actualArrival, here.estimatedDuration || 0);
+    if (done > setOff) setOff = done;
+  }
+
+  // The scheduler plans from the first stop it's given, so lead with where
+  // the traveller sets off: pinned to setOff, taking no time
+  const toPlan = todays.map((stop) => ({ ...stop.toObject(), day: undefined }));
+  if (origin) {
+    toPlan.unshift({
+      id: origin.id,
+      name: origin.name,
+      lat: origin.lat,
+      lng: origin.lng,
+      order: 0,
+      estimatedDuration: 0,
+      fixedTime: true,
+      plannedArrival: setOff,
+      stopType: "custom",
+    });
+  }
+
+  let schedule;
+  try {
+    schedule = scheduleTrip(
+      {
+        timezone: trip.timezone,
+        routes: trip.routes,
+        stops: toPlan,
+        // Only this day is planned; overflow is reported below instead
+        estimatedDuration: Infinity,
+      },
+      { startTime: setOff, dayStart, dayEnd }
+    );
+  } catch (error) {
+    throw badRequest(error.message);
+  }
+
+  const stops = schedule.stops.filter(
+    (entry) => !origin || entry.stopId !== origin.id
+  );
+  const conflicts = schedule.conflicts.filter(
+    (entry) => !origin || entry.stopId !== origin.id
+  );
+  stops
+    .filter((entry) => entry.day > 1)
+    .forEach((entry) =>
+      conflicts.push({
+        stopId: entry.stopId,
+        name: entry.name,
+        type: "overflows_day",
+        message: `Doesn't fit in the rest of day ${day}`,
+      })
+    );
+
+  return {
+    day,
+    timezone: schedule.timezone,
+    startTime: setOff,
+    from: origin ? { stopId: origin.id, name: origin.name } : null,
+    stops: stops.map((entry) => ({ ...entry, day })),
+    skipped: trip.stops
+      .filter((stop) => stop.isSkipped && stopDay(stop) === day)
+      .map((stop) => ({ stopId: stop.id, name: stop.name })),
+    conflicts,
+  };
+}
+
+// Write a re-plan's times to the trip's stops
+export function applyReplan(trip, plan) {
+  const byStopId = new Map(plan.stops.map((entry) => [entry.stopId, entry]));
+  trip.stops.forEach((stop) => {
+    const entry = byStopId.get(stop.id);
+    if (!entry) return;
+    stop.plannedArrival = entry.plannedArrival;
+    stop.plannedDeparture = entry.plannedDeparture;
+    stop.updatedAt = new Date();
+  });
+
+  // The visit in progress now ends when the new plan sets off
+  const here = currentStop(trip);
+  if (here && plan.from?.stopId === here.id) {
+    here.plannedDeparture = plan.startTime;
+  }
+}
@@ -0,0 +1,72 @@
+import { calculateDistance } from "../../utils/geo.js";
+
+// Average door-to-door speeds in km/h used when no routing engine is available
+export const MODE_SPEEDS = {
+  walking: 5,
+  cycling: 15,
+  motorcycle: 45,
+  car: 50,
+  public_transport: 25,
+  boat: 20,
+  flight: 700,
+};
+
+// Straight lines understate road distance; scale them for ground transport
+const DETOUR_FACTORS = {
+  walking: 1.25,
+  cycling: 1.3,
+  motorcycle: 1.3,
+  car: 1.3,
+  public_transport: 1.4,
+  boat: 1.1,
+  flight: 1,
+};
+
+// Estimate road distance (meters) and travel time (seconds) between two points
+export function estimateTravel(from, to, mode = "walking") {
+  const distance =
+    calculateDistance(from.lat, from.lng, to.lat, to.lng) *
+    1000 *
+    DETOUR_FACTORS[mode];
+  const duration = distance / ((MODE_SPEEDS[mode] * 1000) / 3600);
+  return { distance, duration };
+}
+
+// Built-in provider - straight line geometry with a Haversine-based estimate.
+// Always available, and used whenever a remote engine can't route a segment.
+export function createFallbackProvider() {
+  return {
+    name: "fallback",
+
+    supportsMode() {
+      return true;
+    },
+
+    async route({ from, to, mode }) {
+      const { distance, duration } = estimateTravel(from, to, mode);
+
+      return {
+        coordinates: [
+          [from.lng, from.lat],
+          [to.lng, to.lat],
+        ],
+        distance: Math.round(distance),
+        duration: Math.round(duration),
+        instructions: [
+          {
+            instruction: `Head to ${to.name || "the next stop"}`,
+            distance: Math.round(distance),
+            duration: Math.round(duration),
+            coordinates: [from.lng, from.lat],
+          },
+          {
+            instruction: `Arrive at ${to.name || "your destination"}`,
+            distance: 0,
+            duration: 0,
+            coordinates: [to.lng, to.lat],
+          },
+        ],
+      };
+    },
+  };
+}
@@ -0,0 +1,20 @@
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Small fetch wrapper shared by the HTTP routing adapters
+export async function fetchJson(url, { timeoutMs, ...options } = {}) {
+  const response = await fetch(url, {
+    ...options,
+    signal: AbortSignal.timeout(timeoutMs || DEFAULT_TIMEOUT_MS),
+  });
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    const reason = body?.message || body?.error?.message || body?.error;
+    throw new Error(
+      `Routing request failed with ${response.status}${
+        reason ? `: ${reason}` : ""
+      }`
+    );
+  }
+  return body;
+}
@@ -0,0 +1,131 @@
+import { createFallbackProvider } from "./fallback.js";
+import { createOsrmProvider } from "./osrm.js";
+import { createValhallaProvider } from "./valhalla.js";
+import { createOpenRouteServiceProvider } from "./openrouteservice.js";
+import { getElevationProvider, profileSegment } from "../elevation/index.js";
+
+const PROVIDERS = {
+  osrm: createOsrmProvider,
+  valhalla: createValhallaProvider,
+  openrouteservice: createOpenRouteServiceProvider,
+};
+
+const fallbackProvider = createFallbackProvider();
+let configuredProvider;
+
+// Build the provider named by ROUTING_PROVIDER, e.g.
+//   ROUTING_PROVIDER=osrm ROUTING_URL=http://localhost:5000
+// Without configuration every segment is estimated by the fallback provider.
+export function createRoutingProvider(env = process.env) {
+  const name = env.ROUTING_PROVIDER;
+  if (!name || name === "fallback") return fallbackProvider;
+
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown ROUTING_PROVIDER "${name}". Expected one of: ${Object.keys(
+        PROVIDERS
+      ).join(", ")}, fallback`
+    );
+  }
+  if (!env.ROUTING_URL) {
+    throw new Error(`ROUTING_URL is required for ROUTING_PROVIDER "${name}"`);
+  }
+
+  return factory({
+    baseUrl: env.ROUTING_URL.replace(/\/+$/, ""),
+    apiKey: env.ROUTING_API_KEY,
+    timeoutMs: Number(env.ROUTING_TIMEOUT_MS) || undefined,
+  });
+}
+
+export function getRoutingProvider() {
+  if (!configuredProvider) {
+    configuredProvider = createRoutingProvider();
+  }
+  return configuredProvider;
+}
+
+// Route a single leg, falling back to the built-in estimate when the engine
+// doesn't support the mode or the request fails
+async function routeLeg(provider, leg) {
+  if (provider !== fallbackProvider && provider.supportsMode(leg.mode)) {
+    try {
+      return { ...(await provider.route(leg)), provider: provider.name };
+    } catch (error) {
+      console.warn(
+        `Routing via ${provider.name} failed, using fallback:`,
+        error.message
+      );
+    }
+  }
+  return {
+    ...(await fallbackProvider.route(leg)),
+    provider: fallbackProvider.name,
+  };
+}
+
+// Build route segments between consecutive stops, with elevation profiles
+// when an elevation provider is configured.
+// The transport mode of each segment is, in order of preference:
+//   1. a per-segment override from `segmentModes` (keyed by "fromId-toId")
+//   2. the request-wide `transportMode`
+//   3. the mode of the existing segment between the same two stops
+//   4. `defaultMode`, or walking
+export async function generateRouteSegments(
+  stops,
+  {
+    transportMode,
+    segmentModes = {},
+    existingRoutes = [],
+    defaultMode = "walking",
+    provider,
+    elevationProvider = getElevationProvider(),
+  } = {}
+) {
+  const routingProvider = provider || getRoutingProvider();
+  const ordered = [...stops].sort((a, b) => a.order - b.order);
+  const existingModes = new Map(
+    existingRoutes.map((route) => [
+      `${route.fromStopId}-${route.toStopId}`,
+      route.transportMode,
+    ])
+  );
+
+  const segments = [];
+  for (let i = 0; i < ordered.length - 1; i++) {
+    const fromStop = ordered[i];
+    const toStop = ordered[i + 1];
+    const key = `${fromStop.id}-${toStop.id}`;
+    const mode =
+      segmentModes[key] ||
+      transportMode ||
+      existingModes.get(key) ||
+      defaultMode;
+
+    const result = await routeLeg(routingProvider, {
+      from: fromStop,
+      to: toStop,
+      mode,
+    });
+
+    segments.push({
+      id: `route_${Date.now()}_${i}`,
+      fromStopId: fromStop.id,
+      toStopId: toStop.id,
+      coordinates: result.coordinates,
+      distance: result.distance,
+      estimatedDuration: result.duration,
+      transportMode: mode,
+      instructions: result.instructions,
+      provider: result.provider,
+      elevationProfile: await profileSegment(
+        { coordinates: result.coordinates, transportMode: mode },
+        elevationProvider
+      ),
+      createdAt: new Date(),
+    });
+  }
+
+  return segments;
+}
@@ -0,0 +1,63 @@
+import { fetchJson } from "./http.js";
+
+// OpenRouteService profile for each transport mode
+const PROFILES = {
+  walking: "foot-walking",
+  cycling: "cycling-regular",
+  motorcycle: "driving-car",
+  car: "driving-car",
+};
+
+// Adapter for the OpenRouteService directions API
+// (POST /v2/directions/{profile}/geojson)
+export function createOpenRouteServiceProvider({ baseUrl, apiKey, timeoutMs }) {
+  return {
+    name: "openrouteservice",
+
+    supportsMode(mode) {
+      return mode in PROFILES;
+    },
+
+    async route({ from, to, mode }) {
+      const headers = { "Content-Type": "application/json" };
+      if (apiKey) headers.Authorization = apiKey;
+
+      const body = await fetchJson(
+        `${baseUrl}/v2/directions/${PROFILES[mode]}/geojson`,
+        {
+          method: "POST",
+          headers,
+          body: JSON.stringify({
+            coordinates: [
+              [from.lng, from.lat],
+              [to.lng, to.lat],
+            ],
+            instructions: true,
+          }),
+          timeoutMs,
+        }
+      );
+
+      const feature = body.features?.[0];
+      if (!feature) {
+        throw new Error("OpenRouteService could not route segment");
+      }
+
+      const coordinates = feature.geometry.coordinates;
+      const { summary = {}, segments = [] } = feature.properties;
+      const steps = segments.flatMap((segment) => segment.steps || []);
+
+      return {
+        coordinates,
+        distance: Math.round(summary.distance || 0),
+        duration: Math.round(summary.duration || 0),
+        instructions: steps.map((step) => ({
+          instruction: step.instruction,
+          distance: Math.round(step.distance),
+          duration: Math.round(step.duration),
+          coordinates: coordinates[step.way_points[0]],
+        })),
+      };
+    },
+  };
+}
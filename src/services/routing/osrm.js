@@ -0,0 +1,69 @@
+import { fetchJson } from "./http.js";
+
+// OSRM profile for each transport mode. Modes without a profile are routed
+// by the fallback provider.
+const PROFILES = {
+  walking: "foot",
+  cycling: "bike",
+  motorcycle: "driving",
+  car: "driving",
+};
+
+// OSRM returns maneuvers, not text - build a readable instruction
+function describeStep(step) {
+  const { type, modifier } = step.maneuver;
+  const road = step.name ? ` onto ${step.name}` : "";
+
+  switch (type) {
+    case "depart":
+      return `Head ${modifier || "out"}${step.name ? ` on ${step.name}` : ""}`;
+    case "arrive":
+      return "Arrive at destination";
+    case "roundabout":
+    case "rotary":
+      return `Take the roundabout${road}`;
+    case "continue":
+    case "new name":
+      return `Continue${road}`;
+    default:
+      return `${modifier ? `Turn ${modifier}` : "Continue"}${road}`;
+  }
+}
+
+// Adapter for the OSRM HTTP API (/route/v1/{profile}/{coordinates})
+export function createOsrmProvider({ baseUrl, timeoutMs }) {
+  return {
+    name: "osrm",
+
+    supportsMode(mode) {
+      return mode in PROFILES;
+    },
+
+    async route({ from, to, mode }) {
+      const coordinates = `${from.lng},${from.lat};${to.lng},${to.lat}`;
+      const url =
+        `${baseUrl}/route/v1/${PROFILES[mode]}/${coordinates}` +
+        "?overview=full&geometries=geojson&steps=true";
+
+      const body = await fetchJson(url, { timeoutMs });
+      if (body.code !== "Ok" || !body.routes?.length) {
+        throw new Error(`OSRM could not route segment: ${body.code}`);
+      }
+
+      const route = body.routes[0];
+      const steps = route.legs.flatMap((leg) => leg.steps || []);
+
+      return {
+        coordinates: route.geometry.coordinates,
+        distance: Math.round(route.distance),
+        duration: Math.round(route.duration),
+        instructions: steps.map((step) => ({
+          instruction: step.maneuver.instruction || describeStep(step),
+          distance: Math.round(step.distance),
+          duration: Math.round(step.duration),
+          coordinates: step.maneuver.location,
+        })),
+      };
+    },
+  };
+}
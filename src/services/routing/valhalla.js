@@ -0,0 +1,61 @@
+import { decodePolyline } from "../../utils/geo.js";
+import { fetchJson } from "./http.js";
+
+// Valhalla costing model for each transport mode
+const COSTINGS = {
+  walking: "pedestrian",
+  cycling: "bicycle",
+  motorcycle: "motorcycle",
+  car: "auto",
+  public_transport: "multimodal",
+};
+
+// Adapter for the Valhalla HTTP API (POST /route)
+export function createValhallaProvider({ baseUrl, timeoutMs }) {
+  return {
+    name: "valhalla",
+
+    supportsMode(mode) {
+      return mode in COSTINGS;
+    },
+
+    async route({ from, to, mode }) {
+      const body = await fetchJson(`${baseUrl}/route`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          locations: [
+            { lat: from.lat, lon: from.lng },
+            { lat: to.lat, lon: to.lng },
+          ],
+          costing: COSTINGS[mode],
+          directions_options: { units: "kilometers" },
+        }),
+        timeoutMs,
+      });
+
+      const trip = body.trip;
+      if (!trip?.legs?.length) {
+        throw new Error("Valhalla could not route segment");
+      }
+
+      // Valhalla encodes shapes with 6 digits of precision
+      const coordinates = trip.legs.flatMap((leg) =>
+        decodePolyline(leg.shape, 6)
+      );
+      const maneuvers = trip.legs.flatMap((leg) => leg.maneuvers || []);
+
+      return {
+        coordinates,
+        distance: Math.round(trip.summary.length * 1000),
+        duration: Math.round(trip.summary.time),
+        instructions: maneuvers.map((maneuver) => ({
+          instruction: maneuver.instruction,
+          distance: Math.round(maneuver.length * 1000),
+          duration: Math.round(maneuver.time),
+          coordinates: coordinates[maneuver.begin_shape_index],
+        })),
+      };
+    },
+  };
+}
@@ -0,0 +1,211 @@
+import { estimateTravel } from "./routing/fallback.js";
+import { stopDay } from "./days.js";
+import {
+  parseClockTime,
+  zonedParts,
+  atLocalTime,
+  localDayNumber,
+  addMinutes,
+  minutesBetween,
+} from "../utils/time.js";
+
+function localDateString(date, timeZone) {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return [year, month, day].map((n) => String(n).padStart(2, "0")).join("-");
+}
+
+// Travel time in minutes between consecutive stops, preferring the stored
+// route segment and estimating when there isn't one
+function travelMinutes(routes, from, to) {
+  const segment = routes.find(
+    (route) => route.fromStopId === from.id && route.toStopId === to.id
+  );
+  if (segment) return Math.ceil(segment.estimatedDuration / 60);
+
+  const mode = routes[0]?.transportMode || "walking";
+  return Math.ceil(estimateTravel(from, to, mode).duration / 60);
+}
+
+// Walk the stops in order and compute a consistent timeline from `startTime`,
+// within dayStart and dayEnd ("HH:mm", default 09:00-21:00). Opening hours,
+// fixed times, accommodation and assigned days are honoured; anything that
+// can't be is reported in `conflicts` rather than silently adjusted.
+export function scheduleTrip(trip, options = {}) {
+  const timeZone = trip.timezone || "UTC";
+  const dayStart = parseClockTime(options.dayStart || "09:00");
+  const dayEnd = parseClockTime(options.dayEnd || "21:00");
+  if (dayStart === null || dayEnd === null || dayEnd <= dayStart) {
+    throw new Error("dayStart and dayEnd must be HH:mm with dayStart first");
+  }
+
+  let start;
+  if (options.startTime) {
+    start = new Date(options.startTime);
+  } else if (trip.startDate) {
+    start = atLocalTime(trip.startDate, dayStart, timeZone);
+  }
+  if (!start || isNaN(start.getTime())) {
+    throw new Error(
+      "A valid startTime is required when the trip has no startDate"
+    );
+  }
+
+  const tripDays =
+    trip.startDate && trip.endDate
+      ? localDayNumber(trip.endDate, timeZone) -
+        localDayNumber(trip.startDate, timeZone) +
+        1
+      : trip.estimatedDuration;
+  const firstDay = localDayNumber(start, timeZone);
+
+  const stops = [...trip.stops]
+    .filter((stop) => !stop.isSkipped)
+    .sort((a, b) => stopDay(a) - stopDay(b) || a.order - b.order);
+
+  const schedule = [];
+  const conflicts = [];
+  const conflict = (stop, type, message) =>
+    conflicts.push({ stopId: stop.id, name: stop.name, type, message });
+
+  let cursor = start;
+  stops.forEach((stop, index) => {
+    const previous = stops[index - 1];
+    const travel = previous ? travelMinutes(trip.routes, previous, stop) : 0;
+    const duration = stop.estimatedDuration || 0;
+    let arrival = addMinutes(cursor, travel);
+    let waitMinutes = 0;
+
+    if (stop.fixedTime && stop.plannedArrival) {
+      // Booked times don't move; the rest of the schedule flows around them
+      const fixed = new Date(stop.plannedArrival);
+      if (arrival > fixed) {
+        conflict(
+          stop,
+          "overlap",
+          `Previous stop runs ${minutesBetween(
+            fixed,
+            arrival
+          )} minutes into this fixed-time stop`
+        );
+      } else {
+        waitMinutes = minutesBetween(arrival, fixed);
+      }
+      arrival = fixed;
+    } else {
+      const local = zonedParts(arrival, timeZone);
+      if (local.minutes < dayStart) {
+        // Too early - wait for the day to start
+        const morning = atLocalTime(arrival, dayStart, timeZone);
+        waitMinutes += minutesBetween(arrival, morning);
+        arrival = morning;
+      } else if (
+        local.minutes + duration > dayEnd &&
+        stop.stopType !== "accommodation"
+      ) {
+        // Doesn't fit in today - continue tomorrow morning
+        arrival = atLocalTime(arrival, dayStart, timeZone, 1);
+      }
+
+      // Stops assigned to a later day wait for that day's morning
+      if (stop.day) {
+        const currentDay = localDayNumber(arrival, timeZone) - firstDay + 1;
+        if (stop.day > currentDay) {
+          arrival = atLocalTime(
+            arrival,
+            dayStart,
+            timeZone,
+            stop.day - currentDay
+          );
+        }
+      }
+
+      const hours = stop.openingHours;
+      const opens = parseClockTime(hours?.opens);
+      const closes = parseClockTime(hours?.closes);
+      if (opens !== null && closes !== null) {
+        const { minutes } = zonedParts(arrival, timeZone);
+        if (minutes < opens) {
+          const openTime = atLocalTime(arrival, opens, timeZone);
+          waitMinutes += minutesBetween(arrival, openTime);
+          arrival = openTime;
+        }
+      }
+    }
+
+    const local = zonedParts(arrival, timeZone);
+    const hours = stop.openingHours;
+    if (hours?.closedDays?.includes(local.weekday)) {
+      conflict(stop, "closed", "Stop is closed on the scheduled day");
+    }
+    const closes = parseClockTime(hours?.closes);
+    if (closes !== null) {
+      if (local.minutes >= closes) {
+        conflict(
+          stop,
+          "after_closing",
+          `Arrives after closing time (${hours.closes})`
+        );
+      } else if (local.minutes + duration > closes) {
+        conflict(
+          stop,
+          "closes_during_visit",
+          `Closes at ${hours.closes}, ${
+            local.minutes + duration - closes
+          } minutes before the visit ends`
+        );
+      }
+    }
+
+    let departure = addMinutes(arrival, duration);
+    if (stop.stopType === "accommodation" && index < stops.length - 1) {
+      // Stay the night and pick up again the next morning
+      departure = atLocalTime(arrival, dayStart, timeZone, 1);
+    }
+
+    const day = localDayNumber(arrival, timeZone) - firstDay + 1;
+    if (day > tripDays) {
+      conflict(
+        stop,
+        "exceeds_trip_duration",
+        `Scheduled on day ${day} of a ${tripDays}-day trip`
+      );
+    }
+
+    schedule.push({
+      stopId: stop.id,
+      name: stop.name,
+      day,
+      plannedArrival: arrival,
+      plannedDeparture: departure,
+      travelMinutes: travel,
+      waitMinutes,
+    });
+    cursor = departure;
+  });
+
+  const days = [];
+  schedule.forEach((entry) => {
+    let plan = days.find((d) => d.day === entry.day);
+    if (!plan) {
+      plan = {
+        day: entry.day,
+        date: localDateString(entry.plannedArrival, timeZone),
+        stopIds: [],
+        start: entry.plannedArrival,
+        end: entry.plannedDeparture,
+      };
+      days.push(plan);
+    }
+    plan.stopIds.push(entry.stopId);
+    plan.end = entry.plannedDeparture;
+  });
+
+  return {
+    timezone: timeZone,
+    startTime: start,
+    tripDays,
+    stops: schedule,
+    days,
+    conflicts,
+  };
+}
@@ -0,0 +1,307 @@
+import mongoose from "mongoose";
+import { TripData } from "../models/TripData.js";
+import { Stop } from "../models/Stop.js";
+import { RouteSegment } from "../models/RouteSegment.js";
+import { parseLatLng, parseBbox, kmToRadians } from "../utils/geo.js";
+import { highlight, searchTerms } from "../utils/text.js";
+import { ApiError } from "../utils/errors.js";
+
+const MAX_LIMIT = 50;
+
+// Fields returned for each result - never stops or geometry
+const RESULT_FIELDS = [
+  "name",
+  "estimatedDuration",
+  "createdAt",
+  "category",
+  "tags",
+  "stats",
+  "bbox",
+  "isPublic",
+  "rating",
+  "reviewCount",
+];
+
+// Sort modes: the value each result is ordered by, and in which direction
+const SORTS = {
+  relevance: { value: "$score", direction: -1 },
+  distance: { value: "$distance", direction: 1 },
+  rating: { value: { $ifNull: ["$ratingScore", -1] }, direction: -1 },
+};
+
+// Thrown for bad search parameters; answered with a 400
+export class SearchError extends ApiError {
+  constructor(message) {
+    super(400, "BAD_REQUEST", message);
+  }
+}
+
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify({ v: value, id: String(id) })).toString(
+    "base64url"
+  );
+}
+
+function decodeCursor(cursor) {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(cursor, "base64url").toString());
+  } catch (error) {
+    throw new SearchError("Invalid cursor");
+  }
+  if (typeof parsed?.v !== "number" || !mongoose.isValidObjectId(parsed.id)) {
+    throw new SearchError("Invalid cursor");
+  }
+  return { value: parsed.v, id: new mongoose.Types.ObjectId(parsed.id) };
+}
+
+// Stops and routes are stored apart from their trips, so geo filters are
+// resolved to the ids of the trips with a match
+const toTripIds = (ids) => ids.map((id) => new mongoose.Types.ObjectId(id));
+
+// Trips with a stop within `radiusKm` of `point`
+export async function tripIdsNear(point, radiusKm) {
+  return toTripIds(
+    await Stop.distinct("tripId", {
+      location: {
+        $geoWithin: {
+          $centerSphere: [[point.lng, point.lat], kmToRadians(radiusKm)],
+        },
+      },
+    })
+  );
+}
+
+// Trips with a stop inside `polygon` or a route crossing it
+async function tripIdsWithin(polygon) {
+  const [stopTrips, routeTrips] = await Promise.all([
+    Stop.distinct("tripId", {
+      location: { $geoWithin: { $geometry: polygon } },
+    }),
+    RouteSegment.distinct("tripId", {
+      geometry: { $geoIntersects: { $geometry: polygon } },
+    }),
+  ]);
+  return toTripIds([...new Set([...stopTrips, ...routeTrips])]);
+}
+
+// Matched snippets from the searchable fields of a result
+function buildHighlights(trip, terms) {
+  const highlights = [];
+  const add = (field, text) => {
+    const snippet = highlight(text, terms);
+    if (snippet) highlights.push({ field, snippet });
+  };
+
+  add("name", trip.name);
+  add("description", trip.description);
+  (trip.tags || []).forEach((tag, i) => add(`tags[${i}]`, tag));
+  (trip.stops || []).forEach((stop, i) => {
+    add(`stops[${i}].name`, stop.name);
+    add(`stops[${i}].address`, stop.address);
+    add(`stops[${i}].notes`, stop.notes);
+  });
+  return highlights;
+}
+
+// Search public trips, ranked by text relevance with `query`. `location` and
+// `radius` sort by distance, or with a query filter to trips with a stop
+// nearby as MongoDB can't combine the two. Paginated with an opaque cursor.
+export async function searchTrips(params) {
+  const {
+    query,
+    category,
+    tags,
+    difficulty,
+    location,
+    radius = 50,
+    bbox,
+    cursor,
+  } = params;
+  const limit = Math.min(Math.max(parseInt(params.limit) || 10, 1), MAX_LIMIT);
+
+  // Aggregations bypass the trash filter on find, so exclude trashed trips here
+  const match = { isPublic: true, deletedAt: null };
+  if (category) match.category = category;
+  if (difficulty) match["stats.difficultyLevel"] = difficulty;
+  if (tags) {
+    match.tags = { $in: Array.isArray(tags) ? tags : tags.split(",") };
+  }
+
+  if (bbox) {
+    const polygon = parseBbox(bbox);
+    if (!polygon) {
+      throw new SearchError("bbox must be minLng,minLat,maxLng,maxLat");
+    }
+    match.$and = [{ _id: { $in: await tripIdsWithin(polygon) } }];
+  }
+
+  let point = null;
+  const radiusKm = Number(radius);
+  if (location) {
+    point = parseLatLng(location);
+    if (!point || !(radiusKm > 0)) {
+      throw new SearchError(
+        "location must be lat,lng and radius a positive number of km"
+      );
+    }
+  }
+
+  const sort =
+    params.sort || (query ? "relevance" : point ? "distance" : "rating");
+  if (!SORTS[sort]) {
+    throw new SearchError(
+      `sort must be one of: ${Object.keys(SORTS).join(", ")}`
+    );
+  }
+  if (sort === "relevance" && !query) {
+    throw new SearchError("sort=relevance requires a query");
+  }
+  if (sort === "distance" && (!point || query)) {
+    throw new SearchError(
+      "sort=distance requires a location and can't be combined with a query"
+    );
+  }
+
+  const pipeline = [];
+  if (sort === "distance") {
+    // Nearest stops first, then each trip at the distance of its nearest
+    pipeline.push(
+      {
+        $geoNear: {
+          near: { type: "Point", coordinates: [point.lng, point.lat] },
+          key: "location",
+          distanceField: "distance",
+          maxDistance: radiusKm * 1000,
+          spherical: true,
+        },
+      },
+      { $group: { _id: "$tripId", distance: { $min: "$distance" } } },
+      {
+        $lookup: {
+          from: TripData.collection.name,
+          let: { tripId: { $toObjectId: "$_id" } },
+          pipeline: [
+            { $match: { $expr: { $eq: ["$_id", "$$tripId"] } } },
+            { $match: match },
+          ],
+          as: "trip",
+        },
+      },
+      { $unwind: "$trip" },
+      {
+        $replaceRoot: {
+          newRoot: { $mergeObjects: ["$trip", { distance: "$distance" }] },
+        },
+      }
+    );
+  } else {
+    if (query) match.$text = { $search: query };
+    if (point) {
+      match.$and = [
+        ...(match.$and || []),
+        { _id: { $in: await tripIdsNear(point, radiusKm) } },
+      ];
+    }
+    pipeline.push({ $match: match });
+    if (query) {
+      pipeline.push({ $addFields: { score: { $meta: "textScore" } } });
+    }
+  }
+
+  const { value, direction } = SORTS[sort];
+  pipeline.push({ $addFields: { _sortValue: value } });
+
+  const page = [];
+  if (cursor) {
+    const after = decodeCursor(cursor);
+    const beyond = direction === -1 ? "$lt" : "$gt";
+    page.push({
+      $match: {
+        $or: [
+          { _sortValue: { [beyond]: after.value } },
+          { _sortValue: after.value, _id: { [beyond]: after.id } },
+        ],
+      },
+    });
+  }
+  page.push(
+    { $sort: { _sortValue: direction, _id: direction } },
+    { $limit: limit + 1 },
+    {
+      $project: {
+        ...Object.fromEntries(RESULT_FIELDS.map((field) => [field, 1])),
+        _sortValue: 1,
+        score: 1,
+        distance: 1,
+        // Only needed to build highlights, stripped before responding
+        description: 1,
+      },
+    }
+  );
+
+  const countBy = (field) => [
+    { $group: { _id: field, count: { $sum: 1 } } },
+    { $match: { _id: { $ne: null } } },
+    { $sort: { count: -1, _id: 1 } },
+  ];
+
+  pipeline.push({
+    $facet: {
+      results: page,
+      total: [{ $count: "count" }],
+      categories: countBy("$category"),
+      tags: [{ $unwind: "$tags" }, ...countBy("$tags"), { $limit: 25 }],
+      difficulty: countBy("$stats.difficultyLevel"),
+    },
+  });
+
+  const [facetResult] = await (sort === "distance" ? Stop : TripData).aggregate(
+    pipeline
+  );
+  const hasMore = facetResult.results.length > limit;
+  const rows = facetResult.results.slice(0, limit);
+  const terms = searchTerms(query);
+  const last = rows[rows.length - 1];
+
+  // Stop text for highlights, for this page only
+  const stopsByTrip = new Map();
+  if (query && rows.length > 0) {
+    const stops = await Stop.find({
+      tripId: { $in: rows.map((row) => String(row._id)) },
+    })
+      .sort({ order: 1 })
+      .select("tripId name address notes")
+      .lean();
+    stops.forEach((stop) => {
+      if (!stopsByTrip.has(stop.tripId)) stopsByTrip.set(stop.tripId, []);
+      stopsByTrip.get(stop.tripId).push(stop);
+    });
+  }
+
+  const facetCounts = (buckets) =>
+    buckets.map((bucket) => ({ value: bucket._id, count: bucket.count }));
+
+  return {
+    results: rows.map(({ _sortValue, description, ...trip }) => ({
+      ...trip,
+      ...(query && {
+        highlights: buildHighlights(
+          {
+            ...trip,
+            description,
+            stops: stopsByTrip.get(String(trip._id)),
+          },
+          terms
+        ),
+      }),
+    })),
+    total: facetResult.total[0]?.count || 0,
+    facets: {
+      category: facetCounts(facetResult.categories),
+      tags: facetCounts(facetResult.tags),
+      difficultyLevel: facetCounts(facetResult.difficulty),
+    },
+    nextCursor: hasMore ? encodeCursor(last._sortValue, last._id) : null,
+  };
+}
@@ -0,0 +1,52 @@
+// What a share link shows of a trip. Anything not listed here - the owner,
+// collaborators, budget, tracking, trash state - stays private.
+const SHARED_TRIP_FIELDS = [
+  "_id",
+  "name",
+  "description",
+  "startDate",
+  "endDate",
+  "timezone",
+  "estimatedDuration",
+  "category",
+  "tags",
+  "currency",
+  "stats",
+  "bbox",
+  "stops",
+  "routes",
+  "dayPlans",
+  "progress",
+  "rating",
+  "reviewCount",
+  "createdAt",
+  "updatedAt",
+];
+
+// Notes are the travellers' own, for stops and days alike
+const withoutNotes = ({ notes, ...rest }) => rest;
+
+// What share links serve: the public fields of the trip, without notes
+export function sharedTripView(trip) {
+  const json = trip.toJSON();
+  const view = Object.fromEntries(
+    SHARED_TRIP_FIELDS.filter((field) => json[field] !== undefined).map(
+      (field) => [field, json[field]]
+    )
+  );
+  view.stops = (view.stops || []).map(withoutNotes);
+  view.dayPlans = (view.dayPlans || []).map(withoutNotes);
+  return view;
+}
+
+// Who a trip is shared with is only shown to its members, even on public
+// trips
+const MEMBER_ONLY_FIELDS = ["collaborators", "sharedWith"];
+
+// A trip as seen by someone who can read it without being a member
+export function publicTripView(trip) {
+  const view = trip.toJSON();
+  MEMBER_ONLY_FIELDS.forEach((field) => delete view[field]);
+  if (view.tracking) delete view.tracking.startedBy;
+  return view;
+}
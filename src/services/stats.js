@@ -0,0 +1,96 @@
+import { isDeepStrictEqual } from "node:util";
+import { TripData } from "../models/TripData.js";
+import { Stop } from "../models/Stop.js";
+import { RouteSegment } from "../models/RouteSegment.js";
+import { computeTripStats } from "../utils/tripStats.js";
+
+const DEFAULT_BATCH_SIZE = 200;
+
+// All the stats need of a segment - never its geometry
+const ROUTE_STATS_FIELDS =
+  "tripId toStopId distance estimatedDuration transportMode ascent descent maxGrade";
+
+const groupByTrip = (items) => {
+  const groups = new Map();
+  items.forEach((item) => {
+    if (!groups.has(item.tripId)) groups.set(item.tripId, []);
+    groups.get(item.tripId).push(item);
+  });
+  return groups;
+};
+
+// Plain JSON, so stored and computed stats compare by value
+const normalize = (value) => JSON.parse(JSON.stringify(value ?? null));
+
+// Recompute the stats of every trip, trashed ones included, from its stops
+// and routes, and write those that were wrong. The trip's version is left
+// alone: stats are derived, and no one's edit is being made. With `dryRun`
+// nothing is written. Resolves to { checked, updated }.
+export async function rebuildTripStats({
+  batchSize = DEFAULT_BATCH_SIZE,
+  dryRun = false,
+  log = () => {},
+} = {}) {
+  let lastId;
+  let checked = 0;
+  let updated = 0;
+
+  for (;;) {
+    // An aggregation, so trashed trips aren't filtered out
+    const trips = await TripData.aggregate([
+      { $match: lastId ? { _id: { $gt: lastId } } : {} },
+      { $sort: { _id: 1 } },
+      { $limit: batchSize },
+      { $project: { stats: 1 } },
+    ]);
+    if (trips.length === 0) break;
+    lastId = trips[trips.length - 1]._id;
+    checked += trips.length;
+
+    const tripIds = trips.map((trip) => String(trip._id));
+    const [stops, routes] = await Promise.all([
+      Stop.find({ tripId: { $in: tripIds } })
+        .sort({ order: 1 })
+        .lean(),
+      RouteSegment.find({ tripId: { $in: tripIds } })
+        .sort({ position: 1 })
+        .select(ROUTE_STATS_FIELDS)
+        .lean(),
+    ]);
+    const stopsByTrip = groupByTrip(stops);
+    const routesByTrip = groupByTrip(routes);
+
+    const writes = [];
+    trips.forEach((trip) => {
+      const id = String(trip._id);
+      const stats = computeTripStats(
+        stopsByTrip.get(id) || [],
+        routesByTrip.get(id) || []
+      );
+      const stale = Object.keys(stats).filter(
+        (key) =>
+          !isDeepStrictEqual(
+            normalize(stats[key]),
+            normalize(trip.stats?.[key])
+          )
+      );
+      if (stale.length === 0) return;
+      writes.push({
+        updateOne: {
+          filter: { _id: trip._id },
+          update: {
+            $set: Object.fromEntries(
+              stale.map((key) => [`stats.${key}`, stats[key]])
+            ),
+          },
+        },
+      });
+    });
+
+    updated += writes.length;
+    if (writes.length > 0 && !dryRun) await TripData.bulkWrite(writes);
+    log(`  ${checked} trips checked, ${updated} with wrong stats`);
+  }
+
+  return { checked, updated };
+}
@@ -0,0 +1,52 @@
+import { createLocalStorage } from "./local.js";
+import { createS3Storage } from "./s3.js";
+
+let configuredStorage;
+
+// The media store named by STORAGE_DRIVER: local (MEDIA_DIR) or s3
+// (S3_BUCKET at S3_ENDPOINT). Stores have put(key, buffer, { contentType }),
+// get(key) and delete(key).
+export function createStorage(env = process.env) {
+  const driver = env.STORAGE_DRIVER || "local";
+  const publicUrl = env.MEDIA_PUBLIC_URL?.replace(/\/+$/, "");
+
+  if (driver === "local") {
+    return createLocalStorage({ root: env.MEDIA_DIR || "uploads", publicUrl });
+  }
+  if (driver === "s3") {
+    const missing = [
+      "S3_ENDPOINT",
+      "S3_BUCKET",
+      "S3_ACCESS_KEY_ID",
+      "S3_SECRET_ACCESS_KEY",
+    ].filter((name) => !env[name]);
+    if (missing.length) {
+      throw new Error(`${missing.join(", ")} required for STORAGE_DRIVER "s3"`);
+    }
+    return createS3Storage({
+      endpoint: env.S3_ENDPOINT,
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION || undefined,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      publicUrl,
+    });
+  }
+  throw new Error(
+    `Unknown STORAGE_DRIVER "${driver}". Expected one of: local, s3`
+  );
+}
+
+export function getStorage() {
+  if (!configuredStorage) {
+    configuredStorage = createStorage();
+  }
+  return configuredStorage;
+}
+
+// Where clients fetch the object stored under `key`
+export function mediaUrl(key, storage = getStorage()) {
+  return storage.publicUrl
+    ? `${storage.publicUrl}/${key}`
+    : `/api/media/${key}`;
+}
@@ -0,0 +1,63 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+
+// Files are served with the type their extension implies
+const CONTENT_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+};
+
+function contentTypeFor(key) {
+  return (
+    CONTENT_TYPES[path.extname(key).toLowerCase()] || "application/octet-stream"
+  );
+}
+
+// Files under `root`, keyed by relative path; keys escaping it are refused
+export function createLocalStorage({ root, publicUrl }) {
+  const base = path.resolve(root);
+
+  // Path of the file for `key`, or null if the key points outside the root
+  function fileFor(key) {
+    const file = path.resolve(base, key);
+    return file.startsWith(base + path.sep) ? file : null;
+  }
+
+  function writableFile(key) {
+    const file = fileFor(key);
+    if (!file) throw new Error(`Invalid storage key "${key}"`);
+    return file;
+  }
+
+  return {
+    name: "local",
+    publicUrl,
+
+    async put(key, body) {
+      const file = writableFile(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, body);
+    },
+
+    // Resolves to { body, contentType }, or null if there's no such file
+    async get(key) {
+      const file = fileFor(key);
+      if (!file) return null;
+      try {
+        return {
+          body: await fs.readFile(file),
+          contentType: contentTypeFor(key),
+        };
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      await fs.rm(writableFile(key), { force: true });
+    },
+  };
+}
@@ -0,0 +1,159 @@
+import crypto from "node:crypto";
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) =>
+  crypto.createHmac("sha256", key).update(data).digest();
+
+// S3 wants every byte outside A-Z a-z 0-9 - _ . ~ percent-encoded, slashes
+// between key segments aside
+function encodeKey(key) {
+  return key
+    .split("/")
+    .map((segment) =>
+      encodeURIComponent(segment).replace(
+        /[!'()*]/g,
+        (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`
+      )
+    )
+    .join("/");
+}
+
+// Sign a request with AWS Signature Version 4, returning `headers` (which
+// must include host) with the date, payload hash and Authorization added
+export function signRequest({
+  method,
+  path,
+  headers,
+  body = "",
+  region,
+  accessKeyId,
+  secretAccessKey,
+  now = new Date(),
+}) {
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, "");
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = sha256(body);
+
+  const signed = {
+    ...Object.fromEntries(
+      Object.entries(headers).map(([name, value]) => [
+        name.toLowerCase(),
+        String(value).trim(),
+      ])
+    ),
+    "x-amz-content-sha256": payloadHash,
+    "x-amz-date": amzDate,
+  };
+  const names = Object.keys(signed).sort();
+  const signedHeaders = names.join(";");
+
+  const canonicalRequest = [
+    method,
+    path,
+    "",
+    ...names.map((name) => `${name}:${signed[name]}`),
+    "",
+    signedHeaders,
+    payloadHash,
+  ].join("\n");
+
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = [
+    "AWS4-HMAC-SHA256",
+    amzDate,
+    scope,
+    sha256(canonicalRequest),
+  ].join("\n");
+
+  const signingKey = ["s3", "aws4_request"].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region)
+  );
+  const signature = crypto
+    .createHmac("sha256", signingKey)
+    .update(stringToSign)
+    .digest("hex");
+
+  return {
+    ...signed,
+    authorization:
+      `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, ` +
+      `SignedHeaders=${signedHeaders}, Signature=${signature}`,
+  };
+}
+
+// Objects in an S3-compatible bucket, addressed <endpoint>/<bucket>/<key>
+export function createS3Storage({
+  endpoint,
+  bucket,
+  region = "us-east-1",
+  accessKeyId,
+  secretAccessKey,
+  publicUrl,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+}) {
+  const origin = new URL(endpoint);
+
+  async function send(method, key, { body, contentType } = {}) {
+    const path = `${origin.pathname.replace(/\/+$/, "")}/${bucket}/${encodeKey(
+      key
+    )}`;
+    const headers = signRequest({
+      method,
+      path,
+      headers: {
+        host: origin.host,
+        ...(contentType && { "content-type": contentType }),
+      },
+      body,
+      region,
+      accessKeyId,
+      secretAccessKey,
+    });
+    // fetch sets Host itself
+    delete headers.host;
+
+    const response = await fetch(new URL(path, origin), {
+      method,
+      headers,
+      body,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!response.ok && !(method !== "PUT" && response.status === 404)) {
+      const reason = (await response.text().catch(() => "")).match(
+        /<Code>([^<]+)<\/Code>/
+      )?.[1];
+      throw new Error(
+        `Storage ${method} ${key} failed with ${response.status}${
+          reason ? `: ${reason}` : ""
+        }`
+      );
+    }
+    return response;
+  }
+
+  return {
+    name: "s3",
+    publicUrl,
+
+    async put(key, body, { contentType } = {}) {
+      await send("PUT", key, { body, contentType });
+    },
+
+    // Resolves to { body, contentType }, or null if there's no such object
+    async get(key) {
+      const response = await send("GET", key);
+      if (response.status === 404) return null;
+      return {
+        body: Buffer.from(await response.arrayBuffer()),
+        contentType: response.headers.get("content-type"),
+      };
+    },
+
+    async delete(key) {
+      await send("DELETE", key);
+    },
+  };
+}
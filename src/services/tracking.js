@@ -0,0 +1,177 @@
+import { calculateDistance } from "../utils/geo.js";
+import { estimateTravel } from "./routing/fallback.js";
+
+// Fixes less accurate than this (meters) are recorded but never trigger an
+// arrival or departure
+const MAX_ACCURACY = 100;
+
+// Leaving takes moving this many geofence radii away, so GPS jitter at the
+// edge doesn't flap between arrived and departed
+const EXIT_FACTOR = 1.5;
+
+// Shorter visits are treated as passing by rather than visiting the stop
+const MIN_DWELL_MS = 2 * 60 * 1000;
+
+// Below this speed (m/s) a ping's own speed isn't trusted for ETAs
+const MIN_MOVING_SPEED = 1;
+
+function distanceMeters(point, stop) {
+  return calculateDistance(point.lat, point.lng, stop.lat, stop.lng) * 1000;
+}
+
+function minutesLate(planned, actual) {
+  if (!planned || !actual) return null;
+  return Math.round((actual.getTime() - planned.getTime()) / 60000);
+}
+
+// The stop the traveller has arrived at and not yet left
+export function currentStop(trip) {
+  return trip.stops.find(
+    (stop) => stop.actualArrival && !stop.actualDeparture && !stop.isSkipped
+  );
+}
+
+// The next stop still to be visited
+export function upcomingStop(trip) {
+  return trip.stops.find(
+    (stop) => !stop.actualArrival && !stop.isCompleted && !stop.isSkipped
+  );
+}
+
+// Geofence pings, oldest first, against the stops, recording arrivals and
+// departures on the trip without saving it. Returns the arrived/departed
+// events.
+export function applyPings(trip, pings) {
+  const radius = trip.tracking?.geofenceRadius || 100;
+  const events = [];
+  const event = (type, stop, at, delayMinutes) =>
+    events.push({ type, stopId: stop.id, name: stop.name, at, delayMinutes });
+
+  pings
+    .filter(
+      (ping) => ping.accuracy === undefined || ping.accuracy <= MAX_ACCURACY
+    )
+    .forEach((ping) => {
+      const at = ping.recordedAt;
+
+      const here = currentStop(trip);
+      if (here && distanceMeters(ping, here) > radius * EXIT_FACTOR) {
+        if (at - here.actualArrival < MIN_DWELL_MS) {
+          // Only passed by: forget the arrival
+          here.actualArrival = undefined;
+          const arrival = events.findIndex(
+            (e) => e.type === "arrived" && e.stopId === here.id
+          );
+          if (arrival !== -1) events.splice(arrival, 1);
+        } else {
+          here.actualDeparture = at;
+          here.isCompleted = true;
+          event("departed", here, at, null);
+        }
+        here.updatedAt = new Date();
+      }
+      if (currentStop(trip)) return;
+
+      // Arrive at the closest unvisited stop inside its geofence
+      const [closest] = trip.stops
+        .filter(
+          (stop) => !stop.actualArrival && !stop.isCompleted && !stop.isSkipped
+        )
+        .map((stop) => ({ stop, distance: distanceMeters(ping, stop) }))
+        .filter(({ distance }) => distance <= radius)
+        .sort((a, b) => a.distance - b.distance);
+      if (closest) {
+        const { stop } = closest;
+        stop.actualArrival = at;
+        stop.updatedAt = new Date();
+        event("arrived", stop, at, minutesLate(stop.plannedArrival, at));
+      }
+    });
+
+  return events;
+}
+
+// One line for history, e.g. `Left "Hotel"; Arrived at "Louvre"`
+export function describeEvents(events) {
+  return events
+    .map((e) =>
+      e.type === "arrived" ? `Arrived at "${e.name}"` : `Left "${e.name}"`
+    )
+    .join("; ");
+}
+
+// Where the trip stands: last position, current stop, ETA and delay for the
+// next stop, and how late each visited stop was reached
+export function trackingStatus(trip, lastPing, now = new Date()) {
+  const position = lastPing && {
+    lat: lastPing.lat,
+    lng: lastPing.lng,
+    accuracy: lastPing.accuracy,
+    speed: lastPing.speed,
+    heading: lastPing.heading,
+    recordedAt: lastPing.recordedAt,
+  };
+
+  const here = currentStop(trip);
+  const next = upcomingStop(trip);
+
+  let nextStop = null;
+  if (next) {
+    nextStop = {
+      id: next.id,
+      name: next.name,
+      plannedArrival: next.plannedArrival,
+    };
+    if (position) {
+      // Travel time with the mode of the segment leading to the stop
+      const mode =
+        trip.routes.find((route) => route.toStopId === next.id)
+          ?.transportMode || "walking";
+      let { distance, duration } = estimateTravel(position, next, mode);
+      if (position.speed >= MIN_MOVING_SPEED) {
+        duration = distance / position.speed;
+      }
+      // Not before the position was reported, nor in the past
+      const from = Math.max(position.recordedAt.getTime(), now.getTime());
+      const eta = new Date(from + duration * 1000);
+      Object.assign(nextStop, {
+        distance: Math.round(distance),
+        duration: Math.round(duration),
+        eta,
+        delayMinutes: minutesLate(next.plannedArrival, eta),
+      });
+    }
+  }
+
+  const visited = trip.stops
+    .filter((stop) => stop.actualArrival)
+    .sort((a, b) => a.actualArrival - b.actualArrival)
+    .map((stop) => ({
+      stopId: stop.id,
+      name: stop.name,
+      plannedArrival: stop.plannedArrival,
+      actualArrival: stop.actualArrival,
+      actualDeparture: stop.actualDeparture,
+      delayMinutes: minutesLate(stop.plannedArrival, stop.actualArrival),
+    }));
+
+  // Running late by the projected arrival at the next stop, or failing that
+  // by the latest arrival
+  const delayMinutes =
+    nextStop?.delayMinutes ?? visited[visited.length - 1]?.delayMinutes ?? null;
+
+  return {
+    active: Boolean(trip.tracking?.active),
+    startedAt: trip.tracking?.startedAt,
+    stoppedAt: trip.tracking?.stoppedAt,
+    geofenceRadius: trip.tracking?.geofenceRadius || 100,
+    position: position || null,
+    currentStop: here
+      ? { id: here.id, name: here.name, arrivedAt: here.actualArrival }
+      : null,
+    nextStop,
+    delayMinutes,
+    progress: trip.progress,
+    visited,
+  };
+}
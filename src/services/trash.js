@@ -0,0 +1,54 @@
+import { TripData } from "../models/TripData.js";
+import { TripRevision } from "../models/TripRevision.js";
+import { RevisionGeometry } from "../models/RevisionGeometry.js";
+import { Stop } from "../models/Stop.js";
+import { RouteSegment } from "../models/RouteSegment.js";
+import { LocationPing } from "../models/LocationPing.js";
+import { Review } from "../models/Review.js";
+import { Expense } from "../models/Expense.js";
+import { ShareLink } from "../models/ShareLink.js";
+import { deletePhotos } from "./photos.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long deleted trips stay restorable
+export const TRASH_RETENTION_DAYS =
+  Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+export function purgeDate(trip) {
+  return new Date(trip.deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+}
+
+// Permanently delete trips that have been in the trash longer than the
+// retention period, along with their stops, routes, reviews, expenses,
+// photos, share links, history and location pings
+export async function purgeExpiredTrips(now = new Date()) {
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS);
+  const expired = await TripData.find({ deletedAt: { $lte: cutoff } }).select(
+    "_id"
+  );
+
+  let purged = 0;
+  for (const { _id } of expired) {
+    // Re-check deletedAt in case the trip was restored in the meantime
+    const { deletedCount } = await TripData.deleteOne({
+      _id,
+      deletedAt: { $lte: cutoff },
+    });
+    if (deletedCount === 0) continue;
+
+    await Promise.all([
+      Stop.deleteMany({ tripId: String(_id) }),
+      RouteSegment.deleteMany({ tripId: String(_id) }),
+      Review.deleteMany({ tripId: _id }),
+      Expense.deleteMany({ tripId: _id }),
+      ShareLink.deleteMany({ tripId: _id }),
+      deletePhotos({ tripId: _id }),
+      TripRevision.deleteMany({ tripId: _id }),
+      RevisionGeometry.deleteMany({ tripId: _id }),
+      LocationPing.deleteMany({ tripId: _id }),
+    ]);
+    purged += 1;
+  }
+  return purged;
+}
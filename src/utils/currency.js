@@ -0,0 +1,23 @@
+const CURRENCIES = new Set(Intl.supportedValuesOf("currency"));
+
+// ISO 4217 code, e.g. "EUR"
+export function isValidCurrency(code) {
+  return CURRENCIES.has(code);
+}
+
+// Digits after the decimal point: 2 for EUR, 0 for JPY, 3 for KWD
+export function currencyDigits(currency) {
+  return new Intl.NumberFormat("en", {
+    style: "currency",
+    currency,
+  }).resolvedOptions().maximumFractionDigits;
+}
+
+// Amounts in whole minor units (cents), so sums and splits don't drift
+export function toMinorUnits(amount, currency) {
+  return Math.round(amount * 10 ** currencyDigits(currency));
+}
+
+export function fromMinorUnits(units, currency) {
+  return units / 10 ** currencyDigits(currency);
+}
@@ -0,0 +1,129 @@
+import { calculateDistance } from "./geo.js";
+
+// Rises and drops smaller than this (meters) are treated as DEM/GPS noise
+// rather than climbing
+const NOISE_THRESHOLD = 5;
+
+// Grades are measured over at least this distance (meters), so a single
+// noisy sample doesn't read as a cliff
+const GRADE_WINDOW = 200;
+
+// Distance (meters) of each profile point from the start of the segment.
+// Sampled profiles carry it; imported ones are measured point to point.
+function profileDistances(points) {
+  if (points.every((point) => Number.isFinite(point.distance))) {
+    return points.map((point) => point.distance);
+  }
+  let total = 0;
+  return points.map((point, index) => {
+    if (index > 0) {
+      const previous = points[index - 1];
+      total +=
+        calculateDistance(previous.lat, previous.lng, point.lat, point.lng) *
+        1000;
+    }
+    return total;
+  });
+}
+
+// Total ascent and descent (meters) and steepest grade (percent) along a
+// profile, or null with fewer than two elevations
+export function profileStats(profile = []) {
+  const points = profile.filter((point) => Number.isFinite(point.elevation));
+  if (points.length < 2) return null;
+  const distances = profileDistances(points);
+
+  let ascent = 0;
+  let descent = 0;
+  let anchor = points[0].elevation;
+  points.forEach(({ elevation }) => {
+    const change = elevation - anchor;
+    if (Math.abs(change) < NOISE_THRESHOLD) return;
+    if (change > 0) ascent += change;
+    else descent -= change;
+    anchor = elevation;
+  });
+
+  let maxGrade = 0;
+  let end = 0;
+  for (let start = 0; start < points.length; start++) {
+    while (
+      end < points.length &&
+      distances[end] - distances[start] < GRADE_WINDOW
+    ) {
+      end++;
+    }
+    if (end === points.length) break;
+    const grade =
+      ((points[end].elevation - points[start].elevation) /
+        (distances[end] - distances[start])) *
+      100;
+    maxGrade = Math.max(maxGrade, Math.abs(grade));
+  }
+
+  return {
+    ascent: Math.round(ascent),
+    descent: Math.round(descent),
+    maxGrade: Math.round(maxGrade * 10) / 10,
+  };
+}
+
+// How hard a day's travel under its own power is. Effort is distance in
+// "flat kilometres": km plus the climb converted at `kmPerAscent` km per
+// meter (Naismith-style: 100 m up ≈ 1 km on foot, 20 m up ≈ 1 km by bike).
+// A day rates at the first level whose effort or grade it reaches.
+const DIFFICULTY_RULES = {
+  walking: {
+    kmPerAscent: 1 / 100,
+    challenging: { effort: 22, grade: 30 },
+    moderate: { effort: 12, grade: 15 },
+  },
+  cycling: {
+    kmPerAscent: 1 / 20,
+    challenging: { effort: 110, grade: 12 },
+    moderate: { effort: 50, grade: 8 },
+  },
+};
+
+function rateEffort(mode, { distance, ascent, maxGrade }) {
+  const rules = DIFFICULTY_RULES[mode];
+  const effort = distance / 1000 + ascent * rules.kmPerAscent;
+  return (
+    ["challenging", "moderate"].find(
+      (level) => effort >= rules[level].effort || maxGrade >= rules[level].grade
+    ) || "easy"
+  );
+}
+
+const LEVELS = ["easy", "moderate", "challenging"];
+
+// How hard the trip is: its hardest day of walking or cycling. Motorized
+// travel doesn't count.
+export function rateDifficulty(stops, routes) {
+  const dayOf = new Map(stops.map((stop) => [stop.id, stop.day || 1]));
+  const totals = new Map();
+
+  routes.forEach((route) => {
+    if (!DIFFICULTY_RULES[route.transportMode]) return;
+    if (!dayOf.has(route.toStopId)) return;
+    const key = `${dayOf.get(route.toStopId)}:${route.transportMode}`;
+    const total = totals.get(key) || {
+      mode: route.transportMode,
+      distance: 0,
+      ascent: 0,
+      maxGrade: 0,
+    };
+    total.distance += route.distance || 0;
+    total.ascent += route.ascent || 0;
+    total.maxGrade = Math.max(total.maxGrade, route.maxGrade || 0);
+    totals.set(key, total);
+  });
+
+  return [...totals.values()]
+    .map((total) => rateEffort(total.mode, total))
+    .reduce(
+      (hardest, level) =>
+        LEVELS.indexOf(level) > LEVELS.indexOf(hardest) ? level : hardest,
+      "easy"
+    );
+}
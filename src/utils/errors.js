@@ -0,0 +1,103 @@
+import mongoose from "mongoose";
+
+// Error with an HTTP status and a stable, machine-readable code. Every error
+// response has the shape { error: { code, message, details } }.
+export class ApiError extends Error {
+  constructor(status, code, message, details = []) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export const badRequest = (message, details) =>
+  new ApiError(400, "BAD_REQUEST", message, details);
+
+export const validationError = (details, message = "Invalid request") =>
+  new ApiError(400, "VALIDATION_ERROR", message, details);
+
+export const unauthorized = (message = "Authentication required") =>
+  new ApiError(401, "UNAUTHORIZED", message);
+
+export const forbidden = (message) => new ApiError(403, "FORBIDDEN", message);
+
+export const notFound = (message = "Not found") =>
+  new ApiError(404, "NOT_FOUND", message);
+
+export const conflict = (message) => new ApiError(409, "CONFLICT", message);
+
+export const payloadTooLarge = (message = "Request body is too large") =>
+  new ApiError(413, "PAYLOAD_TOO_LARGE", message);
+
+export const preconditionFailed = (
+  message = "Trip was changed by someone else; reload it and try again"
+) => new ApiError(412, "PRECONDITION_FAILED", message);
+
+// "stops.0.lat" -> "stops[0].lat"
+export function formatPath(path) {
+  return path
+    .map((key, index) =>
+      typeof key === "number" || /^\d+$/.test(key)
+        ? `[${key}]`
+        : index === 0
+        ? key
+        : `.${key}`
+    )
+    .join("");
+}
+
+// Map anything thrown by a handler (our own errors, Mongoose validation and
+// cast errors, duplicate keys, body parser failures) to an ApiError
+export function toApiError(error) {
+  if (error instanceof ApiError) return error;
+
+  if (error instanceof mongoose.Error.ValidationError) {
+    return validationError(
+      Object.entries(error.errors).map(([path, fieldError]) => ({
+        path: formatPath(path.split(".")),
+        message: fieldError.message,
+      }))
+    );
+  }
+  if (error instanceof mongoose.Error.CastError) {
+    return validationError([
+      {
+        path: formatPath(String(error.path).split(".")),
+        message: `Invalid ${error.kind} value`,
+      },
+    ]);
+  }
+  // A versioned save lost the race against another writer
+  if (error instanceof mongoose.Error.VersionError) {
+    return preconditionFailed();
+  }
+  if (error?.code === 11000) {
+    return conflict("A record with these details already exists");
+  }
+  // Raised by express.json() and express.text()
+  if (error?.type === "entity.parse.failed") {
+    return badRequest("Request body is not valid JSON");
+  }
+  if (error?.type === "entity.too.large") {
+    return payloadTooLarge();
+  }
+
+  return new ApiError(500, "INTERNAL_ERROR", "Something went wrong");
+}
+
+export function sendError(res, error) {
+  const apiError = toApiError(error);
+  const message =
+    apiError.status === 500 && process.env.NODE_ENV === "development"
+      ? error.message
+      : apiError.message;
+
+  return res.status(apiError.status).json({
+    error: {
+      code: apiError.code,
+      message,
+      details: apiError.details,
+    },
+  });
+}
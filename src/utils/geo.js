@@ -0,0 +1,123 @@
+// Calculate distance between two points (Haversine formula)
+export function calculateDistance(lat1, lon1, lat2, lon2) {
+  const R = 6371; // Radius of the Earth in kilometers
+  const dLat = ((lat2 - lat1) * Math.PI) / 180;
+  const dLon = ((lon2 - lon1) * Math.PI) / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos((lat1 * Math.PI) / 180) *
+      Math.cos((lat2 * Math.PI) / 180) *
+      Math.sin(dLon / 2) *
+      Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c; // Distance in kilometers
+}
+
+// Total length of a [lng, lat] line in meters
+export function lineDistance(coordinates) {
+  let total = 0;
+  for (let i = 0; i < coordinates.length - 1; i++) {
+    const [lng1, lat1] = coordinates[i];
+    const [lng2, lat2] = coordinates[i + 1];
+    total += calculateDistance(lat1, lng1, lat2, lng2) * 1000;
+  }
+  return total;
+}
+
+// Decode a Google-style encoded polyline into [lng, lat] pairs.
+// OSRM uses precision 5, Valhalla uses precision 6.
+export function decodePolyline(encoded, precision = 5) {
+  const factor = Math.pow(10, precision);
+  const coordinates = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  while (index < encoded.length) {
+    for (const axis of ["lat", "lng"]) {
+      let result = 0;
+      let shift = 0;
+      let byte;
+      do {
+        byte = encoded.charCodeAt(index++) - 63;
+        result |= (byte & 0x1f) << shift;
+        shift += 5;
+      } while (byte >= 0x20);
+      const delta = result & 1 ? ~(result >> 1) : result >> 1;
+      if (axis === "lat") lat += delta;
+      else lng += delta;
+    }
+    coordinates.push([lng / factor, lat / factor]);
+  }
+
+  return coordinates;
+}
+
+const EARTH_RADIUS_KM = 6378.1;
+
+// Parse "lat,lng" into a point, or null if malformed or out of range
+export function parseLatLng(value) {
+  const parts = String(value || "")
+    .split(",")
+    .map((part) => Number(part.trim()));
+  if (parts.length !== 2 || parts.some((n) => !Number.isFinite(n))) {
+    return null;
+  }
+  const [lat, lng] = parts;
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return null;
+  return { lat, lng };
+}
+
+// Parse "minLng,minLat,maxLng,maxLat" into a GeoJSON polygon, or null
+export function parseBbox(value) {
+  const parts = String(value || "")
+    .split(",")
+    .map((part) => Number(part.trim()));
+  if (parts.length !== 4 || parts.some((n) => !Number.isFinite(n))) {
+    return null;
+  }
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (
+    minLat < -90 ||
+    maxLat > 90 ||
+    minLng < -180 ||
+    maxLng > 180 ||
+    minLat >= maxLat ||
+    minLng >= maxLng
+  ) {
+    return null;
+  }
+  return {
+    type: "Polygon",
+    coordinates: [
+      [
+        [minLng, minLat],
+        [maxLng, minLat],
+        [maxLng, maxLat],
+        [minLng, maxLat],
+        [minLng, minLat],
+      ],
+    ],
+  };
+}
+
+// $centerSphere takes its radius in radians
+export function kmToRadians(km) {
+  return km / EARTH_RADIUS_KM;
+}
+
+// [minLng, minLat, maxLng, maxLat] around [lng, lat] points, or undefined
+// when there are none
+export function boundingBox(points) {
+  if (points.length === 0) return undefined;
+  // Routes can have far too many points to spread into Math.min
+  return points.reduce(
+    ([minLng, minLat, maxLng, maxLat], [lng, lat]) => [
+      Math.min(minLng, lng),
+      Math.min(minLat, lat),
+      Math.max(maxLng, lng),
+      Math.max(maxLat, lat),
+    ],
+    [Infinity, Infinity, -Infinity, -Infinity]
+  );
+}
@@ -0,0 +1,49 @@
+export function escapeRegExp(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Words of a search query, without operators like quotes and negations
+export function searchTerms(query) {
+  return String(query || "")
+    .split(/\s+/)
+    .filter((word) => word && !word.startsWith("-"))
+    .map((word) => word.replace(/^"+|"+$/g, ""))
+    .filter(Boolean);
+}
+
+// HTML-escaped snippet of `text` around the first match of any term, with
+// every match wrapped in <mark>. Returns null when nothing matches.
+export function highlight(text, terms, { context = 40 } = {}) {
+  if (!text || terms.length === 0) return null;
+  const pattern = new RegExp(
+    `(^|[^\\p{L}\\p{N}])(${terms.map(escapeRegExp).join("|")})`,
+    "giu"
+  );
+  const first = pattern.exec(text);
+  if (!first) return null;
+
+  const matchStart = first.index + first[1].length;
+  const start = Math.max(0, matchStart - context);
+  const end = Math.min(text.length, matchStart + first[2].length + context);
+  const snippet = text.slice(start, end);
+
+  const marked = escapeHtml(snippet).replace(
+    new RegExp(
+      `(^|[^\\p{L}\\p{N}])(${terms
+        .map((term) => escapeRegExp(escapeHtml(term)))
+        .join("|")})`,
+      "giu"
+    ),
+    "$1<mark>$2</mark>"
+  );
+  return `${start > 0 ? "…" : ""}${marked}${end < text.length ? "…" : ""}`;
+}
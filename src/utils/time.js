@@ -0,0 +1,96 @@
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Parse "HH:mm" into minutes after midnight
+export function parseClockTime(value) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value || "");
+  if (!match) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+export function formatClockTime(minutes) {
+  const h = String(Math.floor(minutes / 60)).padStart(2, "0");
+  const m = String(minutes % 60).padStart(2, "0");
+  return `${h}:${m}`;
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall-clock parts of an instant in the given IANA time zone
+export function zonedParts(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(date)
+      .map((part) => [part.type, part.value])
+  );
+
+  const year = Number(parts.year);
+  const month = Number(parts.month);
+  const day = Number(parts.day);
+  return {
+    year,
+    month,
+    day,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    // 0 = Sunday, matching Date#getDay
+    weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay(),
+    offset:
+      (Date.UTC(
+        year,
+        month - 1,
+        day,
+        Number(parts.hour),
+        Number(parts.minute),
+        Number(parts.second)
+      ) -
+        Math.floor(date.getTime() / 1000) * 1000) /
+      MINUTE,
+  };
+}
+
+// The instant at `minutes` past local midnight on a local calendar date.
+// Out-of-range days roll over into the next month, as with Date.UTC.
+export function atLocalDate(year, month, day, minutes, timeZone) {
+  const guess = Date.UTC(year, month - 1, day) + minutes * MINUTE;
+  // Correct for the zone offset at that moment (twice, to settle DST edges)
+  let result = guess - zonedParts(new Date(guess), timeZone).offset * MINUTE;
+  result = guess - zonedParts(new Date(result), timeZone).offset * MINUTE;
+  return new Date(result);
+}
+
+// The instant at `minutes` past local midnight on the same local day as
+// `date`, plus `dayOffset` days
+export function atLocalTime(date, minutes, timeZone, dayOffset = 0) {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return atLocalDate(year, month, day + dayOffset, minutes, timeZone);
+}
+
+// Days since epoch of the local calendar date, for counting trip days
+export function localDayNumber(date, timeZone) {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return Date.UTC(year, month - 1, day) / DAY;
+}
+
+export function addMinutes(date, minutes) {
+  return new Date(date.getTime() + minutes * MINUTE);
+}
+
+export function minutesBetween(from, to) {
+  return Math.round((to.getTime() - from.getTime()) / MINUTE);
+}
@@ -0,0 +1,98 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+const isProduction = process.env.NODE_ENV === "production";
+
+if (
+  isProduction &&
+  (!process.env.JWT_SECRET || !process.env.JWT_REFRESH_SECRET)
+) {
+  throw new Error(
+    "JWT_SECRET and JWT_REFRESH_SECRET must be set in production"
+  );
+}
+
+// Development fallbacks so the API runs out of the box locally
+const ACCESS_SECRET = process.env.JWT_SECRET || "route-nest-dev-access-secret";
+const REFRESH_SECRET =
+  process.env.JWT_REFRESH_SECRET || "route-nest-dev-refresh-secret";
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.JWT_REFRESH_TTL_DAYS) || 30;
+
+const ISSUER = "route-nest";
+
+// Short-lived token sent with every API request
+export function signAccessToken(user) {
+  return jwt.sign({ email: user.email, type: "access" }, ACCESS_SECRET, {
+    subject: user._id.toString(),
+    expiresIn: ACCESS_TOKEN_TTL,
+    issuer: ISSUER,
+  });
+}
+
+// Long-lived token used only to obtain new access tokens.
+// Returns the token id so it can be recorded (and revoked) on the user.
+export function signRefreshToken(user) {
+  const tokenId = crypto.randomUUID();
+  const expiresAt = new Date(
+    Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+  );
+  const token = jwt.sign({ type: "refresh" }, REFRESH_SECRET, {
+    subject: user._id.toString(),
+    jwtid: tokenId,
+    expiresIn: `${REFRESH_TOKEN_TTL_DAYS}d`,
+    issuer: ISSUER,
+  });
+  return { token, tokenId, expiresAt };
+}
+
+export function verifyAccessToken(token) {
+  const payload = jwt.verify(token, ACCESS_SECRET, { issuer: ISSUER });
+  if (payload.type !== "access") {
+    throw new jwt.JsonWebTokenError("invalid token type");
+  }
+  return payload;
+}
+
+export function verifyRefreshToken(token) {
+  const payload = jwt.verify(token, REFRESH_SECRET, { issuer: ISSUER });
+  if (payload.type !== "refresh") {
+    throw new jwt.JsonWebTokenError("invalid token type");
+  }
+  return payload;
+}
+
+// Long-lived token in a trip's calendar subscription URL, for calendar apps
+// that can't send an Authorization header. It only reads that one trip's
+// calendar, and stops working once the user revokes their calendar tokens
+// (which bumps calendarTokenRevision).
+export function signCalendarToken(user, tripId) {
+  return jwt.sign(
+    {
+      type: "calendar",
+      trip: tripId.toString(),
+      rev: user.calendarTokenRevision || 0,
+    },
+    ACCESS_SECRET,
+    { subject: user._id.toString(), issuer: ISSUER }
+  );
+}
+
+export function verifyCalendarToken(token) {
+  const payload = jwt.verify(token, ACCESS_SECRET, { issuer: ISSUER });
+  if (payload.type !== "calendar") {
+    throw new jwt.JsonWebTokenError("invalid token type");
+  }
+  return payload;
+}
+
+// Random token for a share link. Only its hash is stored, so a leaked
+// database doesn't hand out working links.
+export function createShareToken() {
+  const token = crypto.randomBytes(24).toString("base64url");
+  return { token, tokenHash: hashShareToken(token) };
+}
+
+export function hashShareToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
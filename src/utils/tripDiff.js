@@ -0,0 +1,225 @@
+import crypto from "node:crypto";
+
+// Trip content covered by history: what users edit, not sharing, ratings or
+// fields the server derives
+export const HISTORY_FIELDS = [
+  "name",
+  "description",
+  "startDate",
+  "endDate",
+  "timezone",
+  "estimatedDuration",
+  "length",
+  "isPublic",
+  "isTemplate",
+  "visibility",
+  "category",
+  "tags",
+  "currency",
+  "budget",
+  "stops",
+  "routes",
+  "dayPlans",
+];
+
+// List fields are diffed item by item, matched on these keys
+const LIST_KEYS = { stops: "id", routes: "id", dayPlans: "day" };
+
+// Derived or bookkeeping fields left out of snapshots
+const DERIVED_FIELDS = {
+  stops: ["_id", "location", "createdAt", "updatedAt"],
+  routes: ["_id", "geometry", "ascent", "descent", "maxGrade", "createdAt"],
+  dayPlans: ["_id"],
+};
+
+// The bulk of a route segment, and the part that rarely changes. Snapshots
+// don't copy it: they refer to it by a hash of its content (geometryRef),
+// and each distinct geometry is stored once per trip (RevisionGeometry).
+export const ROUTE_GEOMETRY_FIELDS = [
+  "coordinates",
+  "instructions",
+  "elevationProfile",
+];
+
+export function geometryHash(geometry) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(geometry))
+    .digest("hex");
+}
+
+// Swap a snapshot route's geometry for its hash, collecting the geometry in
+// `geometries` (hash -> geometry)
+export function detachRouteGeometry(route, geometries) {
+  const geometry = {};
+  ROUTE_GEOMETRY_FIELDS.forEach((field) => {
+    if (route[field] !== undefined) geometry[field] = route[field];
+    delete route[field];
+  });
+  const ref = geometryHash(geometry);
+  geometries?.set(ref, geometry);
+  route.geometryRef = ref;
+  return route;
+}
+
+// The snapshot with its routes' geometry put back from `geometries`. Routes
+// of snapshots from before geometry was detached are left as they are.
+export function attachRouteGeometry(snapshot, geometries) {
+  if (!snapshot.routes) return snapshot;
+  return {
+    ...snapshot,
+    routes: snapshot.routes.map(({ geometryRef, ...route }) =>
+      geometryRef ? { ...route, ...geometries.get(geometryRef) } : route
+    ),
+  };
+}
+
+// Plain JSON, without subdocument ids
+function plain(value) {
+  return JSON.parse(
+    JSON.stringify(value, (key, item) => (key === "_id" ? undefined : item))
+  );
+}
+
+function same(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// The trip's content as plain JSON, suitable for storing and diffing. Route
+// geometry is detached into `geometries` (see detachRouteGeometry).
+export function snapshotTrip(trip, geometries) {
+  const source = trip.toObject({ virtuals: false, depopulate: true });
+  const snapshot = {};
+  HISTORY_FIELDS.forEach((field) => {
+    if (source[field] === undefined) return;
+    snapshot[field] = plain(source[field]);
+    (DERIVED_FIELDS[field] || []).forEach((derived) =>
+      snapshot[field].forEach((item) => delete item[derived])
+    );
+  });
+  snapshot.routes?.forEach((route) => detachRouteGeometry(route, geometries));
+  return snapshot;
+}
+
+function diffList(field, before = [], after = []) {
+  const key = LIST_KEYS[field];
+  const itemPath = (item) => `${field}[${key}=${item[key]}]`;
+  const beforeByKey = new Map(before.map((item) => [item[key], item]));
+  const afterByKey = new Map(after.map((item) => [item[key], item]));
+  const changes = [];
+
+  before
+    .filter((item) => !afterByKey.has(item[key]))
+    .forEach((item) =>
+      changes.push({ path: itemPath(item), before: item, after: null })
+    );
+
+  after.forEach((item) => {
+    const previous = beforeByKey.get(item[key]);
+    if (!previous) {
+      changes.push({ path: itemPath(item), before: null, after: item });
+      return;
+    }
+    // Position is reported once for the whole list below
+    const keys = new Set([...Object.keys(previous), ...Object.keys(item)]);
+    keys.delete("order");
+    keys.forEach((name) => {
+      if (!same(previous[name], item[name])) {
+        changes.push({
+          path: `${itemPath(item)}.${name}`,
+          before: previous[name] ?? null,
+          after: item[name] ?? null,
+        });
+      }
+    });
+  });
+
+  // Items present on both sides but in a different sequence
+  const kept = (items, other) =>
+    items.filter((item) => other.has(item[key])).map((item) => item[key]);
+  const beforeOrder = kept(before, afterByKey);
+  const afterOrder = kept(after, beforeByKey);
+  if (!same(beforeOrder, afterOrder)) {
+    changes.push({
+      path: `${field}.order`,
+      before: beforeOrder,
+      after: afterOrder,
+    });
+  }
+
+  return changes;
+}
+
+// Field-level changes between two snapshots, as [{ path, before, after }].
+// Stops, routes and day plans are compared item by item.
+export function diffSnapshots(before = {}, after = {}) {
+  return HISTORY_FIELDS.flatMap((field) => {
+    if (LIST_KEYS[field]) return diffList(field, before[field], after[field]);
+    return same(before[field], after[field])
+      ? []
+      : [
+          {
+            path: field,
+            before: before[field] ?? null,
+            after: after[field] ?? null,
+          },
+        ];
+  });
+}
+
+// One line describing the changes, e.g. `Added stop "Louvre"; Updated name`.
+// `snapshot` is the trip after the changes, used to name edited stops.
+export function summarizeChanges(changes, snapshot = {}) {
+  const parts = [];
+  const stopChanges = changes.filter((c) => c.path.startsWith("stops"));
+  const whole = (change) => /^stops\[id=\d+\]$/.test(change.path);
+
+  const names = (items) => items.map((item) => `"${item.name}"`).join(", ");
+  const added = stopChanges.filter((c) => whole(c) && !c.before);
+  const removed = stopChanges.filter((c) => whole(c) && !c.after);
+  if (added.length) {
+    parts.push(
+      `Added ${added.length > 1 ? "stops" : "stop"} ${names(
+        added.map((c) => c.after)
+      )}`
+    );
+  }
+  if (removed.length) {
+    parts.push(
+      `Removed ${removed.length > 1 ? "stops" : "stop"} ${names(
+        removed.map((c) => c.before)
+      )}`
+    );
+  }
+
+  const editedIds = new Set(
+    stopChanges
+      .filter((c) => !whole(c) && c.path !== "stops.order")
+      .map((c) => Number(c.path.match(/^stops\[id=(\d+)\]/)[1]))
+  );
+  const edited = (snapshot.stops || []).filter((stop) =>
+    editedIds.has(stop.id)
+  );
+  if (edited.length) {
+    parts.push(
+      `Updated ${edited.length > 1 ? "stops" : "stop"} ${names(edited)}`
+    );
+  }
+  if (stopChanges.some((c) => c.path === "stops.order")) {
+    parts.push("Reordered stops");
+  }
+
+  if (changes.some((c) => c.path.startsWith("routes"))) {
+    parts.push("Updated routes");
+  }
+  if (changes.some((c) => c.path.startsWith("dayPlans"))) {
+    parts.push("Updated day plans");
+  }
+
+  const fields = changes
+    .map((c) => c.path)
+    .filter((path) => !LIST_KEYS[path.split(/[[.]/)[0]]);
+  if (fields.length) parts.push(`Updated ${fields.join(", ")}`);
+
+  return parts.join("; ") || "No changes";
+}
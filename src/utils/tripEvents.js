@@ -0,0 +1,7 @@
+import { EventEmitter } from "node:events";
+
+// In-process notifications about trips. Emits "change" after each change is
+// recorded in a trip's history, with { tripId, revision, userId, summary,
+// changes, snapshot, tracking, deleted }, and "access" with { tripId } after
+// a save changed who may see the trip.
+export const tripEvents = new EventEmitter();
@@ -0,0 +1,73 @@
+import { rateDifficulty } from "./elevation.js";
+import { boundingBox } from "./geo.js";
+
+const sum = (items, value) =>
+  items.reduce((total, item) => total + (value(item) || 0), 0);
+
+// Stats for a set of stops and the route segments between them - a whole
+// trip, or one day of it. They describe what will actually be visited, so
+// skipped stops don't count.
+//
+// Distances are in meters, travelDuration in seconds, and stop, average and
+// total durations in minutes (travel + time at stops).
+export function computeTripStats(stops, routes) {
+  const visiting = stops.filter((stop) => !stop.isSkipped);
+  const completed = visiting.filter((stop) => stop.isCompleted);
+
+  const travelDuration = sum(routes, (route) => route.estimatedDuration);
+  const stopDuration = sum(visiting, (stop) => stop.estimatedDuration);
+
+  const modes = new Map();
+  routes.forEach((route) => {
+    const mode = modes.get(route.transportMode) || {
+      mode: route.transportMode,
+      distance: 0,
+      duration: 0,
+    };
+    mode.distance += route.distance || 0;
+    mode.duration += route.estimatedDuration || 0;
+    modes.set(route.transportMode, mode);
+  });
+
+  return {
+    stopCount: visiting.length,
+    totalDistance: sum(routes, (route) => route.distance),
+    travelDuration,
+    stopDuration,
+    estimatedDuration: Math.round(travelDuration / 60) + stopDuration,
+    averageStopDuration:
+      visiting.length > 0 ? stopDuration / visiting.length : 0,
+    estimatedCost: sum(visiting, (stop) => stop.cost),
+    // Without segments a trip is taken to be on foot, as it always was
+    transportModes: modes.size > 0 ? [...modes.keys()] : ["walking"],
+    modeBreakdown: [...modes.values()],
+    totalAscent: sum(routes, (route) => route.ascent),
+    totalDescent: sum(routes, (route) => route.descent),
+    maxGrade: Math.max(0, ...routes.map((route) => route.maxGrade || 0)),
+    difficultyLevel: rateDifficulty(visiting, routes),
+    // Share of the stops still planned that are done; a trip whose stops
+    // were all skipped has nothing left to do
+    completion:
+      visiting.length > 0
+        ? Math.round((completed.length / visiting.length) * 100) / 100
+        : stops.length > 0
+        ? 1
+        : 0,
+  };
+}
+
+// What a trip keeps of its stops and routes for lists and search: the
+// [minLng, minLat, maxLng, maxLat] box around them, and the stop text for
+// the text index
+export function summarizeItinerary(stops, routes) {
+  return {
+    bbox: boundingBox([
+      ...stops.map((stop) => [stop.lng, stop.lat]),
+      ...routes.flatMap((route) => route.coordinates || []),
+    ]),
+    stopNames: stops.map((stop) => stop.name),
+    stopDetails: stops.flatMap((stop) =>
+      [stop.address, stop.notes].filter(Boolean)
+    ),
+  };
+}
@@ -0,0 +1,33 @@
+import { z } from "zod";
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+const email = z.string().trim().toLowerCase().email("Must be a valid email");
+
+export const signupBody = z
+  .object({
+    email,
+    password: z
+      .string()
+      .min(
+        MIN_PASSWORD_LENGTH,
+        `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      ),
+    displayName: z.string().trim().max(100).optional(),
+  })
+  .strict();
+
+export const loginBody = z
+  .object({
+    email,
+    password: z.string().min(1),
+  })
+  .strict();
+
+export const refreshBody = z
+  .object({ refreshToken: z.string().min(1) })
+  .strict();
+
+export const logoutBody = z
+  .object({ refreshToken: z.string().min(1).optional() })
+  .strict();
@@ -0,0 +1,70 @@
+import { z } from "zod";
+import { EXPENSE_CATEGORIES } from "../models/Expense.js";
+import { objectId, tripParams, date, currency, limit, page } from "./common.js";
+
+export const expenseParams = tripParams.extend({ expenseId: objectId });
+
+const amount = z.number().min(0);
+
+const expenseFields = {
+  description: z.string().trim().min(1).max(200),
+  category: z.enum(EXPENSE_CATEGORIES),
+  stopId: z.number().int(),
+  segment: z
+    .object({ fromStopId: z.number().int(), toStopId: z.number().int() })
+    .strict(),
+  plannedAmount: amount,
+  amount,
+  currency,
+  exchangeRate: z.number().positive(),
+  paidBy: z.string().min(1),
+  splits: z
+    .array(
+      z
+        .object({
+          userId: z.string().min(1),
+          shares: z.number().min(0).default(1),
+        })
+        .strict()
+    )
+    .max(100),
+  date,
+  notes: z.string().max(1000),
+};
+
+// Fields that can be cleared on update by sending null
+const CLEARABLE = [
+  "stopId",
+  "segment",
+  "plannedAmount",
+  "amount",
+  "exchangeRate",
+  "date",
+  "notes",
+];
+
+export const createExpenseBody = z
+  .object(expenseFields)
+  .partial()
+  .required({ description: true })
+  .strict();
+
+export const updateExpenseBody = z
+  .object(
+    Object.fromEntries(
+      Object.entries(expenseFields).map(([key, schema]) => [
+        key,
+        CLEARABLE.includes(key) ? schema.nullable() : schema,
+      ])
+    )
+  )
+  .partial()
+  .strict();
+
+export const listExpensesQuery = z.object({
+  category: z.enum(EXPENSE_CATEGORIES).optional(),
+  stopId: z.coerce.number().int().optional(),
+  paidBy: z.string().optional(),
+  limit: limit(100, 500),
+  page,
+});
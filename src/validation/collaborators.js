@@ -0,0 +1,21 @@
+import { z } from "zod";
+import { COLLABORATOR_ROLES } from "../models/TripData.js";
+import { objectId, tripParams } from "./common.js";
+
+export const collaboratorParams = tripParams.extend({ userId: z.string() });
+
+export const addCollaboratorBody = z
+  .object({
+    email: z.string().trim().toLowerCase().email().optional(),
+    userId: objectId.optional(),
+    role: z.enum(COLLABORATOR_ROLES).default("viewer"),
+  })
+  .strict()
+  .refine((body) => body.email || body.userId, {
+    message: "Email or userId is required",
+    path: ["email"],
+  });
+
+export const updateCollaboratorBody = z
+  .object({ role: z.enum(COLLABORATOR_ROLES) })
+  .strict();
@@ -0,0 +1,57 @@
+import { z } from "zod";
+import { isValidCurrency } from "../utils/currency.js";
+
+// Missing fields read "Required" rather than zod's type-mismatch wording
+z.config({
+  customError: (issue) => (issue.input === undefined ? "Required" : undefined),
+});
+
+export const objectId = z
+  .string()
+  .regex(/^[a-f\d]{24}$/i, "Must be a valid id");
+
+// Accepts ISO strings and epoch milliseconds
+export const date = z
+  .union([z.string().min(1), z.number()])
+  .pipe(z.coerce.date({ error: "Must be a valid date" }));
+
+// ISO 4217 code; lowercase is accepted
+export const currency = z
+  .string()
+  .transform((value) => value.toUpperCase())
+  .refine(isValidCurrency, "Must be a currency code like EUR");
+
+export const clockTime = z
+  .string()
+  .regex(/^([01]\d|2[0-3]):[0-5]\d$/, "Must be a time like 09:30");
+
+// lat/lng pair as sent in stop bodies
+export const latitude = z.number().min(-90).max(90);
+export const longitude = z.number().min(-180).max(180);
+
+// ?tags=a,b or ?tags=a&tags=b
+export const stringList = z
+  .union([z.string(), z.array(z.string())])
+  .transform((value) =>
+    (Array.isArray(value) ? value : value.split(","))
+      .map((item) => item.trim())
+      .filter(Boolean)
+  );
+
+// "true"/"false" in query strings
+export const booleanString = z
+  .enum(["true", "false"])
+  .transform((value) => value === "true");
+
+export function limit(defaultValue, max) {
+  return z.coerce.number().int().min(1).max(max).default(defaultValue);
+}
+
+export const page = z.coerce.number().int().min(1).default(1);
+
+// /api/trips/:id and everything nested under it
+export const tripParams = z.object({ id: objectId });
+
+export const stopParams = tripParams.extend({
+  stopId: z.coerce.number().int(),
+});
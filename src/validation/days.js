@@ -0,0 +1,26 @@
+import { z } from "zod";
+import { tripParams } from "./common.js";
+
+export const dayParams = tripParams.extend({
+  day: z.coerce.number().int().min(1),
+});
+
+export const updateDayBody = z
+  .object({
+    title: z.string().trim().max(200),
+    notes: z.string().max(1000),
+    accommodationStopId: z.number().int().nullable(),
+  })
+  .partial()
+  .strict();
+
+export const reorderDayStopsBody = z
+  .object({ stopIds: z.array(z.coerce.number().int()) })
+  .strict();
+
+export const moveStopBody = z
+  .object({
+    stopId: z.coerce.number().int(),
+    position: z.number().int().min(1).optional(),
+  })
+  .strict();
@@ -0,0 +1,17 @@
+import { z } from "zod";
+import { tripParams, limit } from "./common.js";
+
+const revision = z.coerce.number().int().min(0);
+
+export const revisionParams = tripParams.extend({ revision });
+
+export const historyQuery = z.object({
+  limit: limit(20, 100),
+  before: revision.optional(),
+});
+
+export const undoBody = z
+  .object({ steps: z.number().int().min(1).max(100).default(1) })
+  .strict();
+
+export const restoreRevisionBody = z.object({ revision }).strict();
@@ -0,0 +1,25 @@
+import { z } from "zod";
+import { objectId, tripParams, booleanString } from "./common.js";
+
+export const photoParams = tripParams.extend({ photoId: objectId });
+
+export const listPhotosQuery = z.object({
+  stopId: z.coerce.number().int().optional(),
+  unassigned: booleanString.optional(),
+});
+
+// Multipart form fields, so numbers arrive as strings. "auto" attaches each
+// photo to the stop its EXIF data suggests.
+export const uploadPhotosBody = z
+  .object({
+    stopId: z.union([z.literal("auto"), z.coerce.number().int()]).optional(),
+  })
+  .strict();
+
+export const updatePhotoBody = z
+  .object({
+    stopId: z.number().int().nullable(),
+    caption: z.string().trim().max(500),
+  })
+  .partial()
+  .strict();
@@ -0,0 +1,25 @@
+import { z } from "zod";
+import { objectId, tripParams, limit, page } from "./common.js";
+
+export const REVIEW_SORTS = ["newest", "oldest", "highest", "lowest"];
+
+export const reviewParams = tripParams.extend({ reviewId: objectId });
+
+const reviewFields = {
+  rating: z.number().int().min(1).max(5),
+  title: z.string().trim().max(120),
+  comment: z.string().trim().max(5000),
+};
+
+export const createReviewBody = z
+  .object(reviewFields)
+  .partial({ title: true, comment: true })
+  .strict();
+
+export const updateReviewBody = z.object(reviewFields).partial().strict();
+
+export const listReviewsQuery = z.object({
+  sort: z.enum(REVIEW_SORTS).default("newest"),
+  limit: limit(10, 50),
+  page,
+});
@@ -0,0 +1,18 @@
+import { z } from "zod";
+import { objectId, tripParams, date } from "./common.js";
+
+export const shareLinkParams = tripParams.extend({ linkId: objectId });
+
+export const sharedTripParams = z.object({
+  token: z.string().min(1).max(100),
+});
+
+export const createShareLinkBody = z
+  .object({
+    label: z.string().trim().max(100).optional(),
+    expiresAt: date
+      .refine((value) => value > new Date(), "Must be in the future")
+      .optional(),
+    password: z.string().min(4).max(128).optional(),
+  })
+  .strict();
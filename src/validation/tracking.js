@@ -0,0 +1,31 @@
+import { z } from "zod";
+import { date, latitude, longitude, limit } from "./common.js";
+
+export const MAX_PINGS_PER_REQUEST = 500;
+
+export const startTrackingBody = z
+  .object({ geofenceRadius: z.number().int().min(20).max(1000).optional() })
+  .strict();
+
+const pingBody = z
+  .object({
+    lat: latitude,
+    lng: longitude,
+    accuracy: z.number().min(0).optional(),
+    speed: z.number().min(0).optional(),
+    heading: z.number().min(0).max(360).optional(),
+    // Defaults to when the server receives the ping
+    recordedAt: date.optional(),
+  })
+  .strict();
+
+// Clients buffer pings while offline and send them in batches
+export const pingsBody = z
+  .object({ pings: z.array(pingBody).min(1).max(MAX_PINGS_PER_REQUEST) })
+  .strict();
+
+export const trackQuery = z.object({
+  since: date.optional(),
+  until: date.optional(),
+  limit: limit(1000, 10000),
+});
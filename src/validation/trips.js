@@ -0,0 +1,323 @@
+import { z } from "zod";
+import {
+  TRANSPORT_MODES,
+  STOP_TYPES,
+  PRIORITIES,
+  DIFFICULTY_LEVELS,
+  TRIP_CATEGORIES,
+  VISIBILITIES,
+  COLLABORATOR_ROLES,
+} from "../models/TripData.js";
+import { EXPORT_FORMATS, IMPORT_FORMATS } from "../services/formats/index.js";
+import {
+  date,
+  currency,
+  clockTime,
+  latitude,
+  longitude,
+  stringList,
+  booleanString,
+  limit,
+  page,
+} from "./common.js";
+
+// Bodies are strict: unknown and server-owned fields are rejected rather
+// than silently written to the trip
+
+// ----- Stops -----
+
+const stopFields = {
+  name: z.string().trim().min(1).max(200),
+  description: z.string().max(500),
+  lat: latitude,
+  lng: longitude,
+  address: z.string(),
+  placeId: z.string(),
+  plannedArrival: date,
+  plannedDeparture: date,
+  estimatedDuration: z.number().min(1),
+  fixedTime: z.boolean(),
+  openingHours: z
+    .object({
+      opens: clockTime,
+      closes: clockTime,
+      closedDays: z.array(z.number().int().min(0).max(6)),
+    })
+    .partial()
+    .strict(),
+  actualArrival: date,
+  actualDeparture: date,
+  stopType: z.enum(STOP_TYPES),
+  priority: z.enum(PRIORITIES),
+  cost: z.number().min(0),
+  notes: z.string().max(1000),
+  photos: z.array(z.string()),
+  order: z.number().int().min(1),
+  day: z.number().int().min(1),
+  isCompleted: z.boolean(),
+  isSkipped: z.boolean(),
+};
+
+// A stop as sent to POST /stops - the server assigns id, order and tripId
+export const createStopBody = z
+  .object(stopFields)
+  .partial()
+  .required({ name: true, lat: true, lng: true, plannedArrival: true })
+  .omit({ order: true })
+  .strict();
+
+export const updateStopBody = z.object(stopFields).partial().strict();
+
+// A stop inside a full trip body; keeps its id so routes can refer to it
+const tripStopBody = createStopBody
+  .extend({ id: z.number().int(), order: stopFields.order })
+  .partial({ id: true, order: true });
+
+export const legacyStopBody = z
+  .object({
+    name: stopFields.name,
+    lat: latitude,
+    lng: longitude,
+    plannedTime: date.optional(),
+  })
+  .strict();
+
+export const reorderStopsBody = z
+  .object({ stopIds: z.array(z.coerce.number().int()).min(1) })
+  .strict();
+
+export const stopStatusBody = z
+  .object({
+    isCompleted: z.boolean(),
+    actualArrival: date.optional(),
+    actualDeparture: date.optional(),
+  })
+  .strict();
+
+// ----- Trips -----
+
+const routeSegmentBody = z
+  .object({
+    id: z.string().min(1),
+    fromStopId: z.number().int(),
+    toStopId: z.number().int(),
+    coordinates: z.array(z.tuple([longitude, latitude])).default([]),
+    distance: z.number().min(0),
+    estimatedDuration: z.number().min(0),
+    transportMode: z.enum(TRANSPORT_MODES).default("walking"),
+    provider: z.string().optional(),
+    instructions: z
+      .array(
+        z
+          .object({
+            instruction: z.string(),
+            distance: z.number(),
+            duration: z.number(),
+            coordinates: z.array(z.number()),
+          })
+          .partial()
+          .strict()
+      )
+      .optional(),
+    elevationProfile: z
+      .array(
+        z
+          .object({
+            lat: latitude,
+            lng: longitude,
+            distance: z.number().min(0),
+            elevation: z.number(),
+          })
+          .partial()
+          .strict()
+      )
+      .optional(),
+  })
+  .strict();
+
+const dayPlanBody = z
+  .object({
+    day: z.number().int().min(1),
+    title: z.string().max(200).optional(),
+    notes: z.string().max(1000).optional(),
+    accommodationStopId: z.number().int().optional(),
+  })
+  .strict();
+
+const tripFields = {
+  name: z.string().trim().min(1).max(200),
+  description: z.string().max(1000),
+  startDate: date,
+  endDate: date,
+  timezone: z.string(),
+  estimatedDuration: z.number().int().min(1),
+  isPublic: z.boolean(),
+  isTemplate: z.boolean(),
+  visibility: z.enum(VISIBILITIES),
+  tags: z.array(z.string().trim().min(1)),
+  category: z.enum(TRIP_CATEGORIES),
+  currency,
+  budget: z.number().min(0),
+  stops: z.array(tripStopBody),
+  routes: z.array(routeSegmentBody),
+  dayPlans: z.array(dayPlanBody),
+  // Legacy alias of estimatedDuration
+  length: z.number().int().min(1),
+};
+
+export const createTripBody = z
+  .object(tripFields)
+  .partial()
+  .required({ name: true })
+  .strict();
+
+export const updateTripBody = z.object(tripFields).partial().strict();
+
+export const legacyTripBody = z
+  .object({ name: tripFields.name, length: tripFields.length.optional() })
+  .strict();
+
+export const cloneTripBody = z
+  .object({
+    name: tripFields.name.optional(),
+    startDate: z.string().min(1).optional(),
+  })
+  .strict();
+
+// ----- Listing and discovery -----
+
+const SORT_FIELDS = [
+  "createdAt",
+  "updatedAt",
+  "name",
+  "rating",
+  "estimatedDuration",
+  "stats.totalDistance",
+];
+
+const sortField = (defaultValue) =>
+  z
+    .string()
+    .refine(
+      (value) => SORT_FIELDS.includes(value.replace(/^-/, "")),
+      `Sort must be one of: ${SORT_FIELDS.join(", ")} (prefix - to reverse)`
+    )
+    .default(defaultValue);
+
+export const listTripsQuery = z.object({
+  category: z.enum(TRIP_CATEGORIES).optional(),
+  tags: stringList.optional(),
+  isPublic: booleanString.optional(),
+  limit: limit(50, 100),
+  sort: sortField("-createdAt"),
+});
+
+export const sharedTripsQuery = z.object({
+  role: z.enum(COLLABORATOR_ROLES).optional(),
+  limit: limit(50, 100),
+  sort: sortField("-updatedAt"),
+});
+
+export const trashQuery = z.object({
+  limit: limit(50, 100),
+});
+
+export const searchTripsQuery = z.object({
+  query: z.string().trim().max(200).optional(),
+  category: z.enum(TRIP_CATEGORIES).optional(),
+  tags: stringList.optional(),
+  difficulty: z.enum(DIFFICULTY_LEVELS).optional(),
+  location: z.string().optional(),
+  radius: z.coerce.number().positive().optional(),
+  bbox: z.string().optional(),
+  cursor: z.string().optional(),
+  limit: limit(10, 50),
+  sort: z.enum(["relevance", "distance", "rating"]).optional(),
+});
+
+export const popularTripsQuery = z.object({
+  location: z.string().optional(),
+  radius: z.coerce.number().positive().default(50),
+  limit: limit(10, 50),
+});
+
+export const templatesQuery = z.object({
+  category: z.enum(TRIP_CATEGORIES).optional(),
+  tags: stringList.optional(),
+  limit: limit(20, 50),
+  page,
+});
+
+// ----- Routes, optimization and scheduling -----
+
+export const generateRoutesBody = z
+  .object({
+    transportMode: z.enum(TRANSPORT_MODES).optional(),
+    segments: z
+      .array(
+        z
+          .object({
+            fromStopId: z.number().int(),
+            toStopId: z.number().int(),
+            transportMode: z.enum(TRANSPORT_MODES),
+          })
+          .strict()
+      )
+      .default([]),
+  })
+  .strict();
+
+export const optimizeRouteBody = z
+  .object({
+    preview: z.boolean().default(false),
+    metric: z.enum(["distance", "time"]).default("distance"),
+    transportMode: z.enum(TRANSPORT_MODES).optional(),
+    pinFirst: z.boolean().optional(),
+    pinLast: z.boolean().optional(),
+    keepAccommodation: z.boolean().optional(),
+    timeBudget: z.number().positive().optional(),
+  })
+  .strict();
+
+export const scheduleBody = z
+  .object({
+    preview: z.boolean().default(false),
+    startTime: date.optional(),
+    dayStart: clockTime.optional(),
+    dayEnd: clockTime.optional(),
+  })
+  .strict();
+
+// Same options as scheduling, for the rest of the current day
+export const replanBody = scheduleBody;
+
+// ----- Import / export -----
+
+export const exportQuery = z.object({
+  format: z.enum(Object.keys(EXPORT_FORMATS)).default("gpx"),
+});
+
+// Calendar apps may add parameters of their own; only the token matters
+export const calendarQuery = z.object({
+  token: z.string().min(1).optional(),
+});
+
+export const importQuery = z.object({
+  format: z.enum(IMPORT_FORMATS).optional(),
+  name: tripFields.name.optional(),
+});
+
+// Raw GPX/KML text, or JSON { content, format, name }
+export const importBody = z.union(
+  [
+    z.string().min(1),
+    z
+      .object({
+        content: z.string().min(1),
+        format: z.enum(IMPORT_FORMATS).optional(),
+        name: tripFields.name.optional(),
+      })
+      .strict(),
+  ],
+  { error: "Send a GPX or KML file, or JSON { content, format, name }" }
+);